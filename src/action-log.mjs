@@ -0,0 +1,183 @@
+import fs from 'fs/promises';
+import { logger } from './logger.mjs';
+import { dataPath } from './paths.mjs';
+import { PageFailure } from './pages/base-page.mjs';
+
+const logFile = dataPath('action-log.jsonl');
+
+/**
+ * Outreach actions that produce an ActionResult
+ */
+export const ActionType = {
+  CONNECTION_REQUEST: 'connection_request',
+  FOLLOW_UP: 'follow_up'
+};
+
+/**
+ * How an action ended
+ */
+export const ActionOutcome = {
+  SENT: 'sent',
+  // Nothing was attempted
+  LIMIT_REACHED: 'limit_reached',
+  NOTHING_DUE: 'nothing_due',
+  SUPPRESSED: 'suppressed',
+  // Filled in but not sent, see dry-run.mjs
+  DRY_RUN: 'dry_run',
+  // The profile can't take this action
+  ALREADY_CONNECTED: 'already_connected',
+  ALREADY_INVITED: 'already_invited',
+  RECENTLY_WITHDRAWN: 'recently_withdrawn',
+  FOLLOW_ONLY: 'follow_only',
+  EMAIL_REQUIRED: 'email_required',
+  NOT_RENDERED: 'not_rendered',
+  // The attempt failed
+  NOT_LOGGED_IN: 'not_logged_in',
+  RATE_LIMITED: 'rate_limited',
+  SELECTOR_NOT_FOUND: 'selector_not_found',
+  // Sent, but LinkedIn never showed the invitation as sent or the message in the thread
+  UNCONFIRMED: 'unconfirmed',
+  ERROR: 'error'
+};
+
+/**
+ * Outcomes that say nothing about the profile, it stays in the queue and is tried again later
+ */
+export const RETRYABLE_OUTCOMES = [
+  ActionOutcome.LIMIT_REACHED,
+  ActionOutcome.NOT_LOGGED_IN,
+  ActionOutcome.RATE_LIMITED,
+  ActionOutcome.UNCONFIRMED,
+  ActionOutcome.ERROR
+];
+
+/**
+ * Retryable outcomes that count as a failed attempt, so a profile that keeps failing leaves the queue
+ */
+export const FAILED_ATTEMPT_OUTCOMES = [ActionOutcome.UNCONFIRMED, ActionOutcome.ERROR];
+
+const PAGE_FAILURE_OUTCOMES = {
+  [PageFailure.LOGIN_WALL]: ActionOutcome.NOT_LOGGED_IN,
+  [PageFailure.RATE_LIMITED]: ActionOutcome.RATE_LIMITED,
+  [PageFailure.ALREADY_CONNECTED]: ActionOutcome.ALREADY_CONNECTED,
+  [PageFailure.INVITATION_PENDING]: ActionOutcome.ALREADY_INVITED,
+  [PageFailure.RECENTLY_WITHDRAWN]: ActionOutcome.RECENTLY_WITHDRAWN,
+  [PageFailure.FOLLOW_ONLY]: ActionOutcome.FOLLOW_ONLY,
+  [PageFailure.EMAIL_REQUIRED]: ActionOutcome.EMAIL_REQUIRED,
+  [PageFailure.INVITATION_NOT_CONFIRMED]: ActionOutcome.UNCONFIRMED,
+  [PageFailure.MESSAGE_TOO_LONG]: ActionOutcome.NOT_RENDERED,
+  [PageFailure.DRAFT_MISMATCH]: ActionOutcome.ERROR,
+  [PageFailure.NOT_DELIVERED]: ActionOutcome.UNCONFIRMED,
+  [PageFailure.DELIVERY_UNCONFIRMED]: ActionOutcome.UNCONFIRMED
+};
+
+/**
+ * Outcome of an action that a page object couldn't carry out
+ * @param {string} reason - PageFailure from the page object
+ * @returns {string} - ActionOutcome, a missing element by default
+ */
+export function outcomeForPageFailure(reason) {
+  return PAGE_FAILURE_OUTCOMES[reason] || ActionOutcome.SELECTOR_NOT_FOUND;
+}
+
+/**
+ * Time an action on a profile and build its result when it ends. Push screenshot paths to screenshots on the way.
+ * @param {string} type - One of ActionType
+ * @param {Object|null} profile - Contact the action applies to, when one was picked
+ * @returns {{screenshots: string[], profile: Object|null, finish: Function}}
+ */
+export function startAction(type, profile = null) {
+  const startedAt = new Date();
+
+  return {
+    screenshots: [],
+    profile,
+
+    /**
+     * Build the result and add it to the action log
+     * @param {string} outcome - One of ActionOutcome
+     * @param {Object} [extra]
+     * @param {Error|string} [extra.error] - What went wrong
+     * @param {Object} [extra.details] - Action specific fields, e.g. whether a note was sent
+     * @returns {Promise<Object>} - The ActionResult
+     */
+    async finish(outcome, { error = null, details = {} } = {}) {
+      const result = {
+        type,
+        outcome,
+        profile: this.profile ? { name: this.profile.name, profileUrl: this.profile.profileUrl } : null,
+        startedAt: startedAt.toISOString(),
+        durationMs: Date.now() - startedAt.getTime(),
+        screenshots: this.screenshots.filter(Boolean),
+        error: error instanceof Error ? error.message : error,
+        ...details
+      };
+      await actionLog.record(result);
+      return result;
+    }
+  };
+}
+
+/**
+ * Append-only JSON lines log of every action taken on a profile
+ */
+class ActionLog {
+  constructor(filePath = logFile) {
+    this.filePath = filePath;
+  }
+
+  /**
+   * Append a result. Results without a profile, such as "nothing due", aren't kept.
+   */
+  async record(result) {
+    if (!result.profile) {
+      return;
+    }
+
+    try {
+      await fs.appendFile(this.filePath, `${JSON.stringify(result)}\n`);
+    } catch (error) {
+      logger.error('Error writing action log', error);
+    }
+  }
+
+  /**
+   * Read logged results, oldest first
+   * @param {Object} [filter]
+   * @param {string} [filter.since] - ISO timestamp, only results started at or after it
+   * @param {string} [filter.type] - Only results of this ActionType
+   * @param {string} [filter.profileUrl] - Only results for this profile
+   * @returns {Promise<Object[]>}
+   */
+  async list({ since = null, type = null, profileUrl = null } = {}) {
+    let data;
+    try {
+      data = await fs.readFile(this.filePath, 'utf8');
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        return [];
+      }
+      throw error;
+    }
+
+    const results = [];
+    for (const line of data.split('\n')) {
+      if (!line.trim()) {
+        continue;
+      }
+      try {
+        results.push(JSON.parse(line));
+      } catch (error) {
+        // A torn last line from a crash
+        logger.warn('Skipping unreadable action log line');
+      }
+    }
+
+    return results.filter(result => (!since || result.startedAt >= since) &&
+      (!type || result.type === type) &&
+      (!profileUrl || result.profile?.profileUrl === profileUrl));
+  }
+}
+
+// Export singleton instance
+export const actionLog = new ActionLog();
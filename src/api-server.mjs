@@ -0,0 +1,497 @@
+import http from 'http';
+import crypto from 'crypto';
+import dayjs from 'dayjs';
+import { logger } from './logger.mjs';
+import { QueueManager } from './queue-manager.mjs';
+import { contactStore, ContactStatus } from './contact-store.mjs';
+import { rateLimiter } from './rate-limiter.mjs';
+import { campaignManager, withdrawalSettings } from './campaigns.mjs';
+import { actionLog } from './action-log.mjs';
+import { TEMPLATE_VARIABLES } from './message-template.mjs';
+import { normalizeProfileUrl, nameFromProfileUrl } from './profile-url.mjs';
+import { SYNC_JOBS } from './task-scheduler.mjs';
+import { readBody, isLocalRequest, listen, tokensEqual, bearerToken, decodeComponent } from './local-server.mjs';
+
+// A batch of a few thousand profiles fits, larger imports go through several requests
+const MAX_BODY_BYTES = 1024 * 1024;
+
+// Keys a campaign entry in config.json may have, with a check of each value's type.
+// The values themselves are checked by CampaignManager when the campaign is saved.
+const isString = value => typeof value === 'string';
+const isOptionalString = value => value === null || isString(value);
+const CAMPAIGN_KEYS = {
+  id: value => isString(value) && /^[\w-]+$/.test(value),
+  name: isString,
+  enabled: value => typeof value === 'boolean',
+  search_url: isString,
+  search_urls: value => Array.isArray(value) && value.every(isString),
+  invitation_note: isOptionalString,
+  invitation_note_overflow: isString,
+  follow_up_message: isString,
+  sequence: value => Array.isArray(value) && value.every(step => step && typeof step === 'object'),
+  daily_share: value => typeof value === 'number',
+  start_date: isOptionalString,
+  end_date: isOptionalString,
+  harvest_page_budget: value => Number.isInteger(value) && value > 0,
+  require_approval: value => typeof value === 'boolean'
+};
+
+// Optional fields of a profile to queue, with a check of each value's type. They are stored with the contact, and
+// the do-not-contact list matches on the URN, the company and the company's domain.
+const PROFILE_KEYS = {
+  name: isString,
+  headline: isString,
+  campaign: isString,
+  urn: isString,
+  location: isString,
+  company: isString,
+  companyDomain: isString,
+  companyWebsite: isString,
+  email: isString,
+  connectionDegree: value => Number.isInteger(value) && value > 0,
+  mutualConnections: value => Number.isInteger(value) && value >= 0
+};
+
+/**
+ * Error answered with the given HTTP status and its message
+ */
+function apiError(status, message) {
+  const error = new Error(message);
+  error.status = status;
+  return error;
+}
+
+function sendJson(res, status, payload, headers = {}) {
+  res.writeHead(status, { 'Content-Type': 'application/json; charset=utf-8', ...headers });
+  res.end(JSON.stringify(payload));
+}
+
+/**
+ * JSON object in the request body
+ * @throws {Error} - 400 when the body isn't a JSON object, 413 when it is too large
+ */
+async function readJson(req) {
+  const body = await readBody(req, MAX_BODY_BYTES);
+  let value;
+  try {
+    value = JSON.parse(body || '{}');
+  } catch (error) {
+    throw apiError(400, `Request body is not valid JSON: ${error.message}`);
+  }
+  if (!value || typeof value !== 'object' || Array.isArray(value)) {
+    throw apiError(400, 'Request body must be a JSON object');
+  }
+  return value;
+}
+
+/**
+ * Profile to queue from a request, with a canonical profileUrl
+ * @param {Object} profile - Profile as sent
+ * @param {string} label - Where it was in the request, for error messages
+ * @throws {Error} - 400 when a field is missing or invalid
+ */
+function profileFromRequest(profile, label) {
+  if (!profile || typeof profile !== 'object') {
+    throw apiError(400, `${label} must be an object`);
+  }
+
+  const profileUrl = normalizeProfileUrl(isString(profile.profileUrl) ? profile.profileUrl : null);
+  if (!profileUrl) {
+    throw apiError(400, `${label}: not a LinkedIn profile URL: ${profile.profileUrl ?? '(missing)'}`);
+  }
+  const fields = {};
+  for (const [key, isValid] of Object.entries(PROFILE_KEYS)) {
+    if (profile[key] === undefined) {
+      continue;
+    }
+    if (!isValid(profile[key])) {
+      throw apiError(400, `${label}: invalid value for ${key}`);
+    }
+    if (profile[key] !== '') {
+      fields[key] = profile[key];
+    }
+  }
+  if (fields.campaign && !campaignManager.getCampaign(fields.campaign)) {
+    throw apiError(400, `${label}: unknown campaign: ${fields.campaign}`);
+  }
+
+  return { ...fields, profileUrl, name: fields.name || nameFromProfileUrl(profileUrl) || 'Unknown' };
+}
+
+/**
+ * Decode one segment of the request path
+ * @throws {Error} - 400 on a malformed escape
+ */
+function decodePathSegment(value) {
+  const decoded = decodeComponent(value);
+  if (decoded === null) {
+    throw apiError(400, `Malformed escape in path: ${value}`);
+  }
+  return decoded;
+}
+
+/**
+ * Contact named in the path, by encoded profile URL or by the slug after /in/
+ * @throws {Error} - 400 on a malformed escape, 404 when there is no such contact
+ */
+async function contactFromPath(value) {
+  const decoded = decodePathSegment(value);
+  const profileUrl = normalizeProfileUrl(decoded.includes('/') ? decoded : `/in/${decoded}`);
+  const contact = profileUrl && await contactStore.get(profileUrl);
+  if (!contact) {
+    throw apiError(404, `No contact for ${decoded}`);
+  }
+  return contact;
+}
+
+function campaignFromPath(value) {
+  const id = decodePathSegment(value);
+  const campaign = campaignManager.getCampaign(id);
+  if (!campaign) {
+    throw apiError(404, `Unknown campaign: ${id}`);
+  }
+  return campaign;
+}
+
+/**
+ * Check a campaign entry's keys and value types before it is saved
+ * @throws {Error} - 400 on an unknown key or a value of the wrong type
+ */
+function validateCampaignEntry(entry) {
+  for (const [key, value] of Object.entries(entry)) {
+    if (!CAMPAIGN_KEYS[key]) {
+      throw apiError(400, `Unknown campaign key: ${key}`);
+    }
+    if (!CAMPAIGN_KEYS[key](value)) {
+      throw apiError(400, `Invalid value for campaign key ${key}`);
+    }
+  }
+}
+
+function describeCampaign(campaign) {
+  return { campaign, active: campaignManager.isActive(campaign), config: campaignManager.getEntry(campaign.id) };
+}
+
+async function saveCampaign(entry) {
+  try {
+    return describeCampaign(await campaignManager.saveCampaign(entry));
+  } catch (error) {
+    throw apiError(400, error.message);
+  }
+}
+
+// When a message was sent or received, inbound messages whose day couldn't be read fall back to when they were synced
+const messageTime = message => message.sentAt || message.receivedAt || '';
+
+function conversationOf(contact) {
+  const messages = [
+    ...(contact.messages || []).map(message => ({ direction: 'outbound', ...message })),
+    ...(contact.inboundMessages || []).map(message => ({ direction: 'inbound', ...message }))
+  ].sort((a, b) => messageTime(a).localeCompare(messageTime(b)));
+
+  return {
+    profileUrl: contact.profileUrl,
+    name: contact.name,
+    campaign: contact.campaign || null,
+    status: contact.status,
+    messages,
+    lastMessageAt: messageTime(messages[messages.length - 1])
+  };
+}
+
+/**
+ * Rate limits used so far, globally and per campaign
+ */
+async function collectLimits() {
+  const limits = await rateLimiter.getStatus();
+  limits.withdrawals.dailyLimit = withdrawalSettings.dailyLimit;
+
+  limits.campaigns = [];
+  for (const campaign of campaignManager.campaigns) {
+    const usage = { id: campaign.id, active: campaignManager.isActive(campaign) };
+    for (const [key, type] of [['connections', 'connection'], ['messages', 'message']]) {
+      usage[key] = { today: await rateLimiter.getDailyCount(type, campaign.id), dailyLimit: campaignManager.getDailyLimit(campaign, type) };
+    }
+    limits.campaigns.push(usage);
+  }
+  return limits;
+}
+
+/**
+ * Routes of the API. Each handler gets the request, the path's match and the parsed URL, and resolves to the JSON
+ * answered with the route's status.
+ */
+function buildRoutes({ queueManager, scheduler }) {
+  return [
+    {
+      method: 'GET',
+      path: /^\/api\/queue$/,
+      handler: async () => ({ status: await queueManager.getQueueStatus(), queue: await queueManager.listQueue() })
+    },
+    {
+      // One profile, or a batch as { profiles: [...] }
+      method: 'POST',
+      path: /^\/api\/queue$/,
+      status: 201,
+      handler: async req => {
+        const body = await readJson(req);
+
+        if (body.profiles === undefined) {
+          const profile = profileFromRequest(body, 'profile');
+          const added = await queueManager.addToQueue(profile);
+          if (added === null) {
+            throw apiError(500, `${profile.profileUrl} could not be queued, see the bot's log`);
+          }
+          if (!added) {
+            throw apiError(409, `${profile.profileUrl} was not queued, it is already known or on the do-not-contact list`);
+          }
+          return { added: 1, contact: await contactStore.get(profile.profileUrl) };
+        }
+
+        if (!Array.isArray(body.profiles) || body.profiles.length === 0) {
+          throw apiError(400, 'profiles must be a non-empty array');
+        }
+        const profiles = body.profiles.map((profile, index) => profileFromRequest(profile, `profiles[${index}]`));
+        const added = await queueManager.addBatchToQueue(profiles);
+        if (added === null) {
+          throw apiError(500, 'The profiles could not be queued, see the bot\'s log');
+        }
+        return { added, skipped: profiles.length - added };
+      }
+    },
+    {
+      method: 'GET',
+      path: /^\/api\/contacts$/,
+      handler: async (req, match, url) => {
+        const status = url.searchParams.get('status');
+        const campaign = url.searchParams.get('campaign');
+        if (status && !Object.values(ContactStatus).includes(status)) {
+          throw apiError(400, `Unknown status: ${status}`);
+        }
+
+        const contacts = status ? await contactStore.listByStatus(status) : await contactStore.all();
+        return {
+          contacts: campaign ?
+            contacts.filter(contact => campaignManager.campaignFor(contact)?.id === campaign) :
+            contacts
+        };
+      }
+    },
+    {
+      method: 'GET',
+      path: /^\/api\/contacts\/(.+)$/,
+      handler: async (req, match) => {
+        const contact = await contactFromPath(match[1]);
+        return { contact, actions: await actionLog.list({ profileUrl: contact.profileUrl }) };
+      }
+    },
+    {
+      // Contacts we exchanged messages with, most recent conversation first
+      method: 'GET',
+      path: /^\/api\/conversations$/,
+      handler: async () => {
+        const contacts = (await contactStore.all()).filter(contact => contact.messages?.length || contact.inboundMessages?.length);
+        return {
+          conversations: contacts.map(conversationOf).sort((a, b) => b.lastMessageAt.localeCompare(a.lastMessageAt))
+        };
+      }
+    },
+    {
+      // Messages contacts sent us, newest first, optionally only those since a date
+      method: 'GET',
+      path: /^\/api\/replies$/,
+      handler: async (req, match, url) => {
+        const since = url.searchParams.get('since');
+        if (since && !dayjs(since).isValid()) {
+          throw apiError(400, `since is not a valid date: ${since}`);
+        }
+
+        const replies = (await contactStore.all()).flatMap(contact => (contact.inboundMessages || []).map(message => ({
+          profileUrl: contact.profileUrl,
+          name: contact.name,
+          campaign: contact.campaign || null,
+          ...message
+        })));
+        return {
+          replies: replies
+            .filter(reply => !since || !dayjs(messageTime(reply)).isBefore(dayjs(since)))
+            .sort((a, b) => messageTime(b).localeCompare(messageTime(a)))
+        };
+      }
+    },
+    {
+      method: 'GET',
+      path: /^\/api\/campaigns$/,
+      handler: async () => ({ campaigns: campaignManager.campaigns.map(describeCampaign), templateVariables: TEMPLATE_VARIABLES })
+    },
+    {
+      // A new campaign, as an entry in the config.json format
+      method: 'POST',
+      path: /^\/api\/campaigns$/,
+      status: 201,
+      handler: async req => {
+        const entry = await readJson(req);
+        validateCampaignEntry(entry);
+        if (!entry.id) {
+          throw apiError(400, 'A campaign needs an id');
+        }
+        if (campaignManager.getCampaign(entry.id)) {
+          throw apiError(409, `Campaign ${entry.id} already exists`);
+        }
+        return saveCampaign(entry);
+      }
+    },
+    {
+      method: 'GET',
+      path: /^\/api\/campaigns\/([^/]+)$/,
+      handler: async (req, match) => describeCampaign(campaignFromPath(match[1]))
+    },
+    {
+      // Change some keys of a campaign, its templates included. A null value removes the key.
+      method: 'PATCH',
+      path: /^\/api\/campaigns\/([^/]+)$/,
+      handler: async (req, match) => {
+        const campaign = campaignFromPath(match[1]);
+        const changes = await readJson(req);
+        if (changes.id !== undefined && changes.id !== campaign.id) {
+          throw apiError(400, 'A campaign\'s id can\'t be changed');
+        }
+
+        const entry = { ...campaignManager.getEntry(campaign.id), id: campaign.id };
+        for (const [key, value] of Object.entries(changes)) {
+          if (value === null) {
+            delete entry[key];
+          } else {
+            entry[key] = value;
+          }
+        }
+        validateCampaignEntry(entry);
+        return saveCampaign(entry);
+      }
+    },
+    {
+      // Render a campaign's invitation note and follow-up steps for a contact, or for a profile given in the body
+      method: 'POST',
+      path: /^\/api\/campaigns\/([^/]+)\/preview$/,
+      handler: async (req, match) => {
+        const campaign = campaignFromPath(match[1]);
+        const profile = profileFromRequest(await readJson(req), 'profile');
+        const contact = { ...profile, ...await contactStore.get(profile.profileUrl), campaign: campaign.id };
+
+        try {
+          return {
+            invitationNote: campaignManager.renderInvitationNote(contact),
+            sequence: campaign.sequence.map((step, index) => ({
+              step: index + 1,
+              delayDays: step.delayDays,
+              text: campaignManager.renderSequenceStep(contact, index)
+            }))
+          };
+        } catch (error) {
+          throw apiError(422, error.message);
+        }
+      }
+    },
+    {
+      method: 'GET',
+      path: /^\/api\/limits$/,
+      handler: collectLimits
+    },
+    {
+      method: 'GET',
+      path: /^\/api\/scheduler$/,
+      handler: async () => {
+        if (!scheduler) {
+          throw apiError(503, 'The scheduler only runs in the daemon');
+        }
+        return scheduler.status();
+      }
+    },
+    {
+      // Run a sync job now, in the daemon's browser
+      method: 'POST',
+      path: /^\/api\/sync\/([^/]+)$/,
+      handler: async (req, match) => {
+        const job = match[1];
+        if (!SYNC_JOBS.includes(job)) {
+          throw apiError(404, `Unknown sync job: ${job}, expected one of ${SYNC_JOBS.join(', ')}`);
+        }
+        if (!scheduler) {
+          throw apiError(503, 'Sync jobs run in the daemon\'s browser, start the daemon with API_PORT set');
+        }
+
+        const { ran, result, reason } = await scheduler.runSync(job);
+        if (!ran) {
+          throw apiError(409, reason);
+        }
+        return { job, result };
+      }
+    }
+  ];
+}
+
+/**
+ * Serve a JSON API to manage the bot from other programs: queue profiles, look up contacts, conversations and
+ * replies, edit campaigns, read the rate limits and run sync jobs. It listens on this machine only and every request
+ * needs `Authorization: Bearer <token>`. Errors are answered as `{ "error": { "status", "message" } }`.
+ * @param {Object} [options]
+ * @param {number} [options.port] - Port to listen on, 0 picks a free one
+ * @param {string} [options.host] - Interface to listen on
+ * @param {string} [options.token] - Access token, API_TOKEN by default, without either a random one is printed
+ * @param {Object} [options.scheduler] - Handle from startScheduler, sync jobs need it
+ * @param {QueueManager} [options.queueManager] - Queue to manage
+ * @returns {Promise<{server: http.Server, url: string}>} - The listening server and the API's base URL
+ */
+export async function startApiServer({
+  port = 4040,
+  host = '127.0.0.1',
+  token = process.env.API_TOKEN,
+  scheduler = null,
+  queueManager = new QueueManager()
+} = {}) {
+  const printToken = !token;
+  token ||= crypto.randomBytes(24).toString('hex');
+  const routes = buildRoutes({ queueManager, scheduler });
+  let origin;
+  let hosts;
+
+  const server = http.createServer(async (req, res) => {
+    try {
+      if (!isLocalRequest(req, hosts)) {
+        throw apiError(403, 'Forbidden');
+      }
+      const presented = bearerToken(req);
+      if (!presented || !tokensEqual(presented, token)) {
+        throw apiError(401, 'Missing or wrong API token');
+      }
+
+      const url = new URL(req.url, origin);
+      const matching = routes.filter(route => route.path.test(url.pathname));
+      if (matching.length === 0) {
+        throw apiError(404, `No such endpoint: ${url.pathname}`);
+      }
+      const route = matching.find(candidate => candidate.method === req.method);
+      if (!route) {
+        res.setHeader('Allow', matching.map(candidate => candidate.method).join(', '));
+        throw apiError(405, `${req.method} is not allowed on ${url.pathname}`);
+      }
+
+      const payload = await route.handler(req, url.pathname.match(route.path), url);
+      sendJson(res, route.status || 200, payload);
+    } catch (error) {
+      if (!error.status) {
+        logger.error('Error serving the API:', error);
+      }
+      const status = error.status || 500;
+      sendJson(res, status, { error: { status, message: error.message } }, status === 401 ? { 'WWW-Authenticate': 'Bearer' } : {});
+    }
+  });
+
+  ({ origin, hosts } = await listen(server, port, host));
+  logger.info(`REST API listening at ${origin}/api`);
+  if (printToken) {
+    // Printed, not logged, so the token stays out of the log files
+    console.log(`REST API token: ${token}`);
+  }
+  return { server, url: `${origin}/api` };
+}
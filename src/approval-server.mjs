@@ -0,0 +1,117 @@
+import http from 'http';
+import os from 'os';
+import { logger } from './logger.mjs';
+import { QueueManager } from './queue-manager.mjs';
+import { ActionType } from './action-log.mjs';
+import { escapeHtml, htmlPage, sendHtml, readForm, isLocalRequest, listen } from './local-server.mjs';
+
+function describeItem(approval) {
+  return approval.type === ActionType.CONNECTION_REQUEST ? 'Invitation note' : `Follow-up step ${approval.step}`;
+}
+
+function reviewPage(contacts, { reviewer, notice, error }) {
+  const items = contacts.map(contact => `
+  <article>
+    <h2><a href="${escapeHtml(contact.profileUrl)}">${escapeHtml(contact.name)}</a></h2>
+    <p>${escapeHtml(contact.headline || '')}</p>
+    <p>${escapeHtml(describeItem(contact.approval))}, campaign ${escapeHtml(contact.campaign || 'default')},
+      requested ${escapeHtml(contact.approval.requestedAt)}</p>
+    <form method="post">
+      <input type="hidden" name="profileUrl" value="${escapeHtml(contact.profileUrl)}">
+      <textarea name="text">${escapeHtml(contact.approval.text)}</textarea>
+      <label>Reviewer <input name="reviewer" required value="${escapeHtml(reviewer)}"></label>
+      <button formaction="/approve">Approve</button>
+      <label>Reason <input name="reason"></label>
+      <button formaction="/reject">Reject</button>
+    </form>
+  </article>`).join('');
+
+  return htmlPage('Awaiting approval', `
+  <h1>Awaiting approval (${contacts.length})</h1>
+  <p><a href="/history">Decisions so far</a></p>
+  ${notice ? `<p class="notice">${escapeHtml(notice)}</p>` : ''}
+  ${error ? `<p class="error">${escapeHtml(error)}</p>` : ''}
+  ${items || '<p>Nothing is waiting for a review.</p>'}`);
+}
+
+function historyPage(decisions) {
+  const rows = decisions.map(decision => `
+    <tr>
+      <td>${escapeHtml(decision.reviewedAt)}</td>
+      <td>${escapeHtml(decision.reviewer)}</td>
+      <td>${escapeHtml(decision.decision)}</td>
+      <td><a href="${escapeHtml(decision.profileUrl)}">${escapeHtml(decision.name)}</a></td>
+      <td>${escapeHtml(describeItem(decision))}</td>
+      <td>${escapeHtml(decision.text)}${decision.reason ? `<br><em>${escapeHtml(decision.reason)}</em>` : ''}</td>
+    </tr>`).join('');
+
+  return htmlPage('Approval history', `
+  <h1>Approval history</h1>
+  <p><a href="/">Back to the review queue</a></p>
+  <table>
+    <tr><th>When</th><th>Reviewer</th><th>Decision</th><th>Contact</th><th>What</th><th>Text</th></tr>${rows}
+  </table>`);
+}
+
+/**
+ * Serve a local page where a reviewer approves, edits or rejects the invitations and follow-up messages
+ * awaiting approval
+ * @param {Object} [options]
+ * @param {number} [options.port] - Port to listen on, 0 picks a free one
+ * @param {string} [options.host] - Interface to listen on, only this machine by default
+ * @param {string} [options.reviewer] - Reviewer name the forms are filled in with
+ * @param {QueueManager} [options.queueManager] - Queue holding the approvals
+ * @returns {Promise<http.Server>} - The listening server
+ */
+export async function startApprovalServer({ port = 4020, host = '127.0.0.1', reviewer = os.userInfo().username, queueManager = new QueueManager() } = {}) {
+  let origin;
+  let hosts;
+
+  const server = http.createServer(async (req, res) => {
+    try {
+      if (!isLocalRequest(req, hosts)) {
+        return sendHtml(res, 403, htmlPage('Forbidden', '<p>Forbidden</p>'));
+      }
+
+      const url = new URL(req.url, origin);
+      if (req.method === 'GET' && url.pathname === '/') {
+        const contacts = await queueManager.listAwaitingApproval();
+        return sendHtml(res, 200, reviewPage(contacts, { reviewer, notice: url.searchParams.get('notice') }));
+      }
+      if (req.method === 'GET' && url.pathname === '/history') {
+        return sendHtml(res, 200, historyPage(await queueManager.listApprovalHistory()));
+      }
+      if (req.method === 'POST' && ['/approve', '/reject'].includes(url.pathname)) {
+        const form = await readForm(req);
+        let decision;
+        try {
+          decision = url.pathname === '/approve' ?
+            await queueManager.approve(form.profileUrl, {
+              reviewer: form.reviewer?.trim(),
+              // Browsers submit textarea line breaks as \r\n
+              text: form.text?.replace(/\r\n/g, '\n')
+            }) :
+            await queueManager.reject(form.profileUrl, { reviewer: form.reviewer?.trim(), reason: form.reason || undefined });
+        } catch (error) {
+          const contacts = await queueManager.listAwaitingApproval();
+          return sendHtml(res, 400, reviewPage(contacts, { reviewer: form.reviewer || reviewer, error: error.message }));
+        }
+
+        const notice = decision ?
+          `${decision.decision[0].toUpperCase()}${decision.decision.slice(1)}: ${form.profileUrl}` :
+          `Nothing awaits approval for ${form.profileUrl}`;
+        res.writeHead(303, { Location: `/?notice=${encodeURIComponent(notice)}` });
+        return res.end();
+      }
+
+      sendHtml(res, 404, htmlPage('Not found', '<p>Not found</p>'));
+    } catch (error) {
+      logger.error('Error serving the approval page:', error);
+      sendHtml(res, 500, htmlPage('Error', `<p>${escapeHtml(error.message)}</p>`));
+    }
+  });
+
+  ({ origin, hosts } = await listen(server, port, host));
+  logger.info(`Approval page at ${origin}/`);
+  return server;
+}
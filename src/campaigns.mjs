@@ -0,0 +1,338 @@
+import { fileURLToPath } from 'url';
+import path from 'path';
+import fs from 'fs/promises';
+import dayjs from 'dayjs';
+import { logger } from './logger.mjs';
+import { rateLimiter } from './rate-limiter.mjs';
+import { validateTemplate, renderTemplate, buildTemplateContext, trimToWordBoundary } from './message-template.mjs';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+const configFile = path.join(__dirname, '../config.json');
+const config = JSON.parse(await fs.readFile(configFile));
+
+// Id given to the campaign built from a config without a campaigns array
+const DEFAULT_CAMPAIGN_ID = 'default';
+
+// LinkedIn rejects invitation notes longer than this
+export const INVITATION_NOTE_LIMIT = 300;
+
+// What to do with an invitation note that renders longer than the limit
+const NOTE_OVERFLOW_MODES = ['trim', 'reject'];
+
+/**
+ * Follow-up steps of a campaign. A campaign with only follow_up_message sends that one message right after acceptance.
+ */
+function normalizeSequence(id, entry) {
+  if (!entry.sequence) {
+    const followUpMessage = entry.follow_up_message || config.follow_up_message;
+    return followUpMessage ? [{ template: followUpMessage, delayDays: 0 }] : [];
+  }
+
+  if (!Array.isArray(entry.sequence)) {
+    throw new Error(`Campaign ${id}: sequence must be an array of steps`);
+  }
+
+  return entry.sequence.map((step, index) => {
+    const delayDays = step.delay_days ?? 0;
+    if (typeof delayDays !== 'number' || delayDays < 0) {
+      throw new Error(`Campaign ${id}: sequence step ${index + 1} needs a delay_days of at least 0`);
+    }
+    if (!step.message) {
+      throw new Error(`Campaign ${id}: sequence step ${index + 1} needs a message`);
+    }
+    return { template: step.message, delayDays };
+  });
+}
+
+/**
+ * Turn one campaign entry from config.json into the shape the bot uses
+ */
+function normalizeCampaign(entry, index) {
+  const id = entry.id || (index === 0 ? DEFAULT_CAMPAIGN_ID : null);
+  if (!id) {
+    throw new Error(`Campaign #${index + 1} in config.json needs an id`);
+  }
+
+  const searchUrls = entry.search_urls || (entry.search_url ? [entry.search_url] : []);
+  const dailyShare = entry.daily_share ?? 1;
+
+  if (typeof dailyShare !== 'number' || dailyShare < 0 || dailyShare > 1) {
+    throw new Error(`Campaign ${id}: daily_share must be a number between 0 and 1`);
+  }
+
+  const sequence = normalizeSequence(id, entry);
+  const invitationNote = entry.invitation_note || null;
+
+  const templates = sequence.map((step, index) => [`sequence step ${index + 1}`, step.template]);
+  for (const [key, template] of [...templates, ['invitation_note', invitationNote]]) {
+    const errors = template ? validateTemplate(template) : [];
+    if (errors.length > 0) {
+      throw new Error(`Campaign ${id}: invalid ${key} template: ${errors.join('; ')}`);
+    }
+  }
+
+  const noteOverflow = entry.invitation_note_overflow || 'trim';
+  if (!NOTE_OVERFLOW_MODES.includes(noteOverflow)) {
+    throw new Error(`Campaign ${id}: invitation_note_overflow must be one of ${NOTE_OVERFLOW_MODES.join(', ')}`);
+  }
+
+  for (const key of ['start_date', 'end_date']) {
+    if (entry[key] && !dayjs(entry[key]).isValid()) {
+      throw new Error(`Campaign ${id}: ${key} is not a valid date`);
+    }
+  }
+
+  return {
+    id,
+    name: entry.name || id,
+    enabled: entry.enabled !== false,
+    searchUrls,
+    sequence,
+    invitationNote,
+    noteOverflow,
+    dailyShare,
+    startDate: entry.start_date || null,
+    endDate: entry.end_date || null,
+    harvestPageBudget: entry.harvest_page_budget ?? config.harvest_page_budget,
+    requireApproval: entry.require_approval === true
+  };
+}
+
+// Defaults for the stale invitation withdrawal keys in config.json
+const WITHDRAWAL_DEFAULTS = {
+  withdraw_after_days: 21,
+  daily_withdraw_limit: 10,
+  reinvite_cooldown_days: 90
+};
+
+/**
+ * Read the settings for withdrawing stale invitations from config.json
+ */
+function normalizeWithdrawalSettings(settings) {
+  const values = {};
+  for (const [key, fallback] of Object.entries(WITHDRAWAL_DEFAULTS)) {
+    const value = settings[key] ?? fallback;
+    if (!Number.isInteger(value) || value < 0) {
+      throw new Error(`config.json: ${key} must be a whole number of at least 0`);
+    }
+    values[key] = value;
+  }
+
+  return {
+    afterDays: values.withdraw_after_days,
+    dailyLimit: values.daily_withdraw_limit,
+    cooldownDays: values.reinvite_cooldown_days
+  };
+}
+
+// Phrases in a reply that put the sender on the do-not-contact list, unless config.json sets opt_out_keywords
+const DEFAULT_OPT_OUT_KEYWORDS = ['not interested', 'stop', 'unsubscribe', 'remove me'];
+
+function normalizeOptOutKeywords(keywords) {
+  if (keywords === undefined) {
+    return DEFAULT_OPT_OUT_KEYWORDS;
+  }
+  if (!Array.isArray(keywords) || keywords.some(keyword => typeof keyword !== 'string' || !keyword.trim())) {
+    throw new Error('config.json: opt_out_keywords must be an array of phrases');
+  }
+  return keywords;
+}
+
+/**
+ * Campaigns configured in config.json. A config with the older top-level
+ * search_url/follow_up_message keys is treated as a single default campaign.
+ */
+export class CampaignManager {
+  constructor(campaignConfig, filePath = configFile) {
+    this.config = campaignConfig;
+    this.configFile = filePath;
+
+    const entries = Array.isArray(campaignConfig.campaigns) ? campaignConfig.campaigns : [campaignConfig];
+    this.campaigns = entries.map(normalizeCampaign);
+
+    const ids = new Set();
+    for (const campaign of this.campaigns) {
+      if (ids.has(campaign.id)) {
+        throw new Error(`Duplicate campaign id in config.json: ${campaign.id}`);
+      }
+      ids.add(campaign.id);
+
+      if (campaign.enabled && campaign.searchUrls.length === 0) {
+        logger.warn(`Campaign ${campaign.id} has no search URLs and will not harvest profiles`);
+      }
+    }
+  }
+
+  getCampaign(id) {
+    return this.campaigns.find(campaign => campaign.id === id) || null;
+  }
+
+  /**
+   * Entry of a campaign as written in config.json, or null
+   */
+  getEntry(id) {
+    const index = this.campaigns.findIndex(campaign => campaign.id === id);
+    if (index === -1) {
+      return null;
+    }
+    return Array.isArray(this.config.campaigns) ? this.config.campaigns[index] : this.config;
+  }
+
+  /**
+   * Add a campaign to config.json, or replace the one with the same id, and use it from now on
+   * @param {Object} entry - Campaign entry in the config.json format
+   * @returns {Promise<Object>} - The campaign as the bot uses it
+   * @throws {Error} - When the entry is invalid, or config.json has the older single-campaign keys
+   */
+  async saveCampaign(entry) {
+    if (!Array.isArray(this.config.campaigns)) {
+      throw new Error('config.json has no campaigns array, move its campaign keys into one to edit campaigns');
+    }
+    if (!entry.id) {
+      throw new Error('A campaign needs an id');
+    }
+
+    const index = this.campaigns.findIndex(campaign => campaign.id === entry.id);
+    const position = index === -1 ? this.campaigns.length : index;
+    const campaign = normalizeCampaign(entry, position);
+
+    const entries = [...this.config.campaigns];
+    entries[position] = entry;
+
+    // Renamed over config.json so a crash never leaves half a file behind
+    const tmpFile = `${this.configFile}.tmp`;
+    await fs.writeFile(tmpFile, `${JSON.stringify({ ...this.config, campaigns: entries }, null, 2)}\n`);
+    await fs.rename(tmpFile, this.configFile);
+
+    this.config.campaigns = entries;
+    this.campaigns[position] = campaign;
+    logger.info(`Saved campaign ${campaign.id} to config.json`);
+    return campaign;
+  }
+
+  /**
+   * Campaign that sourced a contact. Contacts from before campaigns existed belong to the first campaign.
+   */
+  campaignFor(contact) {
+    return contact.campaign ? this.getCampaign(contact.campaign) : this.campaigns[0];
+  }
+
+  /**
+   * Render a message template for a contact with its campaign's variables
+   * @throws {Error} - When the template references a value the contact doesn't have
+   */
+  renderForContact(template, contact) {
+    return renderTemplate(template, buildTemplateContext(contact, this.campaignFor(contact)));
+  }
+
+  /**
+   * Follow-up steps of the contact's campaign
+   */
+  sequenceFor(contact) {
+    return this.campaignFor(contact)?.sequence || [];
+  }
+
+  /**
+   * Render one follow-up step of the contact's campaign, or null if the sequence has no such step
+   * @throws {Error} - When the template references a value the contact doesn't have
+   */
+  renderSequenceStep(contact, stepIndex) {
+    const step = this.sequenceFor(contact)[stepIndex];
+    return step ? this.renderForContact(step.template, contact) : null;
+  }
+
+  /**
+   * Render the invitation note of the contact's campaign, or null if it has none.
+   * Notes over LinkedIn's limit are trimmed on a word boundary or rejected, per campaign.
+   * @throws {Error} - When the note can't be rendered or doesn't fit
+   */
+  renderInvitationNote(contact) {
+    const campaign = this.campaignFor(contact);
+    if (!campaign?.invitationNote) {
+      return null;
+    }
+
+    const note = this.renderForContact(campaign.invitationNote, contact);
+    if (note.length <= INVITATION_NOTE_LIMIT) {
+      return note;
+    }
+
+    const trimmed = campaign.noteOverflow === 'trim' ? trimToWordBoundary(note, INVITATION_NOTE_LIMIT) : null;
+    if (!trimmed) {
+      throw new Error(`Invitation note is ${note.length} characters, the limit is ${INVITATION_NOTE_LIMIT}`);
+    }
+    return trimmed;
+  }
+
+  /**
+   * Whether a campaign is enabled and today falls within its date range
+   */
+  isActive(campaign, date = new Date()) {
+    if (!campaign || !campaign.enabled) {
+      return false;
+    }
+
+    const day = dayjs(date);
+    if (campaign.startDate && day.isBefore(dayjs(campaign.startDate).startOf('day'))) {
+      return false;
+    }
+    if (campaign.endDate && day.isAfter(dayjs(campaign.endDate).endOf('day'))) {
+      return false;
+    }
+    return true;
+  }
+
+  getActiveCampaigns(date = new Date()) {
+    return this.campaigns.filter(campaign => this.isActive(campaign, date));
+  }
+
+  /**
+   * Daily cap for one action type, as the campaign's share of the global limit
+   */
+  getDailyLimit(campaign, type) {
+    const globalLimit = type === 'connection' ? rateLimiter.dailyConnectionLimit : rateLimiter.dailyMessageLimit;
+    return Math.floor(globalLimit * campaign.dailyShare);
+  }
+
+  /**
+   * Whether the campaign is active and still has room in its daily share.
+   * The global RateLimiter limits are checked separately.
+   */
+  async hasBudget(campaign, type) {
+    if (!this.isActive(campaign)) {
+      return false;
+    }
+
+    const used = await rateLimiter.getDailyCount(type, campaign.id);
+    const limit = this.getDailyLimit(campaign, type);
+
+    if (used >= limit) {
+      logger.info(`Campaign ${campaign.id} used its daily ${type} share (${used}/${limit})`);
+      return false;
+    }
+    return true;
+  }
+
+  /**
+   * Ids of the active campaigns that may still send the given action type today
+   */
+  async getCampaignsWithBudget(type) {
+    const ids = [];
+    for (const campaign of this.getActiveCampaigns()) {
+      if (await this.hasBudget(campaign, type)) {
+        ids.push(campaign.id);
+      }
+    }
+    return ids;
+  }
+}
+
+// Export singleton instance
+export const campaignManager = new CampaignManager(config);
+
+// Invitations older than afterDays are withdrawn, at most dailyLimit a day, and not re-invited for cooldownDays
+export const withdrawalSettings = normalizeWithdrawalSettings(config);
+
+export const optOutKeywords = normalizeOptOutKeywords(config.opt_out_keywords);
@@ -0,0 +1,342 @@
+#!/usr/bin/env node
+import { parseArgs } from 'util';
+import os from 'os';
+import { contactStore, ContactStatus } from './contact-store.mjs';
+import { QueueManager } from './queue-manager.mjs';
+import { campaignManager } from './campaigns.mjs';
+import { rateLimiter } from './rate-limiter.mjs';
+import { actionLog } from './action-log.mjs';
+import { sessionManager } from './session-manager.mjs';
+import { selectorRegistry } from './selectors.mjs';
+import { normalizeProfileUrl, nameFromProfileUrl } from './profile-url.mjs';
+import { syncInvitations, withdrawStaleInvitations } from './connection-sync.mjs';
+import { syncInbox } from './inbox-sync.mjs';
+import { startApprovalServer } from './approval-server.mjs';
+import { launchBrowser, signIn, runOnce, runDaemon, harvestCampaign, deduplicateProfiles } from './linkedin-bot.mjs';
+
+/**
+ * Process exit codes, for scripts calling the CLI
+ */
+const ExitCode = {
+  OK: 0,
+  ERROR: 1,
+  USAGE: 2,
+  // The contact or queue entry asked for doesn't exist
+  NOT_FOUND: 3,
+  // No saved session and no LINKEDIN_USER/LINKEDIN_PASSWORD to sign in with
+  NOT_LOGGED_IN: 4,
+  // Nothing changed, e.g. the profile was already queued or is on the do-not-contact list
+  REJECTED: 5
+};
+
+const USAGE = `Usage: bot <command> [options]
+
+Commands:
+  run [--once]                        Run the daemon, or a single pass with --once
+  harvest [--campaign <id>]           Queue profiles from the searches of active campaigns
+  sync [--invitations] [--withdraw] [--inbox]
+                                      Sync invitations and the inbox (all three without flags)
+  queue list                          Queued profiles, oldest first
+  queue add <url> [--name <name>] [--campaign <id>]
+  queue remove <url>
+  queue clear [--older-than <days>]   Empty the queue, or drop profiles queued at least <days> ago
+  approvals list                      Invitations and follow-up messages awaiting approval, oldest first
+  approvals approve <url> [--text <text>] [--reviewer <name>]
+                                      Approve, with --text replacing the note or message
+  approvals reject <url> [--reason <reason>] [--reviewer <name>]
+  approvals history                   Who approved or rejected what, and when
+  approvals serve [--port <port>]     Review them on a local web page until stopped with Ctrl+C
+  contacts show <url>                 A contact's record and its logged actions
+  stats                               Contact counts, the queue and today's usage of the limits
+  login                               Sign in and save the session cookies
+  dedupe                              Merge contact records of the same profile
+
+Every command prints its result as JSON on stdout, logs go to stderr.
+--dry-run fills in invitations and messages without sending them, and skips withdrawals.
+Browser commands never prompt: they use the saved session, or LINKEDIN_USER and LINKEDIN_PASSWORD from .env.
+
+Exit codes: 0 ok, 1 error, 2 usage, 3 not found, 4 not logged in, 5 nothing changed`;
+
+const OPTIONS = {
+  once: { type: 'boolean' },
+  campaign: { type: 'string' },
+  invitations: { type: 'boolean' },
+  withdraw: { type: 'boolean' },
+  inbox: { type: 'boolean' },
+  name: { type: 'string' },
+  'older-than': { type: 'string' },
+  text: { type: 'string' },
+  reason: { type: 'string' },
+  reviewer: { type: 'string' },
+  port: { type: 'string' },
+  // Read by isDryRun from process.argv
+  'dry-run': { type: 'boolean' },
+  help: { type: 'boolean', short: 'h' }
+};
+
+/**
+ * Error that ends the process with a specific exit code
+ */
+function cliError(message, exitCode) {
+  const error = new Error(message);
+  error.exitCode = exitCode;
+  return error;
+}
+
+/**
+ * Canonical profile URL from an argument
+ * @throws {Error} - Usage error when it isn't a profile URL
+ */
+function profileUrlArg(value) {
+  const profileUrl = normalizeProfileUrl(value);
+  if (!profileUrl) {
+    throw cliError(`Not a LinkedIn profile URL: ${value ?? '(missing)'}`, ExitCode.USAGE);
+  }
+  return profileUrl;
+}
+
+function campaignArg(id) {
+  const campaign = campaignManager.getCampaign(id);
+  if (!campaign) {
+    throw cliError(`Unknown campaign: ${id}`, ExitCode.USAGE);
+  }
+  return campaign;
+}
+
+/**
+ * Launch the browser, sign in without prompting and run fn with the page. The browser is always closed afterwards.
+ * @param {Function} fn - Called with the logged-in page
+ * @returns {Promise<*>} - What fn returns
+ */
+async function withBrowser(fn) {
+  const { browser, page } = await launchBrowser();
+  try {
+    if (!(await signIn(page, { interactive: false }))) {
+      throw cliError('Not logged in', ExitCode.NOT_LOGGED_IN);
+    }
+    return await fn(page);
+  } finally {
+    await sessionManager.saveCookies(page).catch(error => console.error(`Error saving cookies: ${error.message}`));
+    await selectorRegistry.logReport();
+    await browser.close();
+  }
+}
+
+const commands = {
+  async run({ values }) {
+    return withBrowser(async page => {
+      if (values.once) {
+        return runOnce(page);
+      }
+      await runDaemon(page);
+      return { stopped: true };
+    });
+  },
+
+  async harvest({ values }) {
+    const campaigns = values.campaign ? [campaignArg(values.campaign)] : campaignManager.getActiveCampaigns();
+    const queueManager = new QueueManager();
+
+    return withBrowser(async page => {
+      const added = {};
+      for (const campaign of campaigns) {
+        added[campaign.id] = await harvestCampaign(page, queueManager, campaign);
+      }
+      return { added };
+    });
+  },
+
+  async sync({ values }) {
+    const all = !values.invitations && !values.withdraw && !values.inbox;
+
+    return withBrowser(async page => {
+      const result = {};
+      if (all || values.invitations) {
+        result.invitations = await syncInvitations(page);
+      }
+      if (all || values.withdraw) {
+        result.withdrawn = await withdrawStaleInvitations(page);
+      }
+      if (all || values.inbox) {
+        result.inbox = await syncInbox(page);
+      }
+      return result;
+    });
+  },
+
+  async queue({ values, positionals: [action, target] }) {
+    const queueManager = new QueueManager();
+
+    switch (action) {
+      case 'list':
+        return queueManager.listQueue();
+
+      case 'add': {
+        const profileUrl = profileUrlArg(target);
+        const campaign = values.campaign ? campaignArg(values.campaign).id : undefined;
+        const name = values.name || nameFromProfileUrl(profileUrl) || 'Unknown';
+        const added = await queueManager.addToQueue({ profileUrl, name, campaign });
+        if (added === null) {
+          throw cliError(`${profileUrl} could not be queued, see the log`, ExitCode.ERROR);
+        }
+        if (!added) {
+          throw cliError(`${profileUrl} was not queued, it is already known or on the do-not-contact list`, ExitCode.REJECTED);
+        }
+        return contactStore.get(profileUrl);
+      }
+
+      case 'remove': {
+        const profileUrl = profileUrlArg(target);
+        const removed = await contactStore.transaction(tx => {
+          if (tx.get(profileUrl)?.status !== ContactStatus.QUEUED) {
+            return false;
+          }
+          tx.remove(profileUrl);
+          return true;
+        });
+        if (!removed) {
+          throw cliError(`${profileUrl} is not in the queue`, ExitCode.NOT_FOUND);
+        }
+        return { removed: profileUrl };
+      }
+
+      case 'clear': {
+        const olderThan = values['older-than'] === undefined ? 0 : Number(values['older-than']);
+        if (!Number.isInteger(olderThan) || olderThan < 0) {
+          throw cliError('--older-than takes a number of days', ExitCode.USAGE);
+        }
+        const removed = await queueManager.cleanQueue(olderThan);
+        if (removed === null) {
+          throw cliError('Could not clear the queue', ExitCode.ERROR);
+        }
+        return { removed };
+      }
+
+      default:
+        throw cliError(USAGE, ExitCode.USAGE);
+    }
+  },
+
+  async approvals({ values, positionals: [action, target] }) {
+    const queueManager = new QueueManager();
+    const reviewer = values.reviewer || os.userInfo().username;
+
+    switch (action) {
+      case 'list':
+        return (await queueManager.listAwaitingApproval()).map(contact => ({
+          profileUrl: contact.profileUrl,
+          name: contact.name,
+          campaign: contact.campaign,
+          ...contact.approval
+        }));
+
+      case 'approve':
+      case 'reject': {
+        const profileUrl = profileUrlArg(target);
+        let decision;
+        try {
+          decision = action === 'approve' ?
+            await queueManager.approve(profileUrl, { reviewer, text: values.text }) :
+            await queueManager.reject(profileUrl, { reviewer, reason: values.reason });
+        } catch (error) {
+          throw cliError(error.message, ExitCode.USAGE);
+        }
+        if (!decision) {
+          throw cliError(`Nothing awaits approval for ${profileUrl}`, ExitCode.NOT_FOUND);
+        }
+        return { profileUrl, ...decision };
+      }
+
+      case 'history':
+        return queueManager.listApprovalHistory();
+
+      case 'serve': {
+        const port = values.port === undefined ? undefined : Number(values.port);
+        if (port !== undefined && (!Number.isInteger(port) || port < 0 || port > 65535)) {
+          throw cliError('--port takes a port number', ExitCode.USAGE);
+        }
+        const server = await startApprovalServer({ port, reviewer, queueManager });
+        console.log(`Review at http://127.0.0.1:${server.address().port}/, Ctrl+C to stop`);
+        await new Promise(resolve => process.once('SIGINT', resolve));
+        server.close();
+        return { stopped: true };
+      }
+
+      default:
+        throw cliError(USAGE, ExitCode.USAGE);
+    }
+  },
+
+  async contacts({ positionals: [action, target] }) {
+    if (action !== 'show') {
+      throw cliError(USAGE, ExitCode.USAGE);
+    }
+
+    const profileUrl = profileUrlArg(target);
+    const contact = await contactStore.get(profileUrl);
+    if (!contact) {
+      throw cliError(`No contact for ${profileUrl}`, ExitCode.NOT_FOUND);
+    }
+    return { contact, actions: await actionLog.list({ profileUrl }) };
+  },
+
+  async stats() {
+    const queueManager = new QueueManager();
+    return {
+      contacts: await contactStore.countByStatus(),
+      queue: await queueManager.getQueueStatus(),
+      today: {
+        connections: await rateLimiter.getDailyCount('connection'),
+        messages: await rateLimiter.getDailyCount('message'),
+        withdrawals: await rateLimiter.getDailyCount('withdrawal')
+      },
+      limits: {
+        dailyConnections: rateLimiter.dailyConnectionLimit,
+        weeklyConnections: rateLimiter.weeklyConnectionLimit,
+        dailyMessages: rateLimiter.dailyMessageLimit
+      }
+    };
+  },
+
+  async login() {
+    return withBrowser(async () => ({ loggedIn: true }));
+  },
+
+  async dedupe() {
+    const result = await deduplicateProfiles();
+    if (!result) {
+      throw cliError('Deduplicating contact records failed', ExitCode.ERROR);
+    }
+    return result;
+  }
+};
+
+async function main(argv) {
+  let parsed;
+  try {
+    parsed = parseArgs({ args: argv, options: OPTIONS, allowPositionals: true });
+  } catch (error) {
+    throw cliError(`${error.message}\n\n${USAGE}`, ExitCode.USAGE);
+  }
+
+  const [command, ...positionals] = parsed.positionals;
+  if (parsed.values.help || !commands[command]) {
+    throw cliError(USAGE, parsed.values.help ? ExitCode.OK : ExitCode.USAGE);
+  }
+
+  return commands[command]({ values: parsed.values, positionals });
+}
+
+// stdout carries only the JSON result, everything the bot prints along the way goes to stderr
+const print = console.log;
+console.log = console.error;
+
+main(process.argv.slice(2))
+  .then(result => {
+    print(JSON.stringify(result, null, 2));
+    process.exit(ExitCode.OK);
+  })
+  .catch(error => {
+    console.error(error.exitCode === undefined ? error : error.message);
+    process.exit(error.exitCode ?? ExitCode.ERROR);
+  });
@@ -0,0 +1,236 @@
+import dayjs from 'dayjs';
+import { logger } from './logger.mjs';
+import { contactStore, ContactStatus } from './contact-store.mjs';
+import { rateLimiter } from './rate-limiter.mjs';
+import { withdrawalSettings } from './campaigns.mjs';
+import { isDryRun } from './dry-run.mjs';
+import { ConnectionsPage } from './pages/connections-page.mjs';
+import { InvitationManagerPage } from './pages/invitation-manager-page.mjs';
+
+// Upper bound on scroll/load rounds of the withdrawal walk, so a huge list can't keep the job running forever
+const MAX_ROUNDS = 200;
+
+// Rounds without new invitations before the end of the list is assumed
+const IDLE_ROUNDS = 2;
+
+// Withdrawn invitations are still looked for among connections for this many days, in case the sync missed an acceptance
+const WITHDRAWN_RECHECK_DAYS = 14;
+
+/**
+ * An unread list, after being redirected to a login page instead of it
+ */
+function loginWall(listName) {
+  logger.warn(`Redirected to a login page while reading ${listName}`);
+  return { profileUrls: new Set(), complete: false };
+}
+
+/**
+ * Work out what happened to each pending invitation
+ * @param {Object[]} contacts - Invited contacts, and withdrawn ones that may have accepted since
+ * @param {Object} connections - Result of reading the connections list
+ * @param {Object} sentInvitations - Result of reading the sent invitations manager
+ * @returns {{accepted: Object[], pending: Object[], withdrawn: Object[]}} - Contacts grouped by their new state.
+ *   A withdrawn contact whose invitation is listed as sent again is pending.
+ */
+export function reconcileInvitations(contacts, connections, sentInvitations) {
+  const result = { accepted: [], pending: [], withdrawn: [] };
+  // A list without a single link looks the same as one whose link selector stopped matching, so it proves nothing gone
+  const readToEnd = list => list.complete && list.profileUrls.size > 0;
+
+  for (const contact of contacts) {
+    if (connections.profileUrls.has(contact.profileUrl)) {
+      result.accepted.push(contact);
+    } else if (sentInvitations.profileUrls.has(contact.profileUrl)) {
+      result.pending.push(contact);
+    } else if (contact.status !== ContactStatus.INVITED) {
+      continue;
+    } else if (readToEnd(connections) && readToEnd(sentInvitations)) {
+      // Only when both lists were read to the end can a missing invitation be trusted to be gone
+      result.withdrawn.push(contact);
+    }
+  }
+
+  return result;
+}
+
+/**
+ * Reconcile pending invitations against the connections list and the sent invitations manager.
+ * Accepted contacts move to accepted, invitations that are neither accepted nor pending anymore
+ * (withdrawn by us or by LinkedIn, or declined) move to withdrawn.
+ * @param {Page} page - Logged-in Puppeteer page object
+ * @param {ContactStore} [store] - Contact store to update
+ * @returns {Promise<{accepted: number, pending: number, withdrawn: number}>} - Number of contacts in each state
+ */
+export async function syncInvitations(page, store = contactStore) {
+  const invited = await store.listByStatus(ContactStatus.INVITED);
+  const recheckSince = dayjs().subtract(WITHDRAWN_RECHECK_DAYS, 'day');
+  const withdrawn = (await store.listByStatus(ContactStatus.WITHDRAWN))
+    .filter(contact => dayjs(contact.withdrawnAt).isAfter(recheckSince));
+
+  if (invited.length === 0 && withdrawn.length === 0) {
+    logger.info('No pending invitations to sync');
+    return { accepted: 0, pending: 0, withdrawn: 0 };
+  }
+
+  // Newest connections are listed first, so stop once every pending invitation has turned up. Withdrawn contacts
+  // aren't waited for, an acceptance an earlier sync missed is recent and turns up among the connections read anyway.
+  const targets = invited.map(contact => contact.profileUrl);
+  const connectionsPage = new ConnectionsPage(page);
+  const connections = await connectionsPage.open() ?
+    await connectionsPage.listConnections({ isDone: found => targets.every(profileUrl => found.has(profileUrl)) }) :
+    loginWall('the connections list');
+  logger.info(`Read ${connections.profileUrls.size} connections${connections.complete ? '' : ' (incomplete)'}`);
+
+  const invitationsPage = new InvitationManagerPage(page);
+  const sentInvitations = await invitationsPage.open() ? await invitationsPage.listInvitedProfileUrls() : loginWall('sent invitations');
+  logger.info(`Read ${sentInvitations.profileUrls.size} sent invitations${sentInvitations.complete ? '' : ' (incomplete)'}`);
+  if (sentInvitations.complete && sentInvitations.profileUrls.size === 0 && invited.length > 0) {
+    logger.warn('No sent invitations found while invitations are out, none are marked withdrawn');
+  }
+
+  const result = reconcileInvitations([...invited, ...withdrawn], connections, sentInvitations);
+  const now = new Date().toISOString();
+
+  await store.transaction(tx => {
+    result.accepted.forEach(contact => tx.setStatus(contact.profileUrl, ContactStatus.ACCEPTED));
+    for (const contact of result.pending) {
+      if (contact.status === ContactStatus.INVITED) {
+        tx.update(contact.profileUrl, { pendingCheckedAt: now });
+        continue;
+      }
+      // The invitation is still out, it was marked withdrawn after a sync that missed it.
+      // It keeps the time it was sent, so it is withdrawn as stale on time.
+      tx.setStatus(contact.profileUrl, ContactStatus.INVITED, { pendingCheckedAt: now });
+      tx.update(contact.profileUrl, { invitedAt: contact.invitedAt });
+    }
+    result.withdrawn.forEach(contact => tx.setStatus(contact.profileUrl, ContactStatus.WITHDRAWN));
+  });
+
+  const counts = {
+    accepted: result.accepted.length,
+    pending: result.pending.length,
+    withdrawn: result.withdrawn.length
+  };
+  logger.info(`Invitation sync: ${counts.accepted} accepted, ${counts.pending} pending, ${counts.withdrawn} withdrawn`);
+  return counts;
+}
+
+/**
+ * Parse the age of a sent invitation ("Sent today", "Sent 3 weeks ago") into days
+ * @param {string} text - Time badge text from the invitation card
+ * @returns {number|null} - Approximate age in days, or null when it can't be read
+ */
+export function parseSentAge(text) {
+  const value = (text || '').toLowerCase();
+  if (/today|just now|\b(second|minute|hour)s?\b/.test(value)) {
+    return 0;
+  }
+  if (/yesterday/.test(value)) {
+    return 1;
+  }
+
+  const match = value.match(/(\d+|an?|one)\s+(day|week|month|year)s?/);
+  if (!match) {
+    return null;
+  }
+
+  const count = /^\d+$/.test(match[1]) ? parseInt(match[1], 10) : 1;
+  const unitDays = { day: 1, week: 7, month: 30, year: 365 };
+  return count * unitDays[match[2]];
+}
+
+/**
+ * Withdraw pending invitations older than the configured age through the sent invitations manager.
+ * Only invitations the bot sent are withdrawn, those sent by hand are left alone. Withdrawn contacts are marked withdrawn so they aren't invited again until the cooldown is over.
+ * @param {Page} page - Logged-in Puppeteer page object
+ * @param {Object} [options]
+ * @param {number} [options.afterDays] - Minimum age in days of an invitation to withdraw, 0 disables the job
+ * @param {number} [options.dailyLimit] - Maximum withdrawals per day
+ * @param {ContactStore} [store] - Contact store to update
+ * @returns {Promise<number>} - Number of invitations withdrawn
+ */
+export async function withdrawStaleInvitations(page, { afterDays = withdrawalSettings.afterDays, dailyLimit = withdrawalSettings.dailyLimit } = {}, store = contactStore) {
+  if (afterDays === 0) {
+    logger.info('Withdrawing stale invitations is disabled');
+    return 0;
+  }
+  if (isDryRun()) {
+    logger.info('Dry run, not withdrawing invitations');
+    return 0;
+  }
+  if (rateLimiter.isBackingOff()) {
+    return 0;
+  }
+
+  const remaining = dailyLimit - await rateLimiter.getDailyCount('withdrawal');
+  if (remaining <= 0) {
+    logger.info(`Daily withdrawal limit reached (${dailyLimit})`);
+    return 0;
+  }
+
+  const invitationsPage = new InvitationManagerPage(page);
+  if (!(await invitationsPage.open())) {
+    logger.warn('Redirected to a login page while opening sent invitations');
+    return 0;
+  }
+
+  const staleBefore = dayjs().subtract(afterDays, 'day');
+  const seen = new Set();
+  let withdrawn = 0;
+  let idleRounds = 0;
+
+  for (let round = 0; round < MAX_ROUNDS && withdrawn < remaining; round++) {
+    const cards = (await invitationsPage.listInvitations())
+      .filter(card => !seen.has(card.profileUrl))
+      .map(card => ({ ...card, ageDays: parseSentAge(card.sent) }));
+    cards.forEach(card => seen.add(card.profileUrl));
+
+    for (const card of cards) {
+      const contact = await store.get(card.profileUrl);
+      if (contact?.status !== ContactStatus.INVITED) {
+        continue;
+      }
+
+      // Our own invitedAt is exact, the card only shows a rounded age
+      const stale = contact.invitedAt ?
+        dayjs(contact.invitedAt).isBefore(staleBefore) :
+        card.ageDays !== null && card.ageDays >= afterDays;
+
+      if (!stale) {
+        continue;
+      }
+
+      const result = await invitationsPage.withdraw(card);
+      if (!result.withdrawn) {
+        logger.warn(`Could not withdraw the invitation to ${card.profileUrl}: ${result.reason}`);
+        continue;
+      }
+
+      await rateLimiter.recordAction('withdrawal', contact.campaign);
+      await store.setStatus(card.profileUrl, ContactStatus.WITHDRAWN, { withdrawReason: 'stale' });
+
+      withdrawn++;
+      logger.info(`Withdrew invitation to ${contact.name || card.name || card.profileUrl} (${withdrawn}/${remaining})`);
+
+      if (withdrawn >= remaining) {
+        break;
+      }
+    }
+
+    // Oldest invitations are at the end of the list, keep scrolling and paging until it ends
+    idleRounds = cards.length === 0 ? idleRounds + 1 : 0;
+    if (idleRounds >= IDLE_ROUNDS) {
+      if (!(await invitationsPage.nextPage())) {
+        break;
+      }
+      idleRounds = 0;
+    } else {
+      await invitationsPage.loadMore();
+    }
+
+    await new Promise(r => setTimeout(r, 2000 + Math.random() * 1000))
+  }
+
+  logger.info(`Withdrew ${withdrawn} stale invitations`);
+  return withdrawn;
+}
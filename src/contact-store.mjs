@@ -0,0 +1,574 @@
+import path from 'path';
+import fs from 'fs/promises';
+import { logger } from './logger.mjs';
+import { dataPath } from './paths.mjs';
+import { withFileLock } from './file-lock.mjs';
+
+const journalFile = dataPath('contacts.jsonl');
+
+// Legacy flat files imported once by migrateLegacyJson()
+const legacyFiles = {
+  queue: dataPath('queue.json'),
+  processed: dataPath('processed.json'),
+  pending: dataPath('pending.json'),
+  messaged: dataPath('messaged.json')
+};
+
+// Rewrite the journal once it holds this many more lines than live records
+const COMPACTION_SLACK = 500;
+
+/**
+ * Lifecycle of a contact, in the order a contact normally moves through it
+ */
+export const ContactStatus = {
+  // Harvested for a campaign that requires approval, a reviewer hasn't approved the invitation yet
+  AWAITING_APPROVAL: 'awaiting_approval',
+  QUEUED: 'queued',
+  INVITED: 'invited',
+  ACCEPTED: 'accepted',
+  MESSAGED: 'messaged',
+  REPLIED: 'replied',
+  WITHDRAWN: 'withdrawn',
+  // A reviewer turned the invitation down
+  REJECTED: 'rejected',
+  FAILED: 'failed'
+};
+
+const STATUS_RANK = {
+  [ContactStatus.FAILED]: 0,
+  [ContactStatus.WITHDRAWN]: 0,
+  [ContactStatus.REJECTED]: 0,
+  [ContactStatus.AWAITING_APPROVAL]: 1,
+  [ContactStatus.QUEUED]: 1,
+  [ContactStatus.INVITED]: 2,
+  [ContactStatus.ACCEPTED]: 3,
+  [ContactStatus.MESSAGED]: 4,
+  [ContactStatus.REPLIED]: 5
+};
+
+/**
+ * Contact store backed by an append-only JSON lines journal.
+ *
+ * Every write is a single journal line flushed to disk before the in-memory
+ * state changes, so a crash can at worst lose the line being written. On load
+ * the journal is replayed and a torn trailing line is ignored. The journal is
+ * compacted into one line per contact by writing a new file and renaming it.
+ *
+ * Other processes (the CLI, the approval server) share the journal. Writes and
+ * compaction hold a lock file and first apply what the others appended, and
+ * reads pick up new lines, so no process works from a stale copy.
+ */
+export class ContactStore {
+  constructor(filePath = journalFile) {
+    this.filePath = filePath;
+    this.lockFile = `${filePath}.lock`;
+    this.contacts = new Map();
+    this.statusIndex = new Map();
+    this.urnIndex = new Map();
+    this.dueIndex = new Set();
+    this.meta = {};
+    this.journalLines = 0;
+    // Journal file read so far and how many of its bytes have been applied
+    this.inode = null;
+    this.offset = 0;
+    this.loading = null;
+    this.lock = Promise.resolve();
+    this.reading = Promise.resolve();
+  }
+
+  /**
+   * Replay the journal, then import the legacy JSON files if that never happened
+   */
+  async load() {
+    if (!this.loading) {
+      this.loading = this.acquire(() => {}).then(() => migrateLegacyJson(this));
+    }
+    return this.loading;
+  }
+
+  /**
+   * Load the store and apply what other processes appended since the last read
+   */
+  async refresh() {
+    await this.load();
+    await this.serialize(() => this.readJournal());
+  }
+
+  /**
+   * Apply the journal lines written since the last read, replaying it from the start when another process compacted
+   * it. A last line without its newline is still being appended by another process, unless this one holds the lock.
+   * Then the process writing it died, and compacting drops it so the next append starts on a clean line.
+   * @param {Object} [options]
+   * @param {boolean} [options.locked] - Whether the caller holds the journal lock
+   */
+  async readJournal({ locked = false } = {}) {
+    let handle;
+    try {
+      handle = await fs.open(this.filePath, 'r');
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        throw error;
+      }
+      return;
+    }
+
+    let buffer;
+    try {
+      const { ino, size } = await handle.stat();
+      if (ino !== this.inode || size < this.offset) {
+        this.reset(ino);
+      }
+      buffer = Buffer.alloc(size - this.offset);
+      if (buffer.length > 0) {
+        await handle.read(buffer, 0, buffer.length, this.offset);
+      }
+    } finally {
+      await handle.close();
+    }
+
+    const replayed = this.offset === 0;
+    const end = buffer.lastIndexOf('\n') + 1;
+    buffer.subarray(0, end).toString('utf8').split('\n').forEach(line => {
+      if (!line.trim()) {
+        return;
+      }
+      try {
+        this.apply(JSON.parse(line));
+        this.journalLines++;
+      } catch (error) {
+        logger.error(`Skipping unreadable entry in ${this.filePath}`, error);
+      }
+    });
+    this.offset += end;
+
+    if (replayed && this.contacts.size > 0) {
+      logger.info(`Loaded ${this.contacts.size} contacts from ${path.basename(this.filePath)}`);
+    }
+
+    if (!locked) {
+      return;
+    }
+    const torn = buffer.subarray(end).toString('utf8').trim() !== '';
+    if (torn) {
+      logger.warn(`Ignoring incomplete trailing entry in ${this.filePath}`);
+    }
+    if (torn || this.journalLines > this.contacts.size + COMPACTION_SLACK) {
+      await this.compact();
+    }
+  }
+
+  /**
+   * Forget the in-memory state before replaying a journal from the start
+   */
+  reset(inode) {
+    this.contacts.clear();
+    this.statusIndex.clear();
+    this.urnIndex.clear();
+    this.dueIndex.clear();
+    this.meta = {};
+    this.journalLines = 0;
+    this.inode = inode;
+    this.offset = 0;
+  }
+
+  /**
+   * Apply a journal entry to the in-memory state and indexes
+   */
+  apply(entry) {
+    switch (entry.op) {
+      case 'put':
+        this.index(entry.contact);
+        break;
+      case 'delete':
+        this.unindex(entry.profileUrl);
+        break;
+      case 'meta':
+        this.meta[entry.key] = entry.value;
+        break;
+      case 'tx':
+        entry.ops.forEach(op => this.apply(op));
+        break;
+      default:
+        throw new Error(`Unknown journal operation: ${entry.op}`);
+    }
+  }
+
+  index(contact) {
+    this.unindex(contact.profileUrl);
+    this.contacts.set(contact.profileUrl, contact);
+
+    if (!this.statusIndex.has(contact.status)) {
+      this.statusIndex.set(contact.status, new Set());
+    }
+    this.statusIndex.get(contact.status).add(contact.profileUrl);
+
+    if (contact.urn) {
+      this.urnIndex.set(contact.urn, contact.profileUrl);
+    }
+
+    if (contact.nextStepDueAt) {
+      this.dueIndex.add(contact.profileUrl);
+    }
+  }
+
+  unindex(profileUrl) {
+    const existing = this.contacts.get(profileUrl);
+    if (!existing) {
+      return;
+    }
+
+    this.statusIndex.get(existing.status)?.delete(profileUrl);
+    if (existing.urn && this.urnIndex.get(existing.urn) === profileUrl) {
+      this.urnIndex.delete(existing.urn);
+    }
+    this.dueIndex.delete(profileUrl);
+    this.contacts.delete(profileUrl);
+  }
+
+  /**
+   * Run a write while holding the store lock, so appends never interleave
+   */
+  async withLock(fn) {
+    await this.load();
+    return this.acquire(fn);
+  }
+
+  /**
+   * Run fn holding the store lock and the journal lock, once the journal is read up to its end
+   */
+  acquire(fn) {
+    const run = this.lock.then(() => withFileLock(this.lockFile, async () => {
+      await this.serialize(() => this.readJournal({ locked: true }));
+      return fn();
+    }));
+    this.lock = run.catch(() => {});
+    return run;
+  }
+
+  /**
+   * Run journal reads and writes of this process one at a time, so a line is applied once
+   */
+  serialize(fn) {
+    const run = this.reading.then(fn);
+    this.reading = run.catch(() => {});
+    return run;
+  }
+
+  /**
+   * Append one entry to the journal and flush it before applying it in memory
+   */
+  async commit(entry) {
+    return this.serialize(async () => {
+      const line = `${JSON.stringify(entry)}\n`;
+      const handle = await fs.open(this.filePath, 'a');
+      try {
+        await handle.write(line);
+        await handle.sync();
+        this.inode = (await handle.stat()).ino;
+      } finally {
+        await handle.close();
+      }
+
+      // The journal was read up to its end under the lock, so the new line ends where the last one did
+      this.offset += Buffer.byteLength(line);
+      this.apply(entry);
+      this.journalLines++;
+
+      if (this.journalLines > this.contacts.size + COMPACTION_SLACK) {
+        await this.compact();
+      }
+    });
+  }
+
+  /**
+   * Rewrite the journal as one entry per contact. Only called holding the lock, with the journal read up to its end.
+   */
+  async compact() {
+    const lines = [];
+    for (const [key, value] of Object.entries(this.meta)) {
+      lines.push(JSON.stringify({ op: 'meta', key, value }));
+    }
+    for (const contact of this.contacts.values()) {
+      lines.push(JSON.stringify({ op: 'put', contact }));
+    }
+
+    const data = lines.length > 0 ? `${lines.join('\n')}\n` : '';
+    const tmpFile = `${this.filePath}.tmp`;
+    const handle = await fs.open(tmpFile, 'w');
+    try {
+      await handle.write(data);
+      await handle.sync();
+      this.inode = (await handle.stat()).ino;
+    } finally {
+      await handle.close();
+    }
+    await fs.rename(tmpFile, this.filePath);
+
+    logger.info(`Compacted contact journal from ${this.journalLines} to ${lines.length} entries`);
+    this.journalLines = lines.length;
+    this.offset = Buffer.byteLength(data);
+  }
+
+  /**
+   * Get a contact by profile URL
+   */
+  async get(profileUrl) {
+    await this.refresh();
+    return this.contacts.get(profileUrl) || null;
+  }
+
+  /**
+   * Get a contact by LinkedIn member URN
+   */
+  async findByUrn(urn) {
+    await this.refresh();
+    const profileUrl = this.urnIndex.get(urn);
+    return profileUrl ? this.contacts.get(profileUrl) : null;
+  }
+
+  /**
+   * List contacts with the given status, oldest status change first
+   */
+  async listByStatus(status) {
+    await this.refresh();
+    const urls = this.statusIndex.get(status) || new Set();
+    return Array.from(urls, url => this.contacts.get(url))
+      .sort((a, b) => (a.statusChangedAt || '').localeCompare(b.statusChangedAt || ''));
+  }
+
+  /**
+   * List contacts with a follow-up step due by the given time, most overdue first
+   */
+  async listDue(before = new Date()) {
+    await this.refresh();
+    const cutoff = new Date(before).toISOString();
+    return Array.from(this.dueIndex, url => this.contacts.get(url))
+      .filter(contact => contact.nextStepDueAt <= cutoff)
+      .sort((a, b) => a.nextStepDueAt.localeCompare(b.nextStepDueAt));
+  }
+
+  /**
+   * List every contact
+   */
+  async all() {
+    await this.refresh();
+    return Array.from(this.contacts.values());
+  }
+
+  /**
+   * Count contacts per status
+   */
+  async countByStatus() {
+    await this.refresh();
+    const counts = {};
+    for (const [status, urls] of this.statusIndex) {
+      counts[status] = urls.size;
+    }
+    return counts;
+  }
+
+  /**
+   * Run several writes as one atomic journal entry.
+   * The callback receives a transaction with get, put, update, setStatus and remove.
+   */
+  async transaction(fn) {
+    return this.withLock(async () => {
+      const staged = new Map();
+      const ops = [];
+
+      const tx = {
+        get: profileUrl => staged.has(profileUrl) ? staged.get(profileUrl) : (this.contacts.get(profileUrl) || null),
+        put: contact => {
+          const record = buildRecord(tx.get(contact.profileUrl), contact);
+          staged.set(record.profileUrl, record);
+          ops.push({ op: 'put', contact: record });
+          return record;
+        },
+        update: (profileUrl, changes) => {
+          const existing = tx.get(profileUrl);
+          return existing ? tx.put({ ...existing, ...changes, profileUrl }) : null;
+        },
+        setStatus: (profileUrl, status, changes = {}) => {
+          return tx.update(profileUrl, { ...changes, status });
+        },
+        remove: profileUrl => {
+          staged.set(profileUrl, null);
+          ops.push({ op: 'delete', profileUrl });
+        }
+      };
+
+      const result = await fn(tx);
+
+      if (ops.length === 1) {
+        await this.commit(ops[0]);
+      } else if (ops.length > 1) {
+        await this.commit({ op: 'tx', ops });
+      }
+
+      return result;
+    });
+  }
+
+  /**
+   * Insert or replace a contact record
+   */
+  async put(contact) {
+    return this.transaction(tx => tx.put(contact));
+  }
+
+  /**
+   * Merge changes into an existing contact, returning null when it doesn't exist
+   */
+  async update(profileUrl, changes) {
+    return this.transaction(tx => tx.update(profileUrl, changes));
+  }
+
+  /**
+   * Move a contact to a new lifecycle status, stamping `<status>At`
+   */
+  async setStatus(profileUrl, status, changes = {}) {
+    return this.transaction(tx => tx.setStatus(profileUrl, status, changes));
+  }
+
+  /**
+   * Delete a contact
+   */
+  async remove(profileUrl) {
+    return this.transaction(tx => tx.remove(profileUrl));
+  }
+
+  async getMeta(key) {
+    await this.refresh();
+    return this.meta[key];
+  }
+
+  async setMeta(key, value) {
+    return this.withLock(() => this.commit({ op: 'meta', key, value }));
+  }
+}
+
+/**
+ * Merge a write into the existing record, maintaining timestamps
+ */
+function buildRecord(existing, contact) {
+  if (!contact.profileUrl) {
+    throw new Error('Contact record requires a profileUrl');
+  }
+
+  const now = new Date().toISOString();
+  const status = contact.status || existing?.status || ContactStatus.QUEUED;
+  const record = {
+    ...contact,
+    status,
+    createdAt: existing?.createdAt || contact.createdAt || now,
+    updatedAt: now
+  };
+
+  if (!existing || existing.status !== status) {
+    // A timestamp carried over from an earlier visit to the same status is replaced
+    const key = `${status}At`;
+    const changedAt = contact[key] && contact[key] !== existing?.[key] ? contact[key] : now;
+    record[key] = changedAt;
+    record.statusChangedAt = changedAt;
+  }
+
+  return record;
+}
+
+/**
+ * Entries of a legacy file, null when there is none
+ * @throws {Error} - When the file exists but isn't a JSON array
+ */
+async function readLegacyFile(filePath) {
+  let data;
+  try {
+    data = await fs.readFile(filePath, 'utf8');
+  } catch (error) {
+    if (error.code === 'ENOENT') {
+      return null;
+    }
+    throw error;
+  }
+
+  const entries = data.trim() ? JSON.parse(data) : [];
+  if (!Array.isArray(entries)) {
+    throw new Error(`${path.basename(filePath)} doesn't hold a list`);
+  }
+  return entries;
+}
+
+/**
+ * One-time import of queue.json, processed.json, pending.json and messaged.json.
+ * A profile found in several files keeps its most advanced status. Imported
+ * files are renamed with a .migrated suffix once the import has committed.
+ * When one of them can't be read nothing is imported, and the import is tried
+ * again on the next start.
+ */
+export async function migrateLegacyJson(store) {
+  if (store.meta.legacyJsonMigrated) {
+    return 0;
+  }
+
+  const files = {};
+  for (const [name, filePath] of Object.entries(legacyFiles)) {
+    try {
+      files[name] = await readLegacyFile(filePath);
+    } catch (error) {
+      logger.error(`Not importing the legacy JSON files, ${filePath} can't be read. Fix it and restart to import them.`, error);
+      return 0;
+    }
+  }
+
+  const imported = new Map();
+  const merge = (entry, status, timestamps) => {
+    if (!entry?.profileUrl) {
+      return;
+    }
+
+    const previous = imported.get(entry.profileUrl);
+    const { date, ...rest } = entry;
+    const record = { ...previous, ...rest, ...timestamps };
+
+    record.status = previous && STATUS_RANK[previous.status] > STATUS_RANK[status] ? previous.status : status;
+    imported.set(entry.profileUrl, record);
+  };
+
+  for (const entry of files.queue || []) {
+    merge(entry, ContactStatus.QUEUED, { queuedAt: entry.queuedAt });
+  }
+  for (const entry of files.processed || []) {
+    const status = entry.status === 'completed' ? ContactStatus.INVITED : ContactStatus.FAILED;
+    merge(entry, status, { [`${status}At`]: entry.processedAt, processedStatus: entry.status });
+  }
+  for (const entry of files.pending || []) {
+    merge(entry, ContactStatus.INVITED, { invitedAt: entry.date ? new Date(entry.date).toISOString() : undefined });
+  }
+  for (const entry of files.messaged || []) {
+    const messagedAt = entry.messageDate || entry.date;
+    merge(entry, ContactStatus.MESSAGED, { messagedAt: messagedAt ? new Date(messagedAt).toISOString() : undefined });
+  }
+
+  // Runs during load(), so take the lock directly instead of through withLock()
+  await store.acquire(async () => {
+    const ops = Array.from(imported.values(), contact => ({
+      op: 'put',
+      contact: buildRecord(store.contacts.get(contact.profileUrl), contact)
+    }));
+    ops.push({ op: 'meta', key: 'legacyJsonMigrated', value: new Date().toISOString() });
+    await store.commit({ op: 'tx', ops });
+  });
+
+  for (const [name, filePath] of Object.entries(legacyFiles)) {
+    if (files[name]) {
+      await fs.rename(filePath, `${filePath}.migrated`);
+    }
+  }
+
+  if (imported.size > 0) {
+    logger.info(`Imported ${imported.size} contacts from legacy JSON files`);
+  }
+  return imported.size;
+}
+
+// Export singleton instance
+export const contactStore = new ContactStore();
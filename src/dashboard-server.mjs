@@ -0,0 +1,204 @@
+import http from 'http';
+import crypto from 'crypto';
+import fs from 'fs/promises';
+import path from 'path';
+import dayjs from 'dayjs';
+import { logger } from './logger.mjs';
+import { dataPath } from './paths.mjs';
+import { QueueManager } from './queue-manager.mjs';
+import { contactStore, ContactStatus } from './contact-store.mjs';
+import { rateLimiter } from './rate-limiter.mjs';
+import { withdrawalSettings } from './campaigns.mjs';
+import { actionLog } from './action-log.mjs';
+import { escapeHtml, htmlPage, sendHtml, isLocalRequest, listen, tokensEqual, bearerToken, decodeComponent } from './local-server.mjs';
+
+const logsDir = dataPath('logs');
+
+// Recent action results shown on the dashboard
+const RECENT_ACTIONS = 25;
+
+const TOKEN_COOKIE = 'dashboard_token';
+
+// Screenshots are served by file name only, never a path
+const SCREENSHOT_NAME = /^[\w.-]+\.png$/;
+
+/**
+ * Whether a request carries the dashboard token, as a Bearer header or the cookie set when the page was opened.
+ * A cookie that doesn't decode counts as no token.
+ */
+function hasToken(req, token) {
+  const cookie = (req.headers.cookie || '').split(';')
+    .map(part => part.trim().split('='))
+    .find(([name]) => name === TOKEN_COOKIE)?.[1];
+  return [cookie && decodeComponent(cookie), bearerToken(req)].some(candidate => candidate && tokensEqual(candidate, token));
+}
+
+/**
+ * Everything the dashboard shows
+ * @param {QueueManager} queueManager - Queue to report on
+ * @param {Object} [scheduler] - Handle from startScheduler, absent when the daemon isn't running
+ */
+export async function collectDashboard(queueManager, scheduler = null) {
+  const limits = await rateLimiter.getStatus();
+  limits.withdrawals.dailyLimit = withdrawalSettings.dailyLimit;
+
+  const actions = await actionLog.list();
+  return {
+    scheduler: scheduler ? scheduler.status() : null,
+    queue: await queueManager.getQueueStatus(),
+    limits,
+    pipeline: await contactStore.countByStatus(),
+    recentActions: actions.slice(-RECENT_ACTIONS).reverse()
+  };
+}
+
+function limitRow(label, { today, dailyLimit, week, weeklyLimit }) {
+  return `<tr><td>${label}</td><td>${today} / ${dailyLimit}</td><td>${week}${weeklyLimit ? ` / ${weeklyLimit}` : ''}</td></tr>`;
+}
+
+function screenshotLinks(screenshots) {
+  return screenshots.map(file => {
+    const name = encodeURIComponent(path.basename(file));
+    return `<a href="/screenshots/${name}"><img class="screenshot" src="/screenshots/${name}" alt="${escapeHtml(path.basename(file))}"></a>`;
+  }).join(' ');
+}
+
+function dashboardPage({ scheduler, queue, limits, pipeline, recentActions }) {
+  const schedulerSection = scheduler ?
+    `<p>${scheduler.paused ? 'Paused' : 'Running'}${scheduler.activeJob ? `, now running: ${escapeHtml(scheduler.activeJob)}` : ''}</p>
+    <form method="post" action="${scheduler.paused ? '/resume' : '/pause'}">
+      <button>${scheduler.paused ? 'Resume' : 'Pause'}</button>
+    </form>` :
+    '<p>Not running, start the daemon to schedule jobs.</p>';
+
+  const next = queue?.nextInQueue;
+  const pipelineRows = Object.values(ContactStatus)
+    .map(status => `<tr><td>${status}</td><td>${pipeline[status] || 0}</td></tr>`).join('');
+
+  const actionRows = recentActions.map(result => `
+      <tr>
+        <td>${escapeHtml(dayjs(result.startedAt).format('YYYY-MM-DD HH:mm'))}</td>
+        <td>${escapeHtml(result.type)}</td>
+        <td>${escapeHtml(result.outcome)}</td>
+        <td><a href="${escapeHtml(result.profile?.profileUrl)}">${escapeHtml(result.profile?.name)}</a></td>
+        <td>${escapeHtml(result.error || '')}</td>
+        <td>${screenshotLinks(result.screenshots || [])}</td>
+      </tr>`).join('');
+
+  return htmlPage('LinkedIn bot', `
+  <h1>LinkedIn bot</h1>
+  <section>
+    <h2>Scheduler</h2>
+    ${schedulerSection}
+  </section>
+  <section>
+    <h2>Queue</h2>
+    <p>${queue?.queueLength ?? 0} queued, ${queue?.awaitingApproval ?? 0} awaiting approval.
+      Next: ${next ? `<a href="${escapeHtml(next.profileUrl)}">${escapeHtml(next.name)}</a>` : 'nothing'}</p>
+  </section>
+  <section>
+    <h2>Limits</h2>
+    ${limits.backingOff ? '<p class="error">Backing off after a LinkedIn rate limit</p>' : ''}
+    <table>
+      <tr><th></th><th>Today</th><th>Last 7 days</th></tr>
+      ${limitRow('Connection requests', limits.connections)}
+      ${limitRow('Messages', limits.messages)}
+      ${limitRow('Withdrawals', limits.withdrawals)}
+    </table>
+  </section>
+  <section>
+    <h2>Contacts</h2>
+    <table>${pipelineRows}</table>
+  </section>
+  <section>
+    <h2>Recent actions</h2>
+    <table>
+      <tr><th>Started</th><th>Action</th><th>Outcome</th><th>Contact</th><th>Error</th><th>Screenshots</th></tr>${actionRows}
+    </table>
+  </section>`, { refreshSeconds: 60 });
+}
+
+async function sendScreenshot(res, name) {
+  if (!name || !SCREENSHOT_NAME.test(name)) {
+    return sendHtml(res, 404, htmlPage('Not found', '<p>Not found</p>'));
+  }
+  try {
+    const image = await fs.readFile(path.join(logsDir, name));
+    res.writeHead(200, { 'Content-Type': 'image/png' });
+    res.end(image);
+  } catch (error) {
+    sendHtml(res, 404, htmlPage('Not found', '<p>Not found</p>'));
+  }
+}
+
+/**
+ * Serve the dashboard: queue, limits, contact pipeline and recent actions, with controls to pause and resume the scheduler.
+ * It listens on this machine only and every request needs the token. Opening `/?token=<token>` once stores it in a cookie.
+ * @param {Object} [options]
+ * @param {number} [options.port] - Port to listen on, 0 picks a free one
+ * @param {string} [options.host] - Interface to listen on
+ * @param {string} [options.token] - Access token, DASHBOARD_TOKEN or a random one by default
+ * @param {Object} [options.scheduler] - Handle from startScheduler to show and control
+ * @param {QueueManager} [options.queueManager] - Queue to report on
+ * @returns {Promise<{server: http.Server, url: string}>} - The listening server and the URL to open, token included
+ */
+export async function startDashboard({
+  port = 4030,
+  host = '127.0.0.1',
+  token = process.env.DASHBOARD_TOKEN || crypto.randomBytes(24).toString('hex'),
+  scheduler = null,
+  queueManager = new QueueManager()
+} = {}) {
+  let origin;
+  let hosts;
+
+  const server = http.createServer(async (req, res) => {
+    try {
+      if (!isLocalRequest(req, hosts)) {
+        return sendHtml(res, 403, htmlPage('Forbidden', '<p>Forbidden</p>'));
+      }
+
+      const url = new URL(req.url, origin);
+      // Trade the token in the link for a cookie, and drop it from the address bar
+      if (req.method === 'GET' && url.searchParams.has('token')) {
+        if (!tokensEqual(url.searchParams.get('token'), token)) {
+          return sendHtml(res, 401, htmlPage('Unauthorized', '<p>Wrong token</p>'));
+        }
+        return sendHtml(res, 303, '', {
+          Location: url.pathname,
+          'Set-Cookie': `${TOKEN_COOKIE}=${encodeURIComponent(token)}; HttpOnly; SameSite=Strict; Path=/`
+        });
+      }
+      if (!hasToken(req, token)) {
+        return sendHtml(res, 401, htmlPage('Unauthorized', '<p>Open the dashboard with the link the bot printed at startup.</p>'));
+      }
+
+      if (req.method === 'GET' && url.pathname === '/') {
+        return sendHtml(res, 200, dashboardPage(await collectDashboard(queueManager, scheduler)));
+      }
+      if (req.method === 'GET' && url.pathname.startsWith('/screenshots/')) {
+        return sendScreenshot(res, decodeComponent(url.pathname.slice('/screenshots/'.length)));
+      }
+      if (req.method === 'POST' && scheduler && ['/pause', '/resume'].includes(url.pathname)) {
+        if (url.pathname === '/pause') {
+          scheduler.pause();
+        } else {
+          scheduler.resume();
+        }
+        return sendHtml(res, 303, '', { Location: '/' });
+      }
+
+      sendHtml(res, 404, htmlPage('Not found', '<p>Not found</p>'));
+    } catch (error) {
+      logger.error('Error serving the dashboard:', error);
+      sendHtml(res, 500, htmlPage('Error', `<p>${escapeHtml(error.message)}</p>`));
+    }
+  });
+
+  ({ origin, hosts } = await listen(server, port, host));
+  const dashboardUrl = `${origin}/?token=${encodeURIComponent(token)}`;
+  logger.info(`Dashboard listening at ${origin}/`);
+  // Printed, not logged, so the token stays out of the log files
+  console.log(`Open the dashboard at ${dashboardUrl}`);
+  return { server, url: dashboardUrl };
+}
@@ -0,0 +1,8 @@
+/**
+ * Whether this run only previews outreach: `--dry-run` on the command line or DRY_RUN=true.
+ * A dry run fills in invitations and messages but never clicks their final Send button.
+ * @returns {boolean}
+ */
+export function isDryRun() {
+  return process.env.DRY_RUN === 'true' || process.argv.includes('--dry-run');
+}
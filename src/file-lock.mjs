@@ -0,0 +1,39 @@
+import fs from 'fs/promises';
+import { logger } from './logger.mjs';
+
+// A lock older than this was left behind by a process that died holding it
+const LOCK_STALE_MS = 30000;
+
+/**
+ * Run fn holding a lock file, so processes sharing a state file (the daemon, the CLI, the local servers) take turns
+ * writing it. The lock is a file created exclusively next to the state file and removed afterwards.
+ * @param {string} lockFile - Path of the lock file, e.g. `contacts.jsonl.lock`
+ * @param {Function} fn - Work to do while holding the lock
+ * @returns {Promise<*>} - What fn returns
+ */
+export async function withFileLock(lockFile, fn) {
+  for (;;) {
+    try {
+      await (await fs.open(lockFile, 'wx')).close();
+      break;
+    } catch (error) {
+      if (error.code !== 'EEXIST') {
+        throw error;
+      }
+    }
+
+    const stat = await fs.stat(lockFile).catch(() => null);
+    if (stat && Date.now() - stat.mtimeMs > LOCK_STALE_MS) {
+      logger.warn(`Removing stale lock ${lockFile}`);
+      await fs.rm(lockFile, { force: true });
+    } else {
+      await new Promise(r => setTimeout(r, 50));
+    }
+  }
+
+  try {
+    return await fn();
+  } finally {
+    await fs.rm(lockFile, { force: true });
+  }
+}
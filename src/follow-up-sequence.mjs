@@ -0,0 +1,154 @@
+import dayjs from 'dayjs';
+import { logger } from './logger.mjs';
+import { contactStore, ContactStatus } from './contact-store.mjs';
+import { campaignManager } from './campaigns.mjs';
+import { suppressionList } from './suppression-list.mjs';
+
+// Failed attempts at one step before the sequence is given up
+const MAX_STEP_ATTEMPTS = 3;
+
+// How long a step waits after a failed attempt before it is retried
+const RETRY_DELAY_HOURS = 1;
+
+/**
+ * Why a contact's follow-up sequence ended
+ */
+export const SequenceEndReason = {
+  COMPLETED: 'completed',
+  REPLIED: 'replied',
+  SEND_FAILED: 'send_failed',
+  DO_NOT_CONTACT: 'do_not_contact',
+  // A reviewer rejected the step's message
+  REJECTED: 'rejected'
+};
+
+// Only these contacts can still receive follow-up steps
+const SEQUENCE_STATUSES = [ContactStatus.ACCEPTED, ContactStatus.MESSAGED];
+
+/**
+ * Due date of a step, counted from the previous step (or the acceptance for the first one)
+ */
+function dueAfter(from, step) {
+  return dayjs(from).add(step.delayDays, 'day').toISOString();
+}
+
+/**
+ * Schedule the first step for accepted contacts whose sequence hasn't started yet
+ * @param {ContactStore} [store] - Contact store to update
+ * @returns {Promise<number>} - Number of sequences started
+ */
+export async function startSequences(store = contactStore) {
+  const accepted = await store.listByStatus(ContactStatus.ACCEPTED);
+  const toStart = accepted.filter(contact => contact.sequenceStep === undefined &&
+    campaignManager.sequenceFor(contact).length > 0);
+
+  if (toStart.length === 0) {
+    return 0;
+  }
+
+  await store.transaction(tx => {
+    for (const contact of toStart) {
+      const [firstStep] = campaignManager.sequenceFor(contact);
+      tx.update(contact.profileUrl, {
+        sequenceStep: 0,
+        nextStepDueAt: dueAfter(contact.acceptedAt || new Date(), firstStep),
+        stepAttempts: 0
+      });
+    }
+  });
+
+  logger.info(`Started follow-up sequences for ${toStart.length} contacts`);
+  return toStart.length;
+}
+
+/**
+ * End a contact's sequence so no further steps are sent
+ * @param {string} profileUrl - Contact to stop
+ * @param {string} reason - One of SequenceEndReason
+ * @param {ContactStore} [store] - Contact store to update
+ */
+export async function stopSequence(profileUrl, reason, store = contactStore) {
+  const contact = await store.update(profileUrl, {
+    nextStepDueAt: null,
+    sequenceEndedAt: new Date().toISOString(),
+    sequenceEndReason: reason
+  });
+
+  if (contact) {
+    logger.info(`Stopped follow-up sequence for ${contact.name}: ${reason}`);
+  }
+  return contact;
+}
+
+/**
+ * Contacts with a follow-up step due now, most overdue first.
+ * Contacts that must not get further steps have their sequence stopped instead.
+ * @param {ContactStore} [store] - Contact store to read
+ * @returns {Promise<Object[]>} - Due contacts, `sequenceStep` is the step to send
+ */
+export async function listDueSteps(store = contactStore) {
+  const due = [];
+  await suppressionList.load();
+
+  for (const contact of await store.listDue()) {
+    if (contact.status === ContactStatus.REPLIED) {
+      await stopSequence(contact.profileUrl, SequenceEndReason.REPLIED, store);
+    } else if (suppressionList.match(contact)) {
+      await stopSequence(contact.profileUrl, SequenceEndReason.DO_NOT_CONTACT, store);
+    } else if (SEQUENCE_STATUSES.includes(contact.status)) {
+      due.push(contact);
+    }
+  }
+
+  return due;
+}
+
+/**
+ * Record a sent step and schedule the next one, or complete the sequence after the last step
+ * @param {Object} contact - Contact the step was sent to
+ * @param {string} message - Text that was sent
+ * @param {ContactStore} [store] - Contact store to update
+ */
+export async function recordStepSent(contact, message, store = contactStore) {
+  return store.transaction(tx => {
+    const existing = tx.get(contact.profileUrl);
+    const steps = campaignManager.sequenceFor(existing);
+    const sentStep = existing.sequenceStep ?? 0;
+    const nextStep = steps[sentStep + 1];
+    const now = new Date().toISOString();
+
+    return tx.setStatus(contact.profileUrl, ContactStatus.MESSAGED, {
+      message,
+      messages: [...(existing.messages || []), { step: sentStep + 1, text: message, sentAt: now }],
+      sequenceStep: sentStep + 1,
+      nextStepDueAt: nextStep ? dueAfter(now, nextStep) : null,
+      stepAttempts: 0,
+      ...(nextStep ? {} : { sequenceEndedAt: now, sequenceEndReason: SequenceEndReason.COMPLETED })
+    });
+  });
+}
+
+/**
+ * Record a failed attempt at a step. The sequence stops when the failure is permanent
+ * or the step has failed too often, otherwise the step is retried later.
+ * @param {Object} contact - Contact the step was meant for
+ * @param {string} reason - What went wrong
+ * @param {Object} [options]
+ * @param {boolean} [options.permanent] - Whether retrying can't help
+ * @param {ContactStore} [store] - Contact store to update
+ */
+export async function recordStepFailed(contact, reason, { permanent = false } = {}, store = contactStore) {
+  const attempts = (contact.stepAttempts || 0) + 1;
+  logger.warn(`Follow-up step ${(contact.sequenceStep ?? 0) + 1} to ${contact.name} failed (attempt ${attempts}): ${reason}`);
+
+  if (permanent || attempts >= MAX_STEP_ATTEMPTS) {
+    await store.update(contact.profileUrl, { stepAttempts: attempts, lastStepError: reason });
+    return stopSequence(contact.profileUrl, SequenceEndReason.SEND_FAILED, store);
+  }
+
+  return store.update(contact.profileUrl, {
+    stepAttempts: attempts,
+    lastStepError: reason,
+    nextStepDueAt: dayjs().add(RETRY_DELAY_HOURS, 'hour').toISOString()
+  });
+}
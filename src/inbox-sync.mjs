@@ -0,0 +1,216 @@
+import dayjs from 'dayjs';
+import { logger } from './logger.mjs';
+import { contactStore, ContactStatus } from './contact-store.mjs';
+import { normalizeProfileUrl } from './profile-url.mjs';
+import { SequenceEndReason } from './follow-up-sequence.mjs';
+import { suppressionList, SuppressionType, findOptOutKeyword } from './suppression-list.mjs';
+import { optOutKeywords } from './campaigns.mjs';
+import { MessagingPage } from './pages/messaging-page.mjs';
+
+// Most recent conversations opened per sync
+const MAX_THREADS = 40;
+
+// Contacts we reached out to, a message from any of them counts as a reply
+const CONTACTED_STATUSES = [ContactStatus.INVITED, ContactStatus.ACCEPTED, ContactStatus.MESSAGED];
+
+const MONTHS = ['jan', 'feb', 'mar', 'apr', 'may', 'jun', 'jul', 'aug', 'sep', 'oct', 'nov', 'dec'];
+const WEEKDAYS = ['sunday', 'monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday'];
+
+/**
+ * Turn the day heading ("Today", "Monday", "Jun 3", "Jun 3, 2024") and time ("10:42 AM")
+ * shown in a thread into a timestamp
+ * @param {string} heading - Day heading above the message group
+ * @param {string} time - Time shown next to the sender
+ * @param {Date} [now] - Current time, for relative headings
+ * @returns {string|null} - ISO timestamp, or null when the day can't be read
+ */
+export function parseMessageTime(heading, time, now = new Date()) {
+  const value = (heading || '').trim().toLowerCase();
+  const today = dayjs(now).startOf('day');
+  let day = null;
+
+  if (!value || value === 'today') {
+    day = today;
+  } else if (value === 'yesterday') {
+    day = today.subtract(1, 'day');
+  } else if (WEEKDAYS.includes(value)) {
+    // A weekday heading is always within the past week
+    const back = (today.day() - WEEKDAYS.indexOf(value) + 7) % 7 || 7;
+    day = today.subtract(back, 'day');
+  } else {
+    const match = value.match(/^([a-z]{3})[a-z]*\.?\s+(\d{1,2})(?:,\s*(\d{4}))?$/);
+    if (match && MONTHS.includes(match[1])) {
+      const year = match[3] ? parseInt(match[3], 10) : today.year();
+      day = dayjs(new Date(year, MONTHS.indexOf(match[1]), parseInt(match[2], 10)));
+      if (!match[3] && day.isAfter(today)) {
+        day = day.subtract(1, 'year');
+      }
+    }
+  }
+
+  if (!day) {
+    return null;
+  }
+
+  const clock = (time || '').match(/(\d{1,2}):(\d{2})\s*([ap]m)?/i);
+  if (clock) {
+    let hour = parseInt(clock[1], 10);
+    const meridiem = clock[3]?.toLowerCase();
+    if (meridiem) {
+      hour = hour % 12 + (meridiem === 'pm' ? 12 : 0);
+    }
+    day = day.hour(hour).minute(parseInt(clock[2], 10));
+  }
+
+  return day.toISOString();
+}
+
+/**
+ * Latest time a thread in the inbox list can have had activity. Rows show a clock time for today and only the day
+ * for older threads, those count until the end of the day.
+ * @param {string} time - Time shown on the row ("10:42 AM", "Mon", "Jun 3")
+ * @param {Date} [now] - Current time, for relative days
+ * @returns {string|null} - ISO timestamp, or null when it can't be read
+ */
+export function parseThreadTime(time, now = new Date()) {
+  if (/\d{1,2}:\d{2}/.test(time || '')) {
+    return parseMessageTime('today', time, now);
+  }
+  const day = time ? parseMessageTime(time, '', now) : null;
+  return day ? dayjs(day).endOf('day').toISOString() : null;
+}
+
+/**
+ * Whether a thread may hold a reply that isn't stored yet. Unread threads and threads whose last message isn't ours
+ * always may. One where we had the last word only when it had activity since the last sync, a reply we answered by
+ * hand in between.
+ */
+function mayHaveNewReplies(conversation, syncedAt) {
+  if (!syncedAt || conversation.unread || !/^you:/i.test(conversation.snippet)) {
+    return true;
+  }
+  const activityAt = parseThreadTime(conversation.time);
+  return !activityAt || activityAt >= syncedAt;
+}
+
+/**
+ * Find the contact a thread belongs to, by profile URL or else by a unique name match
+ */
+async function matchContact(store, participantUrl, name, contactsByName) {
+  if (participantUrl) {
+    const contact = await store.get(participantUrl);
+    if (contact) {
+      return contact;
+    }
+  }
+
+  // Thread links often use the member id instead of the profile slug
+  const candidates = contactsByName.get(name.toLowerCase()) || [];
+  return candidates.length === 1 ? candidates[0] : null;
+}
+
+/**
+ * Walk the messaging inbox, store inbound messages on the matching contacts
+ * and mark contacts we reached out to as replied, which also ends their follow-up sequence.
+ * Senders of a reply with an opt-out phrase are added to the do-not-contact list.
+ * @param {Page} page - Logged-in Puppeteer page object
+ * @param {ContactStore} [store] - Contact store to update
+ * @returns {Promise<{threads: number, replied: number, optedOut: number}>} - Threads matched to contacts, contacts newly marked replied and contacts that opted out
+ */
+export async function syncInbox(page, store = contactStore) {
+  const contacts = [];
+  for (const status of [...CONTACTED_STATUSES, ContactStatus.REPLIED]) {
+    contacts.push(...await store.listByStatus(status));
+  }
+
+  const contactsByName = new Map();
+  for (const contact of contacts) {
+    const key = (contact.name || '').toLowerCase();
+    contactsByName.set(key, [...(contactsByName.get(key) || []), contact]);
+  }
+
+  const messagingPage = new MessagingPage(page);
+  if (!(await messagingPage.open())) {
+    logger.warn('Redirected to a login page while opening messaging');
+    return { threads: 0, replied: 0, optedOut: 0 };
+  }
+
+  // Thread names can differ from the stored ones, every thread that may hold a new reply is opened and matched by
+  // the participant's profile URL
+  const startedAt = new Date().toISOString();
+  const syncedAt = await store.getMeta('inboxSyncedAt');
+  const conversations = (await messagingPage.listThreads())
+    .slice(0, MAX_THREADS)
+    .filter(conversation => mayHaveNewReplies(conversation, syncedAt));
+
+  let threads = 0;
+  let replied = 0;
+  let optedOut = 0;
+
+  for (const conversation of conversations) {
+    try {
+      const { participantUrl } = await messagingPage.openThread(conversation.threadUrl);
+
+      const contact = await matchContact(store, participantUrl, conversation.name, contactsByName);
+      if (!contact) {
+        continue;
+      }
+      threads++;
+
+      const inbound = (await messagingPage.readMessages())
+        .filter(message => (participantUrl && normalizeProfileUrl(message.senderHref) === participantUrl) ||
+          message.senderName.toLowerCase() === conversation.name.toLowerCase())
+        .map(message => ({ text: message.text, sentAt: parseMessageTime(message.heading, message.time) }));
+
+      const { fresh, newlyReplied } = await store.transaction(tx => {
+        const existing = tx.get(contact.profileUrl);
+        // Messages from before the last stored one were seen already, even when their day now reads differently
+        const known = new Set((existing.inboundMessages || []).map(message => `${message.sentAt}|${message.text}`));
+        const fresh = inbound.filter(message => !known.has(`${message.sentAt}|${message.text}`) &&
+          (!existing.lastInboundAt || !message.sentAt || message.sentAt >= existing.lastInboundAt));
+
+        if (fresh.length === 0) {
+          return { fresh, newlyReplied: false };
+        }
+
+        const receivedAt = new Date().toISOString();
+        const changes = {
+          inboundMessages: [...(existing.inboundMessages || []), ...fresh.map(message => ({ ...message, receivedAt }))],
+          lastInboundAt: fresh[fresh.length - 1].sentAt || receivedAt
+        };
+
+        if (!CONTACTED_STATUSES.includes(existing.status)) {
+          tx.update(contact.profileUrl, changes);
+          return { fresh, newlyReplied: false };
+        }
+
+        tx.setStatus(contact.profileUrl, ContactStatus.REPLIED, {
+          ...changes,
+          nextStepDueAt: null,
+          ...(existing.nextStepDueAt ? { sequenceEndedAt: receivedAt, sequenceEndReason: SequenceEndReason.REPLIED } : {})
+        });
+        return { fresh, newlyReplied: true };
+      });
+
+      if (newlyReplied) {
+        replied++;
+        logger.info(`${contact.name} replied`);
+      }
+
+      for (const message of fresh) {
+        const keyword = findOptOutKeyword(message.text, optOutKeywords);
+        if (keyword) {
+          await suppressionList.add(SuppressionType.URL, contact.profileUrl, { reason: `Replied "${keyword}"`, source: 'inbox' });
+          optedOut++;
+          break;
+        }
+      }
+    } catch (error) {
+      logger.warn(`Could not read conversation with ${conversation.name}: ${error.message}`);
+    }
+  }
+
+  await store.setMeta('inboxSyncedAt', startedAt);
+  logger.info(`Inbox sync: ${threads} threads matched, ${replied} new replies, ${optedOut} opt-outs`);
+  return { threads, replied, optedOut };
+}
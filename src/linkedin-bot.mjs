@@ -13,20 +13,47 @@ import { analyzeCaptchaBox, analyzePuzzleCaptcha, initOpenAI } from './openai-vi
 import { proxyManager } from './proxy-manager.mjs';
 import { captchaSolver } from './captcha-solver.mjs';
 import { sessionManager } from './session-manager.mjs';
+import { contactStore, ContactStatus } from './contact-store.mjs';
+import { QueueManager } from './queue-manager.mjs';
+import { startScheduler } from './task-scheduler.mjs';
+import { harvestSearchResults } from './search-harvester.mjs';
+import { syncInvitations, withdrawStaleInvitations } from './connection-sync.mjs';
+import { syncInbox } from './inbox-sync.mjs';
+import { suppressionList } from './suppression-list.mjs';
+import { startSequences, listDueSteps, recordStepSent, recordStepFailed } from './follow-up-sequence.mjs';
+import { normalizeProfileUrl, nameFromProfileUrl } from './profile-url.mjs';
+import { campaignManager } from './campaigns.mjs';
+import { hasUnresolvedPlaceholders } from './message-template.mjs';
+import { MESSAGE_LIMIT } from './message-composer.mjs';
+import { isDryRun } from './dry-run.mjs';
+import { startDashboard } from './dashboard-server.mjs';
+import { startApiServer } from './api-server.mjs';
+import { dataPath } from './paths.mjs';
+import { Route, linkedinUrl, isLinkedInUrl, isLoginWall, isLinkedInCookie, isRealLinkedIn, baseUrl } from './routes.mjs';
+import { selectorRegistry } from './selectors.mjs';
+import { PageFailure } from './pages/base-page.mjs';
+import { LoginPage } from './pages/login-page.mjs';
+import { ProfilePage } from './pages/profile-page.mjs';
+import { ActionType, ActionOutcome, startAction, outcomeForPageFailure } from './action-log.mjs';
 
 const __filename = fileURLToPath(import.meta.url);
-const __dirname = path.dirname(__filename);
-const config = JSON.parse(await fs.readFile(path.join(__dirname, '../config.json')));
 
-const pendingFile = path.join(__dirname, '../pending.json');
-const messagedFile = path.join(__dirname, '../messaged.json');
-const cookiesFile = path.join(__dirname, '../cookies.json');
-const logsDir = path.join(__dirname, '../logs');
+const cookiesFile = dataPath('cookies.json');
+const logsDir = dataPath('logs');
+
+// Connection request outcomes that come from the profile itself, not from a page that didn't behave
+const PROFILE_STATE_OUTCOMES = [
+  ActionOutcome.ALREADY_CONNECTED,
+  ActionOutcome.ALREADY_INVITED,
+  ActionOutcome.RECENTLY_WITHDRAWN,
+  ActionOutcome.FOLLOW_ONLY,
+  ActionOutcome.EMAIL_REQUIRED
+];
 
 // Load environment variables from .env file
 dotenv.config({ path: path.join(path.dirname(fileURLToPath(import.meta.url)), '../.env') });
 
-// Initialize OpenAI for captcha analysis
+// Initialize OpenAI for captcha analysis and personalized messages
 await initOpenAI();
 
 // Ensure logs directory exists
@@ -61,96 +88,79 @@ async function saveScreenshot(page, prefix, description = '') {
   }
 }
 
-async function loadJson(file) {
-  try {
-    const data = await fs.readFile(file, 'utf8');
-    if (!data.trim()) {
-      logger.info(`File ${file} is empty`);
-      return [];
-    }
-    return JSON.parse(data);
-  } catch (error) {
-    if (error.code === 'ENOENT') {
-      logger.info(`File ${file} not found`);
-    } else {
-      logger.error(`Error loading file ${file}`, error);
-    }
-    return [];
-  }
-}
-
 async function saveJson(file, data) {
   await fs.writeFile(file, JSON.stringify(data, null, 2));
 }
 
 /**
- * Deduplicate a list of profiles by profileUrl
- * @param {string} filePath - Path to the JSON file containing profiles
- * @returns {Promise<void>}
+ * Deduplicate contact records that point at the same profile, normalize their URLs and fix up unknown names
+ * @returns {Promise<{contacts: number, removed: number, updated: number}|null>} - Records before, records removed as
+ *   duplicates and records rewritten, null when it failed
  */
-async function deduplicateProfiles(filePath) {
+export async function deduplicateProfiles() {
   try {
-    logger.info(`Deduplicating profiles in ${filePath}...`);
-    const profiles = await loadJson(filePath);
+    logger.info('Deduplicating contact records...');
+    const profiles = await contactStore.all();
 
     if (profiles.length === 0) {
-      logger.info(`No profiles found in ${filePath}`);
-      return;
+      logger.info('No contact records found');
+      return { contacts: 0, removed: 0, updated: 0 };
     }
 
-    logger.info(`Found ${profiles.length} profiles in ${filePath}`);
+    logger.info(`Found ${profiles.length} contact records`);
 
-    // Create a map to store unique profiles by URL
+    // Create a map to store unique profiles by normalized URL
     const uniqueProfiles = new Map();
 
-    // Process each profile
     for (const profile of profiles) {
-      if (!profile.profileUrl) {
-        logger.warn(`Skipping profile without URL: ${JSON.stringify(profile)}`);
-        continue;
+      const key = normalizeProfileUrl(profile.profileUrl) || profile.profileUrl;
+      const kept = uniqueProfiles.get(key);
+
+      // Only keep the most recently changed record for each profile
+      if (!kept || new Date(profile.statusChangedAt) > new Date(kept.statusChangedAt)) {
+        uniqueProfiles.set(key, profile);
       }
+    }
+
+    const changes = [];
+    for (const [profileUrl, profile] of uniqueProfiles) {
+      let name = profile.name;
 
       // Fix unknown names if possible
-      if (profile.name === 'Unknown' && profile.profileUrl) {
-        try {
-          const urlPath = new URL(profile.profileUrl).pathname;
-          const inPath = urlPath.split('/in/')[1];
-          if (inPath) {
-            const nameFromUrl = inPath.split('/')[0].split('?')[0].replace(/-/g, ' ');
-            if (nameFromUrl) {
-              // Capitalize each word
-              profile.name = nameFromUrl.split(' ')
-                .map(word => word.charAt(0).toUpperCase() + word.slice(1))
-                .join(' ');
-              logger.info(`Updated name from URL: ${profile.name}`);
-            }
-          }
-        } catch (error) {
-          logger.error('Error extracting name from URL', error);
+      if (name === 'Unknown') {
+        name = nameFromProfileUrl(profileUrl) || name;
+        if (name !== 'Unknown') {
+          logger.info(`Updated name from URL: ${name}`);
         }
       }
 
-      // Only keep the most recent entry for each profileUrl
-      if (!uniqueProfiles.has(profile.profileUrl) ||
-        new Date(profile.date) > new Date(uniqueProfiles.get(profile.profileUrl).date)) {
-        uniqueProfiles.set(profile.profileUrl, profile);
+      if (profileUrl !== profile.profileUrl || name !== profile.name) {
+        changes.push({ ...profile, profileUrl, name });
       }
     }
 
-    // Convert map back to array
-    const deduplicated = Array.from(uniqueProfiles.values());
-
-    logger.info(`Reduced to ${deduplicated.length} unique profiles`);
+    const duplicates = profiles.length - uniqueProfiles.size;
+    logger.info(`Reduced to ${uniqueProfiles.size} unique profiles`);
 
-    // Save the deduplicated list back to the file
-    if (deduplicated.length !== profiles.length) {
-      await saveJson(filePath, deduplicated);
-      logger.info(`Saved deduplicated profiles to ${filePath}`);
-    } else {
-      logger.info(`No duplicates found in ${filePath}`);
+    if (duplicates === 0 && changes.length === 0) {
+      logger.info('No duplicates found in contact records');
+      return { contacts: profiles.length, removed: 0, updated: 0 };
     }
+
+    await contactStore.transaction(tx => {
+      for (const profile of profiles) {
+        const key = normalizeProfileUrl(profile.profileUrl) || profile.profileUrl;
+        if (uniqueProfiles.get(key) !== profile || key !== profile.profileUrl) {
+          tx.remove(profile.profileUrl);
+        }
+      }
+      changes.forEach(profile => tx.put(profile));
+    });
+    logger.info(`Removed ${duplicates} duplicate and updated ${changes.length} contact records`);
+    return { contacts: profiles.length, removed: duplicates, updated: changes.length };
   } catch (error) {
     logger.error('Error deduplicating profiles', error);
+    return null;
   }
 }
 
@@ -189,7 +199,7 @@ async function promptForCredentials() {
   return { username, password };
 }
 
-async function launchBrowser() {
+export async function launchBrowser() {
   console.log('Launching browser');
 
   const execPath = process.env.EXEC_PATH || null;
@@ -199,7 +209,8 @@ async function launchBrowser() {
   let username;
   let password;
 
-  const useProxy = process.env.USE_PROXY === 'true';
+  // A mock LinkedIn runs locally, a proxy couldn't reach it
+  const useProxy = process.env.USE_PROXY === 'true' && isRealLinkedIn();
   if (useProxy) {
     try {
       const proxy = await proxyManager.getRandomProxy();
@@ -346,8 +357,8 @@ async function saveCookies(page) {
         return false;
       }
 
-      // Keep only linkedin.com related cookies
-      if (!cookie.domain.includes('linkedin.com')) {
+      // Keep only cookies of the LinkedIn site in use
+      if (!isLinkedInCookie(cookie)) {
         logger.info(`Skipping non-LinkedIn cookie: ${cookie.name}`);
         return false;
       }
@@ -383,398 +394,290 @@ async function saveCookies(page) {
   }
 }
 
-async function sendOneConnectionRequest(page) {
+/**
+ * Invitation note rendered from the contact's campaign template.
+ * Returns null when the campaign has none or it can't be rendered, the invitation then goes out without a note.
+ */
+function invitationNoteFor(profile) {
+  try {
+    return campaignManager.renderInvitationNote(profile);
+  } catch (error) {
+    logger.warn(`Sending invitation to ${profile.name} without a note: ${error.message}`);
+    return null;
+  }
+}
+
+/**
+ * Send a connection request to one queued profile from its profile page
+ * @param {Page} page - Puppeteer page object
+ * @param {Object} profile - Queue entry with name and profileUrl
+ * @returns {Promise<Object>} - ActionResult, outcome ActionOutcome.SENT when the invitation went out
+ */
+export async function sendOneConnectionRequest(page, profile) {
+  const action = startAction(ActionType.CONNECTION_REQUEST, profile);
+
+  if (await suppressionList.isSuppressed(profile)) {
+    console.log(`${profile.name} is on the do-not-contact list, not inviting.`);
+    return action.finish(ActionOutcome.SUPPRESSED);
+  }
+
   // Check daily connection limit before proceeding
   if (!(await rateLimiter.checkConnectionLimit())) {
     logger.info('Daily connection limit reached. Try again tomorrow.');
-    return false;
+    return action.finish(ActionOutcome.LIMIT_REACHED);
   }
 
   // Wait for appropriate delay before next action
   await rateLimiter.waitForNextAction();
 
-  logger.info('Processing search results to find connection opportunities...');
+  console.log(`Sending connection request to: ${profile.name} (${profile.profileUrl})`);
 
-  // First, ensure we're logged in
-  const isLoggedIn = await checkIfLoggedIn(page);
-  if (!isLoggedIn) {
-    console.log('Not logged in. Cannot process search results.');
-    return false;
-  }
-
-  // Save cookies after successful navigation
-  await saveCookies(page);
-
-  // Take a screenshot of the current search results page
-  await saveScreenshot(page, 'search-results', 'search results page');
-
-  // Log current URL for debugging
-  const currentUrl = page.url();
-  console.log(`Current URL when processing search results: ${currentUrl}`);
-
-  // Wait for page to load completely
-  console.log('Waiting for page to load completely...');
-  //await page.waitForTimeout(5000); // Give the page some time to load
-  await new Promise(r => setTimeout(r, 5000))
-
-  // Try multiple possible selectors for search results
-  const possibleSelectors = [
-    '.reusable-search__result-container', // Original selector
-    '.search-results-container',
-    '.search-results__list',
-    '.artdeco-list__item',
-    '.entity-result',
-    '.search-entity',
-    '.scaffold-layout__list-container li',
-    '.artdeco-card',
-    '.pv-top-card',
-    '.pv-entity__position-group',
-    '.profile-card',
-    // Add more generic selectors as fallbacks
-    'li.artdeco-list__item',
-    'li.reusable-search__result-container',
-    'li.search-result',
-    'div[data-chameleon-result-urn]',
-    'div[data-member-id]',
-    'div[data-member-urn]'
-  ];
-
-  let resultsSelector = null;
-  let foundResults = false;
-
-  // Try each selector until we find one that works
-  for (const selector of possibleSelectors) {
-    try {
-      console.log(`Trying selector: ${selector}`);
-      const elements = await page.$$(selector);
-      if (elements.length > 0) {
-        console.log(`Found ${elements.length} results with selector: ${selector}`);
-        resultsSelector = selector;
-        foundResults = true;
-        break;
-      }
-    } catch (error) {
-      console.log(`Error with selector ${selector}: ${error.message}`);
-    }
-  }
-
-  if (!foundResults) {
-    console.log('Could not find any search results with known selectors.');
-    console.log('Taking another screenshot for debugging...');
-    ensureLogsDir();
-    const timestamp = dayjs().format('YYYY-MM-DD_HH-mm-ss');
-    await page.screenshot({ path: path.join(logsDir, `search-page-no-results_${timestamp}.png`) });
-    console.log(`Saved screenshot to logs/search-page-no-results_${timestamp}.png`);
-
-    // Try to extract any links that might be profile links
-    console.log('Attempting to find profile links directly...');
-    const profileLinks = await page.$$eval('a[href*="/in/"]', links => {
-      return links.map(link => ({
-        href: link.href,
-        text: link.innerText.trim()
-      }));
-    });
+  try {
+    const profilePage = new ProfilePage(page);
+    await profilePage.open(profile.profileUrl);
 
-    console.log(`Found ${profileLinks.length} profile links:`);
-    for (const link of profileLinks.slice(0, 5)) { // Show first 5 links
-      console.log(`- ${link.text}: ${link.href}`);
+    // First, ensure we're logged in
+    const isLoggedIn = await checkIfLoggedIn(page);
+    if (!isLoggedIn) {
+      console.log('Not logged in. Cannot open profile.');
+      return action.finish(ActionOutcome.NOT_LOGGED_IN);
     }
 
-    if (profileLinks.length > 0) {
-      console.log('Clicking on the first profile link...');
-      await page.click(`a[href*="${profileLinks[0].href.split('/in/')[1].split('?')[0]}"]`);
-      //await page.waitForTimeout(5000);
-      await new Promise(r => setTimeout(r, 5000))
-
-      // Now we're on a profile page, look for a connect button
-      const connectButtonSelectors = [
-        'button.pv-s-profile-actions--connect',
-        'button[aria-label*="Connect"]',
-        'button.artdeco-button--secondary',
-        '.pv-top-card-v2-ctas button'
-      ];
-
-      let connectButtonFound = false;
-
-      for (const buttonSelector of connectButtonSelectors) {
-        try {
-          const connectButton = await page.$(buttonSelector);
-          if (connectButton) {
-            console.log(`Found connect button with selector: ${buttonSelector}`);
-            await connectButton.click();
-            //await page.waitForTimeout(2000);
-            await new Promise(r => setTimeout(r, 2000))
-            connectButtonFound = true;
-            break;
-          }
-        } catch (error) {
-          console.log(`Error with button selector ${buttonSelector}: ${error.message}`);
-        }
-      }
+    // Save cookies after successful navigation
+    await saveCookies(page);
 
-      if (connectButtonFound) {
-        // Look for the send button in the modal
-        const sendButtonSelectors = [
-          'button.artdeco-button--primary',
-          'button[aria-label="Send now"]',
-          'button[aria-label="Send invitation"]'
-        ];
-
-        for (const sendSelector of sendButtonSelectors) {
-          try {
-            const sendButton = await page.$(sendSelector);
-            if (sendButton) {
-              console.log(`Found send button with selector: ${sendSelector}`);
-              await sendButton.click();
-              //await page.waitForTimeout(2000);
-              await new Promise(r => setTimeout(r, 2000))
-              console.log('Connection request sent!');
-              return true;
-            }
-          } catch (error) {
-            console.log(`Error with send button selector ${sendSelector}: ${error.message}`);
-          }
-        }
-      }
+    const campaign = campaignManager.campaignFor(profile);
+    // A reviewed invitation goes out with the note as the reviewer approved it
+    const note = profile.approved?.type === ActionType.CONNECTION_REQUEST ? profile.approved.text : invitationNoteFor(profile);
+    const { sent, noteSent, dryRun, reason } = await profilePage.connect({ note, dryRun: isDryRun() });
+    if (dryRun) {
+      logger.info(`[dry run] Would send a connection request to ${profile.name} (${profile.profileUrl}) for campaign ` +
+        `${campaign?.id ?? 'none'}, ${noteSent ? `with the note: ${note}` : 'without a note'}`);
+      action.screenshots.push(await saveScreenshot(page, 'dry-run-invitation', 'dry run invitation'));
+      await profilePage.dismissInvitation();
+      return action.finish(ActionOutcome.DRY_RUN, { details: { campaign: campaign?.id, noteSent, note: noteSent ? note : null } });
     }
-
-    return false;
-  }
-
-  // Find all results
-  const results = await page.$$(resultsSelector);
-  console.log(`Found ${results.length} results`);
-
-  // Iterate through results to find one that has a Connect button
-  for (let i = 0; i < Math.min(results.length, 10); i++) {
-    console.log(`Checking result ${i + 1}...`);
-
-    // Try to find the connect button
-    const connectButtonSelectors = [
-      'button.artdeco-button--secondary',
-      'button.artdeco-button--2',
-      'button[aria-label*="Connect"]',
-      'button[data-control-name="connect"]'
-    ];
-
-    let connectButton = null;
-    let connectButtonSelector = null;
-
-    for (const selector of connectButtonSelectors) {
-      try {
-        connectButton = await results[i].$(selector);
-        if (connectButton) {
-          connectButtonSelector = selector;
-          break;
-        }
-      } catch (error) {
-        console.log(`Error finding connect button with selector ${selector}: ${error.message}`);
+    if (!sent) {
+      const outcome = outcomeForPageFailure(reason);
+      console.log(`Could not send a connection request to ${profile.name}: ${reason}`);
+      // A profile that doesn't take invitations looks as expected, only capture pages that misbehaved
+      if (!PROFILE_STATE_OUTCOMES.includes(outcome)) {
+        action.screenshots.push(await saveScreenshot(page, 'profile-connect-failed', 'profile connect failure'));
       }
+      return action.finish(outcome, { error: reason, details: { noteSent } });
     }
+    // Only invitations LinkedIn confirmed count against the limits
+    await rateLimiter.incrementConnectionCount(campaign?.id);
 
-    if (!connectButton) {
-      console.log(`No connect button found for result ${i + 1}, trying next result...`);
-      continue;
-    }
+    // Record the note so acceptance rates with and without one can be compared
+    await contactStore.update(profile.profileUrl, { noteSent, note: noteSent ? note : null });
 
-    console.log(`Found connect button for result ${i + 1} with selector: ${connectButtonSelector}`);
-
-    // Get profile info
-    let profileName = 'Unknown';
-    let profileUrl = '';
-
-    // Try multiple selectors for profile name
-    const nameSelectors = [
-      'span.entity-result__title-text', // Standard search results
-      'a.app-aware-link', // Alternative in search results
-      'span.artdeco-entity-lockup__title', // Another possible location
-      'h1.text-heading-xlarge', // Profile page
-      'h1.pv-top-card-section__name', // Old profile page
-      'span.name', // Another possible location
-      'span.profile-name', // Another possible location
-      'a[href*="/in/"]' // Last resort - get name from link text
-    ];
-
-    for (const selector of nameSelectors) {
-      try {
-        const nameElement = await results[i].$(selector);
-        if (nameElement) {
-          const extractedName = await results[i].$eval(selector, el => el.innerText.trim());
-          if (extractedName && extractedName.length > 0 && extractedName !== 'Unknown') {
-            // Clean up the name (remove degree symbols, etc.)
-            profileName = extractedName.split('\n')[0].trim().replace(/[•·⋅∙]/g, '').trim();
-            console.log(`Found name using selector ${selector}: ${profileName}`);
-            break;
-          }
-        }
-      } catch (error) {
-        console.log(`Error getting profile name with selector ${selector}: ${error.message}`);
-      }
-    }
+    console.log(`✅ Connection request sent to ${profile.name}${noteSent ? ' with a note' : ''}`);
+    return action.finish(ActionOutcome.SENT, { details: { noteSent } });
+  } catch (error) {
+    console.error(`Error sending connection request: ${error.message}`);
+    console.log('Taking screenshot for debugging...');
+    action.screenshots.push(await saveScreenshot(page, 'connection-error', 'connection error'));
+    return action.finish(ActionOutcome.ERROR, { error });
+  }
+}
 
-    // Try multiple selectors for profile URL
-    const urlSelectors = [
-      'a[href*="/in/"]', // Standard profile links
-      'a.app-aware-link[href*="/in/"]', // App-aware links
-      'a.artdeco-entity-lockup__link[href*="/in/"]' // Entity lockup links
-    ];
-
-    for (const selector of urlSelectors) {
-      try {
-        const urlElement = await results[i].$(selector);
-        if (urlElement) {
-          profileUrl = await results[i].$eval(selector, el => el.href);
-          if (profileUrl) {
-            console.log(`Found URL using selector ${selector}: ${profileUrl}`);
-            break;
-          }
-        }
-      } catch (error) {
-        console.log(`Error getting profile URL with selector ${selector}: ${error.message}`);
-      }
-    }
+/**
+ * Harvest every search URL of a campaign into the queue
+ * @param {Page} page - Logged-in Puppeteer page object
+ * @param {QueueManager} queueManager - Queue to fill
+ * @param {Object} campaign - Campaign from campaignManager
+ * @returns {Promise<number>} - Number of profiles newly queued
+ */
+export async function harvestCampaign(page, queueManager, campaign) {
+  let added = 0;
+  for (const searchUrl of campaign.searchUrls) {
+    console.log(`Harvesting ${campaign.name} search: ${searchUrl}`);
+    added += await harvestSearchResults(page, queueManager, {
+      searchUrl,
+      pageBudget: campaign.harvestPageBudget,
+      campaign: campaign.id
+    });
+  }
+  return added;
+}
 
-    // If we still don't have a name but have a URL, try to extract name from URL
-    if (profileName === 'Unknown' && profileUrl) {
-      try {
-        const urlPath = new URL(profileUrl).pathname;
-        const inPath = urlPath.split('/in/')[1];
-        if (inPath) {
-          const nameFromUrl = inPath.split('/')[0].split('?')[0].replace(/-/g, ' ');
-          if (nameFromUrl) {
-            // Capitalize each word
-            profileName = nameFromUrl.split(' ')
-              .map(word => word.charAt(0).toUpperCase() + word.slice(1))
-              .join(' ');
-            console.log(`Extracted name from URL: ${profileName}`);
-          }
-        }
-      } catch (error) {
-        logger.error('Error extracting name from URL', error);
-      }
-    }
+/**
+ * Generate a personalized follow-up message using GPT-4
+ */
+async function generatePersonalizedMessage(profileData) {
+  try {
+    const prompt = `Create a friendly, professional follow-up message for a LinkedIn connection. Use this context:
+    - Their profile: ${profileData.name} - ${profileData.headline || 'Tech Professional'}
+    - Initial message sent: ${profileData.initialMessage}
+    - Time since connection: ${profileData.daysSinceConnection} days
+    - Keep it brief, natural, and focused on professional networking
+    - Don't mention AI or automated messages`;
+
+    const response = await fetch('https://api.openai.com/v1/chat/completions', {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        'Authorization': `Bearer ${process.env.OPENAI_API_KEY}`
+      },
+      body: JSON.stringify({
+        model: 'gpt-4',
+        messages: [{ role: 'user', content: prompt }],
+        temperature: 0.7
+      })
+    });
 
-    console.log(`Sending connection request to: ${profileName} (${profileUrl})`);
+    const data = await response.json();
+    return data.choices[0].message.content.trim();
+  } catch (error) {
+    logger.error('Error generating follow-up message:', error);
+    return profileData.initialMessage;
+  }
+}
 
-    // Click the connect button
-    try {
-      await connectButton.click();
-      //await page.waitForTimeout(2000);
-      await new Promise(r => setTimeout(r, 2000))
-      
-      // Check if we hit a rate limit
-      if (await rateLimiter.handleRateLimit(page)) {
-        return false;
-      }
-      
-      // Increment connection count on successful click
-      await rateLimiter.incrementConnectionCount();
-
-      // Check if there's a follow-up dialog (e.g., add note, send anyway)
-      const sendButtonSelectors = [
-        'button.artdeco-button--primary',
-        'button.artdeco-button--3',
-        'button[aria-label="Send now"]',
-        'button[aria-label="Send invitation"]'
-      ];
-
-      let sendButton = null;
-
-      for (const sendSelector of sendButtonSelectors) {
-        try {
-          sendButton = await page.$(sendSelector);
-          if (sendButton) {
-            console.log(`Found send button with selector: ${sendSelector}`);
-            await sendButton.click();
-            //await page.waitForTimeout(2000);
-            await new Promise(r => setTimeout(r, 2000))
-            break;
-          }
-        } catch (error) {
-          console.log(`Error with send button selector ${sendSelector}: ${error.message}`);
-        }
-      }
+/**
+ * Text of the contact's due sequence step rendered from its campaign template, personalized when USE_AI is set,
+ * or null when it can't be rendered
+ */
+async function campaignFollowUpMessage(contact) {
+  let initialMessage;
+  try {
+    initialMessage = campaignManager.renderSequenceStep(contact, contact.sequenceStep ?? 0);
+  } catch (error) {
+    logger.warn(`Refusing follow-up to ${contact.name}: ${error.message}`);
+    return null;
+  }
 
-      // Load existing pending connections
-      const pending = await loadJson(pendingFile);
+  if (!initialMessage || process.env.USE_AI !== 'true') {
+    return initialMessage;
+  }
+  const daysSinceConnection = dayjs().diff(dayjs(contact.acceptedAt || contact.invitedAt), 'day');
+  return generatePersonalizedMessage({ ...contact, daysSinceConnection, initialMessage });
+}
 
-      // Check if this profile URL already exists in pending
-      const isDuplicate = pending.some(p => p.profileUrl === profileUrl);
+/**
+ * Only message contacts whose campaign is active and within its daily message share
+ */
+async function campaignHasMessageBudget(contact) {
+  return campaignManager.hasBudget(campaignManager.campaignFor(contact), 'message');
+}
 
-      if (isDuplicate) {
-        console.log(`⚠️ Profile ${profileName} (${profileUrl}) is already in pending list. Skipping.`);
-      } else {
-        // Save the new pending connection
-        pending.push({
-          name: profileName,
-          profileUrl,
-          date: dayjs().format('YYYY-MM-DD')
-        });
-        await saveJson(pendingFile, pending);
-        console.log(`✅ Connection request sent to ${profileName} and added to pending list`);
-      }
+/**
+ * Approved text of the contact's due step, or null when the step hasn't been approved
+ */
+function approvedMessage(contact) {
+  const { approved } = contact;
+  return approved?.type === ActionType.FOLLOW_UP && approved.step === (contact.sequenceStep ?? 0) + 1 ? approved.text : null;
+}
 
-      console.log(`✅ Connection request sent to ${profileName}`);
-      return true;
-    } catch (error) {
-      console.error(`Error sending connection request: ${error.message}`);
-      console.log('Taking screenshot for debugging...');
-      await saveScreenshot(page, 'connection-error', 'connection error');
-    }
+/**
+ * Whether a due step may be sent now. Steps of campaigns that require approval are rendered and put up for review
+ * the first time they come due, and wait until a reviewer approves them.
+ */
+async function readyToSend(contact, composeMessage) {
+  if (!campaignManager.campaignFor(contact)?.requireApproval || approvedMessage(contact)) {
+    return true;
+  }
+  if (contact.approval) {
+    return false;
   }
 
-  console.log('Could not send any connection requests.');
+  const text = await composeMessage(contact);
+  // A step that can't be rendered fails as usual when it is sent
+  if (!text) {
+    return true;
+  }
+  await new QueueManager().requestApproval(contact, { step: (contact.sequenceStep ?? 0) + 1, text });
   return false;
 }
 
-async function sendOneFollowUpMessage(page) {
-  const pending = await loadJson(pendingFile);
-  const messaged = await loadJson(messagedFile);
+/**
+ * Send the most overdue follow-up sequence step. Steps awaiting approval are skipped.
+ * @param {Page} page - Puppeteer page object
+ * @param {Object} [options]
+ * @param {Function} [options.composeMessage] - Returns the text of the contact's due step, defaults to its campaign's template
+ * @param {Function} [options.shouldMessage] - Whether a contact may be messaged now, defaults to its campaign's message budget
+ * @returns {Promise<Object>} - ActionResult, outcome ActionOutcome.SENT when a message was sent
+ */
+export async function sendOneFollowUpMessage(page, { composeMessage = campaignFollowUpMessage, shouldMessage = campaignHasMessageBudget } = {}) {
+  const action = startAction(ActionType.FOLLOW_UP);
 
-  // Filter for connections that were added more than 1 day ago
-  const yesterday = dayjs().subtract(1, 'day').format('YYYY-MM-DD');
-  const connectionsToMessage = pending.filter(c => c.date < yesterday && !messaged.find(m => m.profileUrl === c.profileUrl));
+  if (!(await rateLimiter.checkMessageLimit())) {
+    logger.info('Daily message limit reached. Try again tomorrow.');
+    return action.finish(ActionOutcome.LIMIT_REACHED);
+  }
 
-  if (connectionsToMessage.length === 0) {
-    console.log('No pending connections to message.');
-    return false;
+  // Acceptance is detected by the invitation sync, which is where sequences start
+  await startSequences();
+
+  let user = null;
+  for (const contact of await listDueSteps()) {
+    if (await readyToSend(contact, composeMessage) && await shouldMessage(contact)) {
+      user = contact;
+      break;
+    }
   }
 
-  console.log(`Found ${connectionsToMessage.length} connections to message.`);
-  console.log('Navigating to connections page...');
+  if (!user) {
+    console.log('No follow-up steps due.');
+    return action.finish(ActionOutcome.NOTHING_DUE);
+  }
+  action.profile = user;
+
+  const stepNumber = (user.sequenceStep ?? 0) + 1;
+  const details = { step: stepNumber };
+  const message = approvedMessage(user) ?? await composeMessage(user);
+  if (!message) {
+    await recordStepFailed(user, 'Message could not be rendered', { permanent: true });
+    return action.finish(ActionOutcome.NOT_RENDERED, { error: 'Message could not be rendered', details });
+  }
+  if (hasUnresolvedPlaceholders(message)) {
+    await recordStepFailed(user, 'Message still contains placeholders', { permanent: true });
+    return action.finish(ActionOutcome.NOT_RENDERED, { error: 'Message still contains placeholders', details });
+  }
+  if (message.length > MESSAGE_LIMIT) {
+    const error = `Message is ${message.length} characters, the limit is ${MESSAGE_LIMIT}`;
+    await recordStepFailed(user, error, { permanent: true });
+    return action.finish(ActionOutcome.NOT_RENDERED, { error, details });
+  }
 
+  console.log(`Sending follow-up step ${stepNumber} to ${user.name}`);
   try {
-    await page.goto('https://www.linkedin.com/mynetwork/invite-connect/connections/', { waitUntil: 'networkidle2' });
-    await page.waitForSelector('.mn-connection-card', { timeout: 80000 });
+    const profilePage = new ProfilePage(page);
+    await profilePage.open(user.profileUrl, { waitUntil: 'networkidle2', settleMs: 0 });
+    const { sent, attempts, dryRun, reason } = await profilePage.sendMessage(message, { dryRun: isDryRun() });
+    details.attempts = attempts;
+
+    // Without a Message button this contact can't be messaged, retrying won't help
+    if (reason === PageFailure.NO_MESSAGE_BUTTON) {
+      await recordStepFailed(user, 'No Message button on profile', { permanent: true });
+      return action.finish(ActionOutcome.SELECTOR_NOT_FOUND, { error: reason, details });
+    }
+    if (dryRun) {
+      const campaign = campaignManager.campaignFor(user)?.id;
+      logger.info(`[dry run] Would send follow-up step ${stepNumber} to ${user.name} (${user.profileUrl}) for campaign ` +
+        `${campaign ?? 'none'}:\n${message}`);
+      action.screenshots.push(await saveScreenshot(page, 'dry-run-message', 'dry run message'));
+      await profilePage.discardMessage();
+      return action.finish(ActionOutcome.DRY_RUN, { details: { ...details, campaign, message } });
+    }
+    // Only a message shown in the conversation counts as sent
+    if (!sent) {
+      // A message that may have gone out isn't sent again, the sequence ends for a manual check
+      await recordStepFailed(user, `Message not sent: ${reason}`, { permanent: reason === PageFailure.DELIVERY_UNCONFIRMED });
+      action.screenshots.push(await saveScreenshot(page, 'follow-up-error', 'follow-up error'));
+      return action.finish(outcomeForPageFailure(reason), { error: reason, details });
+    }
   } catch (error) {
-    console.error(`Error accessing connections page: ${error.message}`);
-    console.log('Taking screenshot of current page...');
-    await saveScreenshot(page, 'connections-page-error', 'connections page error');
-    console.log('Current URL:', page.url());
-    console.log('Attempting to continue with available elements...');
+    await recordStepFailed(user, error.message);
+    action.screenshots.push(await saveScreenshot(page, 'follow-up-error', 'follow-up error'));
+    return action.finish(ActionOutcome.ERROR, { error, details });
   }
 
-  const connections = await page.$$eval('.mn-connection-card', cards =>
-    cards.map(card => ({
-      name: card.querySelector('.mn-connection-card__name')?.innerText.trim(),
-      profileUrl: card.querySelector('a.mn-connection-card__link')?.href
-    }))
-  );
-
-  for (const user of pending) {
-    if (connections.find(c => c.profileUrl === user.profileUrl) && !messaged.find(m => m.profileUrl === user.profileUrl)) {
-      console.log(`Sending follow-up message to ${user.name}`);
-      await page.goto(user.profileUrl, { waitUntil: 'networkidle2' });
-      await page.click('a.message-anywhere-button');
-      await page.waitForSelector('div.msg-form__contenteditable');
-      await page.type('div.msg-form__contenteditable', config.follow_up_message);
-      await page.click('button.msg-form__send-button');
-      messaged.push(user);
-      await saveJson(messagedFile, messaged);
-      console.log(`✅ Follow-up message sent to ${user.name}`);
-      break;
-    }
-  }
+  await recordStepSent(user, message);
+  await rateLimiter.incrementMessageCount(campaignManager.campaignFor(user)?.id);
+  console.log(`✅ Follow-up step ${stepNumber} sent to ${user.name}`);
+  return action.finish(ActionOutcome.SENT, { details });
 }
 
 async function checkForSmsVerification(page) {
@@ -782,7 +685,7 @@ async function checkForSmsVerification(page) {
     console.log('Starting SMS verification process...');
 
     // click on #try-another-way
-    const tryAnotherWay = await page.waitForSelector('#try-another-way', { timeout: 15000 })
+    const tryAnotherWay = await selectorRegistry.waitFor(page, 'checkpoint.tryAnotherWay', { timeout: 15000, optional: true })
 
     await tryAnotherWay.click()
 
@@ -790,7 +693,7 @@ async function checkForSmsVerification(page) {
     await new Promise(r => setTimeout(r, 5000))
 
     // Wait for the SMS code input field
-    const smsInput = await page.waitForSelector('input#input__phone_verification_pin', { timeout: 15000 });
+    const smsInput = await selectorRegistry.waitFor(page, 'checkpoint.smsInput', { timeout: 15000 });
     if (!smsInput) {
       console.log('SMS verification input not found.');
       return false;
@@ -804,7 +707,7 @@ async function checkForSmsVerification(page) {
     console.log('SMS code entered.');
 
     // Locate and click the submit button
-    const submitButton = await page.waitForSelector('button#two-step-submit-button', { timeout: 15000 });
+    const submitButton = await selectorRegistry.waitFor(page, 'checkpoint.smsSubmit', { timeout: 15000 });
     if (!submitButton) {
       console.log('Submit button not found.');
       return false;
@@ -822,18 +725,17 @@ async function checkForSmsVerification(page) {
   }
 }
 
-async function checkIfLoggedIn(page) {
+export async function checkIfLoggedIn(page) {
   try {
     // Check if we're on a LinkedIn page first
     const currentUrl = page.url();
-    if (!currentUrl.includes('linkedin.com')) {
+    if (!isLinkedInUrl(currentUrl)) {
       logger.info('Not on LinkedIn domain');
       return false;
     }
 
     // Check for login-required pages and redirects
-    const loginRelatedPaths = ['/login', '/checkpoint', '/authwall', '/uas/login'];
-    if (loginRelatedPaths.some(path => currentUrl.includes(path))) {
+    if (isLoginWall(currentUrl)) {
       logger.info('On login-related page - not logged in');
       return false;
     }
@@ -844,29 +746,14 @@ async function checkIfLoggedIn(page) {
       return false;
     }
 
-    // Most reliable indicator is the global nav
-    const globalNav = await page.$('.global-nav__primary-item');
-    if (globalNav) {
-      logger.info('Found global nav primary item - logged in');
-      return true;
-    }
-
-    // Check for feed content as backup
-    const feedContent = await page.$('div.scaffold-finite-scroll__content[data-finite-scroll-hotkey-context="FEED"]');
-    if (feedContent) {
-      logger.info('Found feed content with FEED context - logged in');
-      return true;
-    }
-
-    // Check for profile menu button which is present for logged-in users
-    const profileMenu = await page.$('button.global-nav__primary-link.global-nav__primary-link-me-menu-trigger.artdeco-dropdown__trigger');
-    if (profileMenu) {
-      logger.info('Found profile menu - logged in');
+    // The global nav, the feed or the profile menu, whichever this page has
+    if (await selectorRegistry.find(page, 'session.loggedIn', { optional: true })) {
+      logger.info('Found logged-in page elements - logged in');
       return true;
     }
 
     // If we can't find logged-in elements, check for login button
-    const loginButton = await page.$('a[href*="/login"]');
+    const loginButton = await selectorRegistry.find(page, 'session.loginLink', { optional: true });
     if (loginButton) {
       logger.info('Found login button - not logged in');
       return false;
@@ -874,11 +761,11 @@ async function checkIfLoggedIn(page) {
 
     // Try to access a protected page
     try {
-      await page.goto('https://www.linkedin.com/feed/', {
+      await page.goto(linkedinUrl(Route.FEED), {
         waitUntil: 'networkidle2',
         timeout: 80000
       });
-      const feedPage = await page.$('div[data-test-id="feed-container"]');
+      const feedPage = await selectorRegistry.find(page, 'session.feedContainer');
       if (feedPage) {
         logger.info('Successfully accessed feed page - logged in');
         return true;
@@ -895,36 +782,14 @@ async function checkIfLoggedIn(page) {
   }
 }
 
-async function loginWithCredentials(page, username, password) {
+export async function loginWithCredentials(page, username, password) {
   try {
-    // Navigate to LinkedIn login page
-    await page.goto('https://www.linkedin.com/login', {
-      waitUntil: 'networkidle2',
-      timeout: 80000
-    });
-
-    // Wait for username field and type username
-    await page.waitForSelector('#username');
-    await page.type('#username', username);
-
-    // Wait for password field and type password
-    await page.waitForSelector('#password');
-    await page.type('#password', password);
-
-    // Click sign in button
-    await page.click('button[type="submit"]');
+    const loginPage = new LoginPage(page);
+    await loginPage.open();
 
-    // Wait for navigation
-    await page.waitForNavigation({ waitUntil: 'networkidle2', timeout: 80000 })
-      .catch(error => logger.warn('Navigation timeout after login:', error));
-
-    // Check if we're still on the login page (failed login)
-    if (page.url().includes('/login')) {
-      const errorElement = await page.$('div[error-for="username"], div[error-for="password"]');
-      if (errorElement) {
-        const errorText = await page.evaluate(el => el.textContent, errorElement);
-        throw new Error(`Login failed: ${errorText.trim()}`);
-      }
+    const { error } = await loginPage.signIn(username, password);
+    if (error) {
+      throw new Error(`Login failed: ${error}`);
     }
 
     // Check for security challenge
@@ -945,8 +810,9 @@ async function loginWithCredentials(page, username, password) {
       });
 
       if (hasSecurityVerification) {
-        // Try to find and click the verify button
-        const verifyButton = await page.$('button:not([aria-hidden="true"]):is(:has(span:contains("Verify")), :contains("Verify"))');
+        // Try to find and click the verify button, CSS can't match on text so look it up by its label
+        const verifyButton = (await page.evaluateHandle(() => Array.from(document.querySelectorAll('button:not([aria-hidden="true"])'))
+          .find(button => button.innerText.includes('Verify')) || null)).asElement();
         if (verifyButton) {
           logger.info('Found verify button, attempting to click...');
           await verifyButton.click();
@@ -972,7 +838,7 @@ async function loginWithCredentials(page, username, password) {
       await saveScreenshot(page, 'captcha-challenge', 'captcha challenge page');
 
       // Check for captcha
-      const captchaFrame = await page.$('iframe[title*="archetype"]');
+      const captchaFrame = await selectorRegistry.find(page, 'checkpoint.captchaFrame', { optional: true });
       if (captchaFrame) {
         logger.info('Detected FunCaptcha challenge, extracting key...');
         const key = await captchaSolver.extractFunCaptchaKey(page);
@@ -1066,80 +932,195 @@ async function useVision(page, screenshot, action = 'solve-puzzle', prompt = 'Id
   }
 }
 
-async function main() {
-  // Deduplicate pending and messaged profiles at startup
-  console.log('Checking for duplicate profiles...');
-  await deduplicateProfiles(pendingFile);
-  await deduplicateProfiles(messagedFile);
+/**
+ * Keep harvesting, connecting and following up on a schedule until the process is told to stop
+ * @param {Page} page - Logged-in Puppeteer page object
+ * @returns {Promise<void>} - Resolves on SIGINT or SIGTERM
+ */
+export async function runDaemon(page) {
+  const queueManager = new QueueManager();
+
+  const scheduler = startScheduler({
+    harvest: campaign => harvestCampaign(page, queueManager, campaign),
+    sendConnectionRequest: profile => sendOneConnectionRequest(page, profile),
+    sendFollowUpMessage: () => sendOneFollowUpMessage(page),
+    syncInvitations: () => syncInvitations(page),
+    withdrawStaleInvitations: () => withdrawStaleInvitations(page),
+    syncInbox: () => syncInbox(page)
+  });
 
-  const { browser, page } = await launchBrowser();
+  // The dashboard is opt-in, it shows the daemon's state and can pause its jobs
+  const dashboard = process.env.DASHBOARD_PORT ?
+    await startDashboard({ port: Number(process.env.DASHBOARD_PORT), scheduler, queueManager }) :
+    null;
+  // So is the REST API, other programs use it to queue profiles and run syncs in this browser
+  const api = process.env.API_PORT ?
+    await startApiServer({ port: Number(process.env.API_PORT), scheduler, queueManager }) :
+    null;
+
+  const status = await queueManager.getQueueStatus();
+  console.log(`Running in daemon mode with ${status?.queueLength ?? 0} profiles queued. Press Ctrl+C to stop.`);
+
+  await new Promise(resolve => {
+    process.once('SIGINT', resolve);
+    process.once('SIGTERM', resolve);
+  });
+
+  console.log('Shutting down scheduler...');
+  scheduler.stop();
+  dashboard?.server.close();
+  api?.server.close();
+}
 
+/**
+ * Sign the browser in, with the saved cookies when they are still valid, otherwise with credentials
+ * @param {Page} page - Puppeteer page object
+ * @param {Object} [options]
+ * @param {boolean} [options.interactive] - Prompt for credentials missing from .env, without it they must be set there
+ * @returns {Promise<boolean>} - Whether the session is logged in
+ */
+export async function signIn(page, { interactive = true } = {}) {
   try {
-    // Ensure login is completed before proceeding
-    console.log('Starting login process...');
-    let isLoggedIn = false;
+    const cookies = await sessionManager.loadCookies();
+    if (cookies.length > 0) {
+      console.log(`Found ${cookies.length} saved cookies...`);
+      await page.setCookie(...cookies);
+      console.log('Cookies loaded successfully.');
+    }
+  } catch (error) {
+    console.log(`Error loading cookies: ${error.message}`);
+  }
 
-    try {
-      const cookies = await sessionManager.loadCookies();
-      if (cookies.length > 0) {
-        console.log(`Found ${cookies.length} saved cookies...`);
-        await page.setCookie(...cookies);
-        console.log('Cookies loaded successfully.');
-      }
-    } catch (error) {
-      console.log(`Error loading cookies: ${error.message}`);
+  // Navigate to LinkedIn and check login status
+  await page.goto(linkedinUrl(Route.HOME), { waitUntil: 'domcontentloaded', timeout: 0 });
+  if (await checkIfLoggedIn(page)) {
+    return true;
+  }
+
+  let username = process.env.LINKEDIN_USER;
+  let password = process.env.LINKEDIN_PASSWORD;
+  if (interactive) {
+    console.log('Not logged in. Prompting for credentials...');
+    ({ username, password } = await promptForCredentials());
+  } else if (!username || !password) {
+    console.log('Not logged in, and LINKEDIN_USER and LINKEDIN_PASSWORD are not both set.');
+    return false;
+  }
+
+  if (!(await sessionManager.handleLoginRetry(page, username, password, loginWithCredentials))) {
+    return false;
+  }
+
+  // Save cookies after successful login
+  await saveCookies(page);
+  return true;
+}
+
+/**
+ * One pass over everything the daemon does: harvest, send a few connection requests, sync invitations and the
+ * inbox, then send a few follow-ups
+ * @param {Page} page - Logged-in Puppeteer page object
+ * @returns {Promise<Object>} - What happened: profiles harvested, the ActionResults and the sync counts
+ */
+export async function runOnce(page) {
+  const summary = { harvested: 0, connectionRequests: [], invitations: null, withdrawn: 0, inbox: null, followUps: [] };
+
+  // Now fill the queue from every active campaign's searches and send connection requests
+  const queueManager = new QueueManager();
+  for (const campaign of campaignManager.getActiveCampaigns()) {
+    summary.harvested += await harvestCampaign(page, queueManager, campaign);
+  }
+
+  // A dry run leaves profiles queued and steps due, don't preview the same one twice
+  const previewed = new Set();
+
+  console.log('Starting to send connection requests...');
+  const maxConnectionRequests = 5;
+  for (let i = 0; i < maxConnectionRequests; i++) {
+    const campaignIds = await campaignManager.getCampaignsWithBudget('connection');
+    const profile = await queueManager.getNextInQueue(p =>
+      !previewed.has(p.profileUrl) && campaignIds.includes(campaignManager.campaignFor(p)?.id));
+    if (!profile || !(await rateLimiter.checkConnectionLimit())) {
+      break;
     }
 
-    // Navigate to LinkedIn and check login status
-    await page.goto('https://www.linkedin.com', { waitUntil: 'domcontentloaded', timeout: 0 });
-    isLoggedIn = await checkIfLoggedIn(page);
+    const result = await sendOneConnectionRequest(page, profile);
+    summary.connectionRequests.push(result);
+    await queueManager.markProcessed(profile, result.outcome);
+    if (result.outcome === ActionOutcome.LIMIT_REACHED) {
+      break;
+    }
+    if (result.outcome === ActionOutcome.DRY_RUN) {
+      previewed.add(profile.profileUrl);
+    }
+    if (result.outcome === ActionOutcome.SENT) {
+      await new Promise(r => setTimeout(r, 5000 + Math.random() * 5000))
+    }
+  }
 
-    if (!isLoggedIn) {
-      console.log('Not logged in. Prompting for credentials...');
-      const { username, password } = await promptForCredentials();
-      isLoggedIn = await sessionManager.handleLoginRetry(page, username, password, loginWithCredentials);
+  console.log('Checking which invitations were accepted...');
+  summary.invitations = await syncInvitations(page);
+  summary.withdrawn = await withdrawStaleInvitations(page);
 
-      if (!isLoggedIn) {
-        console.log('Login failed. Exiting...');
-        return;
-      }
+  console.log('Checking the inbox for replies...');
+  summary.inbox = await syncInbox(page);
 
-      // Save cookies after successful login
-      await saveCookies(page);
+  console.log('Starting to send follow-up messages...');
+  const maxFollowUpMessages = 3;
+  for (let i = 0; i < maxFollowUpMessages; i++) {
+    const result = await sendOneFollowUpMessage(page, {
+      shouldMessage: contact => !previewed.has(contact.profileUrl) && campaignHasMessageBudget(contact)
+    });
+    if ([ActionOutcome.NOTHING_DUE, ActionOutcome.LIMIT_REACHED].includes(result.outcome)) {
+      break;
+    }
+    if (result.outcome === ActionOutcome.DRY_RUN) {
+      previewed.add(result.profile.profileUrl);
+    }
+    summary.followUps.push(result);
+    await new Promise(r => setTimeout(r, 5000 + Math.random() * 5000))
+  }
+
+  return summary;
+}
+
+async function main() {
+  if (!isRealLinkedIn()) {
+    console.log(`Using the LinkedIn mock at ${baseUrl()}`);
+  }
+  if (isDryRun()) {
+    console.log('Dry run: invitations and messages are filled in but not sent, nothing is withdrawn.');
+  }
+
+  // Deduplicate contact records at startup
+  console.log('Checking for duplicate profiles...');
+  await deduplicateProfiles();
+
+  const daemonMode = !process.argv.includes('--once');
+  const { browser, page } = await launchBrowser();
+
+  try {
+    // Ensure login is completed before proceeding
+    console.log('Starting login process...');
+    if (!(await signIn(page))) {
+      console.log('Login failed. Exiting...');
+      return;
     }
 
     console.log('Login successful. Proceeding with other processes...');
 
     // Wait for the feed page to load
-    await page.waitForTimeout(5000);
+    await new Promise(r => setTimeout(r, 5000))
 
     // Take a screenshot to confirm login
     await saveScreenshot(page, 'linkedin-feed', 'LinkedIn feed page');
 
-    // Now proceed with search and sending connection requests
-    console.log('Navigating to search URL...');
-    let searchUrl = config.search_url;
-    if (!searchUrl.startsWith('http')) {
-      searchUrl = 'https://' + searchUrl.replace(/^\/\//, '');
-    }
-    await page.goto(searchUrl, { waitUntil: 'domcontentloaded', timeout: 80000 });
-
-    console.log('Starting to send connection requests...');
-    const maxConnectionRequests = 5;
-    for (let i = 0; i < maxConnectionRequests; i++) {
-      const sent = await sendOneConnectionRequest(page);
-      if (sent) {
-        await page.waitForTimeout(5000 + Math.random() * 5000);
-      }
-    }
-
-    console.log('Starting to send follow-up messages...');
-    const maxFollowUpMessages = 3;
-    for (let i = 0; i < maxFollowUpMessages; i++) {
-      await sendOneFollowUpMessage(page);
-      await page.waitForTimeout(5000 + Math.random() * 5000);
+    if (daemonMode) {
+      await runDaemon(page);
+      return;
     }
 
+    await runOnce(page);
     console.log('All tasks completed successfully!');
   } catch (error) {
     console.error('Error in main process:', error);
@@ -1151,12 +1132,20 @@ async function main() {
     } catch (error) {
       console.error('Error saving cookies:', error.message);
     }
-    //await browser.close();
+    // Flag selectors LinkedIn's markup has drifted away from
+    await selectorRegistry.logReport();
+    // A single run leaves the browser open for inspection, the daemon cleans up on shutdown
+    if (daemonMode) {
+      await browser.close();
+    }
     console.log('Browser closed.');
   }
 }
 
-main().catch(err => {
-  console.error('Fatal error in main process:', err);
-  process.exit(1);
-});
+// Only run when started directly, the tests import the browser actions
+if (process.argv[1] && path.resolve(process.argv[1]) === __filename) {
+  main().catch(err => {
+    console.error('Fatal error in main process:', err);
+    process.exit(1);
+  });
+}
@@ -0,0 +1,129 @@
+import crypto from 'crypto';
+
+// Helpers for what the bot serves on this machine: the approval page, the dashboard and the REST API
+
+// Form bodies are a note or a message, never more than a few kilobytes
+const MAX_BODY_BYTES = 64 * 1024;
+
+export function escapeHtml(value) {
+  return String(value ?? '').replace(/[&<>"']/g, char => `&#${char.charCodeAt(0)};`);
+}
+
+/**
+ * A complete HTML document
+ * @param {string} title - Page title
+ * @param {string} body - Body markup, already escaped
+ * @param {Object} [options]
+ * @param {number} [options.refreshSeconds] - Reload the page this often
+ */
+export function htmlPage(title, body, { refreshSeconds } = {}) {
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+  <meta charset="utf-8">
+  <title>${escapeHtml(title)}</title>${refreshSeconds ? `\n  <meta http-equiv="refresh" content="${refreshSeconds}">` : ''}
+  <style>
+    body { font-family: system-ui, sans-serif; max-width: 64rem; margin: 2rem auto; padding: 0 1rem; }
+    article, section { border: 1px solid #ccc; border-radius: 6px; padding: 1rem; margin-bottom: 1rem; }
+    textarea { width: 100%; min-height: 6rem; font: inherit; }
+    .notice { padding: 0.5rem 1rem; background: #eef6ee; }
+    .error { padding: 0.5rem 1rem; background: #fbeaea; }
+    td, th { text-align: left; padding: 0.25rem 0.5rem; vertical-align: top; }
+    img.screenshot { max-width: 12rem; border: 1px solid #ccc; }
+  </style>
+</head>
+<body>
+${body}
+</body>
+</html>`;
+}
+
+export function sendHtml(res, status, html, headers = {}) {
+  res.writeHead(status, { 'Content-Type': 'text/html; charset=utf-8', ...headers });
+  res.end(html);
+}
+
+/**
+ * Body of a request as text
+ * @param {http.IncomingMessage} req - Incoming request
+ * @param {number} [maxBytes] - Largest body accepted
+ * @throws {Error} - With status 413 when the body is larger
+ */
+export async function readBody(req, maxBytes = MAX_BODY_BYTES) {
+  let body = '';
+  for await (const chunk of req) {
+    body += chunk;
+    if (body.length > maxBytes) {
+      const error = new Error('Request body too large');
+      error.status = 413;
+      throw error;
+    }
+  }
+  return body;
+}
+
+/**
+ * Fields of a url-encoded form POST
+ * @throws {Error} - When the body is larger than a form would be
+ */
+export async function readForm(req) {
+  return Object.fromEntries(new URLSearchParams(await readBody(req)));
+}
+
+/**
+ * Whether a request is addressed to this server by one of its host names, and comes from one of its own pages when
+ * the browser says where it came from. Keeps other sites open in the same browser from submitting forms.
+ * @param {http.IncomingMessage} req - Incoming request
+ * @param {string[]} hosts - host:port names the server answers to
+ */
+export function isLocalRequest(req, hosts) {
+  return hosts.includes(req.headers.host) &&
+    (!req.headers.origin || hosts.includes(req.headers.origin.replace(/^http:\/\//, '')));
+}
+
+/**
+ * Compare a presented token to the expected one in constant time
+ */
+export function tokensEqual(presented, expected) {
+  const left = Buffer.from(presented);
+  const right = Buffer.from(expected);
+  return left.length === right.length && crypto.timingSafeEqual(left, right);
+}
+
+/**
+ * Decode a percent-encoded URL or cookie value, or null when it holds a malformed escape such as `%E0%A4%A`
+ */
+export function decodeComponent(value) {
+  try {
+    return decodeURIComponent(value);
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * Token from an `Authorization: Bearer <token>` header, or null
+ */
+export function bearerToken(req) {
+  return req.headers.authorization?.match(/^Bearer (.+)$/)?.[1] || null;
+}
+
+/**
+ * Start listening and work out the names the server answers to
+ * @param {http.Server} server - Server to start
+ * @param {number} port - Port, 0 picks a free one
+ * @param {string} host - Interface to listen on
+ * @returns {Promise<{origin: string, hosts: string[]}>} - Its URL and the host:port names for isLocalRequest
+ */
+export async function listen(server, port, host) {
+  await new Promise((resolve, reject) => {
+    server.once('error', reject);
+    server.listen(port, host, resolve);
+  });
+
+  const { port: listening } = server.address();
+  return {
+    origin: `http://${host}:${listening}`,
+    hosts: [`${host}:${listening}`, `localhost:${listening}`]
+  };
+}
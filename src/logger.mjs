@@ -1,12 +1,10 @@
 import fs from 'fs/promises';
 import path from 'path';
-import { fileURLToPath } from 'url';
 import dayjs from 'dayjs';
 import { existsSync, mkdirSync } from 'fs';
+import { dataPath } from './paths.mjs';
 
-const __filename = fileURLToPath(import.meta.url);
-const __dirname = path.dirname(__filename);
-const logsDir = path.join(__dirname, '../logs');
+const logsDir = dataPath('logs');
 
 // Ensure logs directory exists
 function ensureLogsDir() {
@@ -0,0 +1,68 @@
+// LinkedIn rejects messages longer than this
+export const MESSAGE_LIMIT = 8000;
+
+/**
+ * Collapse whitespace, so a message compares equal to how a composer or a thread renders it
+ * @param {string} text - Message text
+ * @returns {string}
+ */
+export function normalizeMessageText(text) {
+  return text.replace(/\s+/g, ' ').trim();
+}
+
+/**
+ * Text currently in a composer
+ * @param {ElementHandle} composer - The composer's editable element
+ * @returns {Promise<string>}
+ */
+export async function readDraft(composer) {
+  return composer.evaluate(el => el.innerText);
+}
+
+/**
+ * Empty a composer. LinkedIn keeps unsent drafts, and text left by an earlier attempt would be sent along with the message.
+ * @param {Page} page - Puppeteer page object
+ * @param {ElementHandle} composer - The composer's editable element
+ */
+export async function clearDraft(page, composer) {
+  await composer.evaluate(el => {
+    el.focus();
+    const range = document.createRange();
+    range.selectNodeContents(el);
+    const selection = window.getSelection();
+    selection.removeAllRanges();
+    selection.addRange(range);
+  });
+  await page.keyboard.press('Backspace');
+}
+
+/**
+ * Replace a composer's draft with a message, without sending it. Each line is inserted whole, which keeps emoji intact
+ * and long messages fast, and lines are broken with Shift+Enter since Enter sends.
+ * @param {Page} page - Puppeteer page object
+ * @param {ElementHandle} composer - The composer's editable element
+ * @param {string} text - Message, line breaks as \n
+ * @returns {Promise<boolean>} - Whether the draft reads back as the message
+ * @throws {Error} - When the message is longer than MESSAGE_LIMIT
+ */
+export async function writeDraft(page, composer, text) {
+  if (text.length > MESSAGE_LIMIT) {
+    throw new Error(`Message is ${text.length} characters, the limit is ${MESSAGE_LIMIT}`);
+  }
+
+  await clearDraft(page, composer);
+
+  const lines = text.replace(/\r\n?/g, '\n').split('\n');
+  for (const [index, line] of lines.entries()) {
+    if (index > 0) {
+      await page.keyboard.down('Shift');
+      await page.keyboard.press('Enter');
+      await page.keyboard.up('Shift');
+    }
+    if (line) {
+      await page.keyboard.sendCharacter(line);
+    }
+  }
+
+  return normalizeMessageText(await readDraft(composer)) === normalizeMessageText(text);
+}
@@ -0,0 +1,194 @@
+/**
+ * Message templates.
+ *
+ *   {{firstName}}              profile variable, the render is refused if it has no value
+ *   {{firstName|there}}        variable with a default
+ *   {{#company}}...{{/company}} section rendered only when the variable has a value
+ *   {{^company}}...{{/company}} section rendered only when it has none
+ *   {Hi|Hello|Hey}             spintax, one variant is picked at random (variants may nest)
+ */
+
+// Variables available to templates, see buildTemplateContext()
+export const TEMPLATE_VARIABLES = [
+  'firstName',
+  'lastName',
+  'name',
+  'headline',
+  'company',
+  'location',
+  'mutualCount',
+  'campaign'
+];
+
+const SECTION_PATTERN = /\{\{([#^])\s*(\w+)\s*\}\}([\s\S]*?)\{\{\/\s*\2\s*\}\}/;
+const VARIABLE_PATTERN = /\{\{\s*(\w+)\s*(?:\|([^}]*))?\}\}/g;
+const TAG_PATTERN = /\{\{\s*([#^/]?)\s*(\w*)\s*(?:\|[^}]*)?\}\}/g;
+// Innermost spintax group, matched once the {{ }} tags are hidden behind TAG_MARKER
+const SPIN_PATTERN = /\{([^{}]*)\}/;
+
+// Stands in for {{variable}} tags while spintax is resolved
+const TAG_MARKER = '\u0000';
+
+/**
+ * Build the variables for a profile record
+ * @param {Object} profile - Contact record from the store
+ * @param {Object} [campaign] - Campaign the contact belongs to
+ * @returns {Object} - Template variables, missing values are left undefined
+ */
+export function buildTemplateContext(profile, campaign = null) {
+  const name = profile.name && profile.name !== 'Unknown' ? profile.name.trim() : '';
+  const [firstName, ...rest] = name.split(/\s+/).filter(Boolean);
+
+  // Headlines usually read "Founder at Acme" or "CTO @ Acme | Investor"
+  const companyMatch = (profile.headline || '').match(/\s(?:at|@)\s+([^|•·,]+)/i);
+
+  return {
+    firstName: firstName || undefined,
+    lastName: rest.length > 0 ? rest.join(' ') : undefined,
+    name: name || undefined,
+    headline: profile.headline || undefined,
+    company: profile.company || (companyMatch ? companyMatch[1].trim() : undefined),
+    location: profile.location || undefined,
+    mutualCount: profile.mutualConnections > 0 ? String(profile.mutualConnections) : undefined,
+    campaign: campaign?.name
+  };
+}
+
+function hasValue(value) {
+  return value !== undefined && value !== null && String(value).trim() !== '';
+}
+
+/**
+ * Check a template for syntax errors and unknown variables
+ * @param {string} template - Template text
+ * @returns {string[]} - Problems found, empty when the template is valid
+ */
+export function validateTemplate(template) {
+  if (typeof template !== 'string' || template.trim() === '') {
+    return ['Template is empty'];
+  }
+
+  const errors = [];
+  const openSections = [];
+
+  for (const [, kind, variable] of template.matchAll(TAG_PATTERN)) {
+    if (!variable) {
+      errors.push('Empty {{ }} tag');
+      continue;
+    }
+    if (!TEMPLATE_VARIABLES.includes(variable)) {
+      errors.push(`Unknown variable: ${variable}`);
+    }
+    if (kind === '#' || kind === '^') {
+      openSections.push(variable);
+    } else if (kind === '/') {
+      const open = openSections.pop();
+      if (open !== variable) {
+        errors.push(open ? `Section {{#${open}}} closed by {{/${variable}}}` : `Unexpected {{/${variable}}}`);
+      }
+    }
+  }
+  openSections.forEach(variable => errors.push(`Section {{#${variable}}} is never closed`));
+
+  // Once tags are gone, single braces must pair up as spintax groups
+  let depth = 0;
+  for (const char of template.replace(TAG_PATTERN, '')) {
+    if (char === '{') {
+      depth++;
+    } else if (char === '}' && --depth < 0) {
+      break;
+    }
+  }
+  if (depth !== 0) {
+    errors.push('Unbalanced { } in spintax');
+  }
+
+  return errors;
+}
+
+/**
+ * Whether text still contains template syntax
+ * @param {string} text - Rendered text
+ * @returns {boolean}
+ */
+export function hasUnresolvedPlaceholders(text) {
+  return /\{\{|\}\}/.test(text);
+}
+
+/**
+ * Render a template for one profile
+ * @param {string} template - Template text
+ * @param {Object} context - Variables, usually from buildTemplateContext()
+ * @param {Function} [random] - Source of randomness for spintax, defaults to Math.random
+ * @returns {string} - Rendered message
+ * @throws {Error} - When a variable without default has no value
+ */
+export function renderTemplate(template, context, random = Math.random) {
+  let text = template;
+
+  // Resolve sections from the inside out
+  let match;
+  while ((match = text.match(SECTION_PATTERN))) {
+    const [whole, kind, variable, body] = match;
+    const show = kind === '#' ? hasValue(context[variable]) : !hasValue(context[variable]);
+    text = text.slice(0, match.index) + (show ? body : '') + text.slice(match.index + whole.length);
+  }
+
+  // Hide the remaining tags while spinning, so only variables in the chosen variants are resolved and
+  // every brace left over belongs to spintax
+  const tags = [];
+  text = text.replace(VARIABLE_PATTERN, tag => {
+    tags.push(tag);
+    return `${TAG_MARKER}${tags.length - 1}${TAG_MARKER}`;
+  });
+
+  while ((match = text.match(SPIN_PATTERN))) {
+    const variants = match[1].split('|');
+    const choice = variants[Math.floor(random() * variants.length)];
+    text = text.slice(0, match.index) + choice + text.slice(match.index + match[0].length);
+  }
+
+  const missing = [];
+  text = text.replace(new RegExp(`${TAG_MARKER}(\\d+)${TAG_MARKER}`, 'g'), (whole, index) => {
+    const [tag, variable, fallback] = tags[index].match(new RegExp(VARIABLE_PATTERN.source));
+    if (hasValue(context[variable])) {
+      return String(context[variable]).trim();
+    }
+    if (fallback === undefined) {
+      missing.push(variable);
+      return tag;
+    }
+    return fallback;
+  });
+
+  if (missing.length > 0) {
+    throw new Error(`Unresolved template variables: ${[...new Set(missing)].join(', ')}`);
+  }
+
+  if (hasUnresolvedPlaceholders(text)) {
+    throw new Error('Rendered message still contains template placeholders');
+  }
+
+  // Collapse the double spaces an empty section leaves behind
+  return text.replace(/[ \t]{2,}/g, ' ').trim();
+}
+
+/**
+ * Shorten text to a length limit, cutting at the last word boundary that fits
+ * @param {string} text - Rendered text
+ * @param {number} limit - Maximum number of characters
+ * @returns {string|null} - Text within the limit, or null when no word boundary fits
+ */
+export function trimToWordBoundary(text, limit) {
+  if (text.length <= limit) {
+    return text;
+  }
+
+  const cut = text.slice(0, limit + 1).search(/\s\S*$/);
+  if (cut <= 0) {
+    return null;
+  }
+
+  // Don't leave a dangling comma or dash at the end
+  return text.slice(0, cut).replace(/[\s,;:–—-]+$/, '');
+}
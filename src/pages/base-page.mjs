@@ -0,0 +1,133 @@
+import { normalizeProfileUrl } from '../profile-url.mjs';
+import { isLoginWall } from '../routes.mjs';
+import { selectorRegistry } from '../selectors.mjs';
+
+/**
+ * Why a page operation didn't do what was asked
+ */
+export const PageFailure = {
+  LOGIN_WALL: 'login_wall',
+  RATE_LIMITED: 'rate_limited',
+  NO_CONNECT_BUTTON: 'no_connect_button',
+  // The profile doesn't take invitations right now
+  ALREADY_CONNECTED: 'already_connected',
+  INVITATION_PENDING: 'invitation_pending',
+  RECENTLY_WITHDRAWN: 'recently_withdrawn',
+  FOLLOW_ONLY: 'follow_only',
+  EMAIL_REQUIRED: 'email_required',
+  INVITATION_NOT_CONFIRMED: 'invitation_not_confirmed',
+  NO_SEND_BUTTON: 'no_send_button',
+  NO_MESSAGE_BUTTON: 'no_message_button',
+  NO_COMPOSER: 'no_composer',
+  MESSAGE_TOO_LONG: 'message_too_long',
+  DRAFT_MISMATCH: 'draft_mismatch',
+  NOT_DELIVERED: 'not_delivered',
+  // Left the composer without showing up in the conversation, it may have gone out
+  DELIVERY_UNCONFIRMED: 'delivery_unconfirmed',
+  NO_WITHDRAW_BUTTON: 'no_withdraw_button',
+  NO_CONFIRMATION: 'no_confirmation'
+};
+
+// Upper bound on scroll/load rounds per list, so a huge network can't keep a job running forever
+const MAX_ROUNDS = 200;
+
+// Rounds without new entries before the end of a list is assumed
+const IDLE_ROUNDS = 2;
+
+/**
+ * One LinkedIn screen on top of a Puppeteer page. Operations return data or a PageFailure and leave logging to the caller.
+ */
+export class BasePage {
+  /**
+   * @param {Page} page - Puppeteer page object
+   */
+  constructor(page) {
+    this.page = page;
+  }
+
+  /**
+   * Open a URL and give it time to render
+   * @param {string} url - Page to open
+   * @param {Object} [options]
+   * @param {string} [options.waitUntil] - Puppeteer navigation event to wait for
+   * @param {number} [options.settleMs] - Extra wait for client-side rendering
+   * @returns {Promise<boolean>} - False when LinkedIn redirected to a login page instead
+   */
+  async goto(url, { waitUntil = 'domcontentloaded', settleMs = 5000 } = {}) {
+    await this.page.goto(url, { waitUntil, timeout: 80000 });
+    if (settleMs > 0) {
+      await new Promise(r => setTimeout(r, settleMs))
+    }
+    return !isLoginWall(this.page.url());
+  }
+
+  /**
+   * Click the first element matching a selector registry key
+   * @param {string} key - Selector registry key
+   * @param {Object} [options]
+   * @param {boolean} [options.optional] - The element is often legitimately absent
+   * @returns {Promise<boolean>} - Whether there was something to click
+   */
+  async click(key, { optional = false } = {}) {
+    const element = await selectorRegistry.find(this.page, key, { optional });
+    if (!element) {
+      return false;
+    }
+    await element.click();
+    return true;
+  }
+
+  /**
+   * Scroll to the bottom of an infinite list and press its "Show more" button if it has one
+   */
+  async loadMore() {
+    await this.page.evaluate(() => window.scrollTo(0, document.body.scrollHeight));
+    await this.click('list.loadMore', { optional: true });
+  }
+
+  /**
+   * Move a paginated list to its next page
+   * @returns {Promise<boolean>} - False on the last page
+   */
+  async nextPage() {
+    return this.click('list.nextPage', { optional: true });
+  }
+
+  /**
+   * Scroll, load more and paginate through the open list, collecting every profile link on it
+   * @param {string} linkKey - Selector registry key of the profile links in the list
+   * @param {Object} [options]
+   * @param {boolean} [options.mayBeEmpty] - An empty list is normal, don't count it as a selector miss
+   * @param {Function} [options.isDone] - Called with the links found so far, stops early when it returns true
+   * @returns {Promise<{profileUrls: Set<string>, complete: boolean}>} - Links found, and whether the end of the list was reached
+   */
+  async collectProfileUrls(linkKey, { mayBeEmpty = false, isDone = () => false } = {}) {
+    const profileUrls = new Set();
+
+    let idleRounds = 0;
+    for (let round = 0; round < MAX_ROUNDS; round++) {
+      const before = profileUrls.size;
+      const hrefs = await selectorRegistry.evalAll(this.page, linkKey, links => links.map(link => link.href), { optional: mayBeEmpty });
+      hrefs.map(normalizeProfileUrl).filter(Boolean).forEach(profileUrl => profileUrls.add(profileUrl));
+
+      if (isDone(profileUrls)) {
+        return { profileUrls, complete: true };
+      }
+
+      idleRounds = profileUrls.size === before ? idleRounds + 1 : 0;
+      if (idleRounds >= IDLE_ROUNDS) {
+        // Nothing new from scrolling, move to the next page if the list is paginated
+        if (!(await this.nextPage())) {
+          return { profileUrls, complete: true };
+        }
+        idleRounds = 0;
+      } else {
+        await this.loadMore();
+      }
+
+      await new Promise(r => setTimeout(r, 2000 + Math.random() * 1000))
+    }
+
+    return { profileUrls, complete: false };
+  }
+}
@@ -0,0 +1,24 @@
+import { BasePage } from './base-page.mjs';
+import { Route, linkedinUrl } from '../routes.mjs';
+
+/**
+ * The "Connections" list of the signed-in member, newest first
+ */
+export class ConnectionsPage extends BasePage {
+  /**
+   * @returns {Promise<boolean>} - False when redirected to a login page
+   */
+  async open() {
+    return this.goto(linkedinUrl(Route.CONNECTIONS));
+  }
+
+  /**
+   * Profile URLs of the connections in the open list
+   * @param {Object} [options]
+   * @param {Function} [options.isDone] - Called with the profiles found so far, stops early when it returns true
+   * @returns {Promise<{profileUrls: Set<string>, complete: boolean}>} - Profiles found, and whether the end of the list was reached
+   */
+  async listConnections({ isDone } = {}) {
+    return this.collectProfileUrls('connections.profileLink', { isDone });
+  }
+}
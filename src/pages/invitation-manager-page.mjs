@@ -0,0 +1,83 @@
+import { BasePage, PageFailure } from './base-page.mjs';
+import { normalizeProfileUrl } from '../profile-url.mjs';
+import { Route, linkedinUrl } from '../routes.mjs';
+import { selectorRegistry } from '../selectors.mjs';
+
+/**
+ * The "Sent invitations" tab of the invitation manager
+ */
+export class InvitationManagerPage extends BasePage {
+  /**
+   * @returns {Promise<boolean>} - False when redirected to a login page
+   */
+  async open() {
+    return this.goto(linkedinUrl(Route.SENT_INVITATIONS));
+  }
+
+  /**
+   * Profile URLs of every pending invitation, reading the list to its end
+   * @returns {Promise<{profileUrls: Set<string>, complete: boolean}>} - Profiles found, and whether the end of the list was reached
+   */
+  async listInvitedProfileUrls() {
+    return this.collectProfileUrls('invitations.profileLink', { mayBeEmpty: true });
+  }
+
+  /**
+   * Invitation cards currently rendered
+   * @returns {Promise<Object[]>} - Card handles with their profile URL, name and the "Sent ..." text
+   */
+  async listInvitations() {
+    // Withdrawing empties the list, that is not a selector miss
+    const handles = await selectorRegistry.findAll(this.page, 'invitations.card', { optional: true });
+
+    const invitations = [];
+    for (const handle of handles) {
+      const card = await handle.evaluate(el => {
+        const link = el.querySelector('a[href*="/in/"]');
+        const badge = el.querySelector('.time-badge, time, .invitation-card__time');
+        return {
+          href: link ? link.href : '',
+          name: el.querySelector('.invitation-card__title, .artdeco-entity-lockup__title')?.innerText.trim() || '',
+          sent: badge ? badge.innerText.trim() : (el.innerText.match(/Sent [^\n]+/) || [''])[0]
+        };
+      });
+
+      const profileUrl = normalizeProfileUrl(card.href);
+      if (profileUrl) {
+        invitations.push({ handle, profileUrl, name: card.name, sent: card.sent });
+      }
+    }
+    return invitations;
+  }
+
+  /**
+   * Click Withdraw on one invitation card and confirm the dialog
+   * @param {Object} invitation - Entry from listInvitations
+   * @returns {Promise<{withdrawn: boolean, reason?: string}>} - reason is a PageFailure when nothing was withdrawn
+   */
+  async withdraw(invitation) {
+    const buttons = await invitation.handle.$$('button');
+    let withdrawButton = null;
+    for (const button of buttons) {
+      const label = await button.evaluate(el => `${el.getAttribute('aria-label') || ''} ${el.innerText}`);
+      if (/withdraw/i.test(label)) {
+        withdrawButton = button;
+        break;
+      }
+    }
+
+    if (!withdrawButton) {
+      return { withdrawn: false, reason: PageFailure.NO_WITHDRAW_BUTTON };
+    }
+
+    await withdrawButton.click();
+    await new Promise(r => setTimeout(r, 1500))
+
+    if (!(await this.click('invitations.withdrawConfirm'))) {
+      return { withdrawn: false, reason: PageFailure.NO_CONFIRMATION };
+    }
+
+    await new Promise(r => setTimeout(r, 2000 + Math.random() * 2000))
+    return { withdrawn: true };
+  }
+}
@@ -0,0 +1,44 @@
+import { BasePage } from './base-page.mjs';
+import { Route, linkedinUrl, isLoginWall } from '../routes.mjs';
+import { selectorRegistry } from '../selectors.mjs';
+
+/**
+ * The sign-in form
+ */
+export class LoginPage extends BasePage {
+  async open() {
+    await this.goto(linkedinUrl(Route.LOGIN), { waitUntil: 'networkidle2', settleMs: 0 });
+  }
+
+  /**
+   * Fill in and submit the sign-in form
+   * @param {string} username - Email or phone number
+   * @param {string} password - Password
+   * @returns {Promise<{signedIn: boolean, checkpoint: boolean, error: string|null}>} - Where the form led: the site, a
+   *   security checkpoint, or back to the form with LinkedIn's error message
+   */
+  async signIn(username, password) {
+    const usernameField = await selectorRegistry.waitFor(this.page, 'login.username');
+    await usernameField.type(username);
+
+    const passwordField = await selectorRegistry.waitFor(this.page, 'login.password');
+    await passwordField.type(password);
+
+    if (!(await this.click('login.submit'))) {
+      throw new Error('No sign in button on the login page');
+    }
+
+    // A slow redirect is judged by wherever the page ended up
+    await this.page.waitForNavigation({ waitUntil: 'networkidle2', timeout: 80000 }).catch(() => {});
+
+    const url = this.page.url();
+    let error = null;
+    if (url.includes('/login')) {
+      // Both error slots are always on the page, only the one that failed has text
+      const errorTexts = await selectorRegistry.evalAll(this.page, 'login.error', elements => elements.map(el => el.textContent.trim()));
+      error = errorTexts.filter(Boolean).join(' ') || null;
+    }
+
+    return { signedIn: !isLoginWall(url), checkpoint: url.includes('/checkpoint'), error };
+  }
+}
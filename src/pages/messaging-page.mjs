@@ -0,0 +1,235 @@
+import { BasePage, PageFailure } from './base-page.mjs';
+import { normalizeProfileUrl } from '../profile-url.mjs';
+import { Route, linkedinUrl, toLinkedInUrl } from '../routes.mjs';
+import { selectorRegistry } from '../selectors.mjs';
+import { MESSAGE_LIMIT, clearDraft, normalizeMessageText, readDraft, writeDraft } from '../message-composer.mjs';
+
+// Send attempts for a message that stays in the composer
+const SEND_ATTEMPTS = 3;
+
+// Registry keys of the fields read from an inbox row, a row without a thread link is unusable
+const CONVERSATION_FIELDS = {
+  threadUrl: 'messaging.conversationLink',
+  name: 'messaging.conversationName',
+  snippet: 'messaging.conversationSnippet',
+  time: 'messaging.conversationTime',
+  unread: 'messaging.conversationUnread'
+};
+const REQUIRED_CONVERSATION_FIELDS = ['threadUrl', 'name'];
+
+// Registry keys of the fields read from an entry of an open thread. Only the first entry of a message group has the
+// sender, and day headings have no message.
+const EVENT_FIELDS = {
+  heading: 'messaging.dayHeading',
+  meta: 'messaging.groupMeta',
+  senderName: 'messaging.senderName',
+  senderHref: 'messaging.senderLink',
+  time: 'messaging.groupTime',
+  body: 'messaging.messageBody'
+};
+const REQUIRED_EVENT_FIELDS = ['meta', 'senderName', 'body'];
+
+/**
+ * The messaging inbox, an open thread, and the message composer wherever it is open
+ */
+export class MessagingPage extends BasePage {
+  /**
+   * @returns {Promise<boolean>} - False when redirected to a login page
+   */
+  async open() {
+    return this.goto(linkedinUrl(Route.MESSAGING));
+  }
+
+  /**
+   * Conversation rows of the inbox list, most recent first
+   * @returns {Promise<{threadUrl: string, name: string, snippet: string, time: string, unread: boolean}[]>} - time is
+   *   the last activity as shown ("10:42 AM", "Mon", "Jun 3")
+   */
+  async listThreads() {
+    const rows = await selectorRegistry.evalAll(this.page, 'messaging.conversation', (rows, fieldSelectors) => rows.map(row => {
+      // Index of the selector each field was found with, -1 when none matched
+      const matched = {};
+      const find = field => {
+        matched[field] = fieldSelectors[field].findIndex(sel => row.querySelector(sel));
+        return matched[field] === -1 ? null : row.querySelector(fieldSelectors[field][matched[field]]);
+      };
+      const text = field => find(field)?.innerText.trim() || '';
+
+      return {
+        threadUrl: find('threadUrl')?.href || '',
+        name: text('name'),
+        snippet: text('snippet'),
+        time: text('time'),
+        unread: Boolean(find('unread')),
+        matched
+      };
+    }), { args: [selectorRegistry.fieldSelectors(CONVERSATION_FIELDS)] });
+
+    if (rows.length > 0) {
+      await selectorRegistry.recordFields(CONVERSATION_FIELDS, rows, REQUIRED_CONVERSATION_FIELDS);
+    }
+    return rows.map(({ matched, ...thread }) => thread).filter(thread => thread.threadUrl);
+  }
+
+  /**
+   * Open a thread and wait for it to load
+   * @param {string} threadUrl - Thread URL from listThreads
+   * @returns {Promise<{participantUrl: string|null}>} - Normalized profile URL of the other participant, when linked
+   * @throws {Error} - When the thread doesn't load
+   */
+  async openThread(threadUrl) {
+    if (!(await this.goto(toLinkedInUrl(threadUrl), { settleMs: 0 }))) {
+      throw new Error('Redirected to a login page');
+    }
+    await selectorRegistry.waitFor(this.page, 'messaging.threadReady', { timeout: 20000 });
+    await new Promise(r => setTimeout(r, 1500 + Math.random() * 1500))
+
+    const participantLink = await selectorRegistry.find(this.page, 'messaging.participantLink');
+    const participantUrl = participantLink ? normalizeProfileUrl(await participantLink.evaluate(link => link.href)) : null;
+    return { participantUrl };
+  }
+
+  /**
+   * Every message in the open thread, with the sender and time carried over from its group
+   * @returns {Promise<{senderName: string, senderHref: string, heading: string, time: string, text: string}[]>} - heading is the day heading, time the clock time shown
+   */
+  async readMessages() {
+    const events = await selectorRegistry.evalAll(this.page, 'messaging.threadEvent', (events, fieldSelectors) => events.map(event => {
+      // Index of the selector each field was found with, -1 when none matched
+      const matched = {};
+      const find = (scope, field) => {
+        matched[field] = fieldSelectors[field].findIndex(sel => scope.querySelector(sel));
+        return matched[field] === -1 ? null : scope.querySelector(fieldSelectors[field][matched[field]]);
+      };
+      const meta = find(event, 'meta');
+      const body = find(event, 'body');
+
+      return {
+        heading: find(event, 'heading')?.innerText.trim() || '',
+        sender: meta ? {
+          name: find(meta, 'senderName')?.innerText.trim() || '',
+          href: find(event, 'senderHref')?.href || '',
+          time: find(meta, 'time')?.innerText.trim() || ''
+        } : null,
+        texts: body ? Array.from(event.querySelectorAll(fieldSelectors.body[matched.body]), el => el.innerText.trim()) : [],
+        matched
+      };
+    }), { args: [selectorRegistry.fieldSelectors(EVENT_FIELDS)] });
+
+    if (events.length > 0) {
+      await selectorRegistry.recordFields(EVENT_FIELDS, events, REQUIRED_EVENT_FIELDS);
+    }
+
+    // The day heading, sender and time carry over to the entries that follow
+    let heading = '';
+    let sender = { name: '', href: '', time: '' };
+    return events.flatMap(event => {
+      heading = event.heading || heading;
+      if (event.sender) {
+        sender = { ...event.sender, time: event.sender.time || sender.time };
+      }
+      return event.texts.filter(Boolean).map(text => ({
+        senderName: sender.name,
+        senderHref: sender.href,
+        heading,
+        time: sender.time,
+        text
+      }));
+    });
+  }
+
+  /**
+   * Text of our own messages in the open thread or overlay, oldest first
+   * @returns {Promise<string[]>}
+   */
+  async outboundMessages() {
+    const texts = await selectorRegistry.evalAll(this.page, 'messaging.outboundMessage', bodies => bodies.map(body => body.innerText), { optional: true });
+    return texts.map(normalizeMessageText);
+  }
+
+  /**
+   * Wait for a sent message to show up as the newest outbound bubble
+   * @param {string} text - Message that was sent
+   * @param {number} countBefore - Outbound bubbles before it was sent, so an earlier identical message doesn't count
+   * @param {number} [timeoutMs] - How long to keep looking
+   * @returns {Promise<boolean>}
+   */
+  async delivered(text, countBefore, timeoutMs = 10000) {
+    const deadline = Date.now() + timeoutMs;
+    while (true) {
+      const messages = await this.outboundMessages();
+      if (messages.length > countBefore && messages.at(-1) === normalizeMessageText(text)) {
+        return true;
+      }
+      if (Date.now() >= deadline) {
+        return false;
+      }
+      await new Promise(r => setTimeout(r, 1000))
+    }
+  }
+
+  /**
+   * Write a message into the open composer, a thread's or the overlay opened from a profile, send it and wait for it
+   * to show up in the conversation. A draft that doesn't read back as the message isn't sent, and a message still in
+   * the composer after sending is tried again, up to attempts times. One that left the composer without showing up
+   * isn't, as it may have gone out.
+   * @param {string} text - Message to send
+   * @param {Object} [options]
+   * @param {number} [options.attempts] - Send attempts before giving up
+   * @param {boolean} [options.dryRun] - Write the draft and stop before clicking Send, discardDraft clears it afterwards
+   * @returns {Promise<{sent: boolean, attempts: number, dryRun?: boolean, reason?: string}>} - sent only once the
+   *   message is shown in the conversation, dryRun when the draft was ready to send, reason is a PageFailure otherwise
+   */
+  async sendMessage(text, { attempts = SEND_ATTEMPTS, dryRun = false } = {}) {
+    const composer = await selectorRegistry.waitFor(this.page, 'messaging.composer').catch(() => null);
+    if (!composer) {
+      return { sent: false, attempts: 0, reason: PageFailure.NO_COMPOSER };
+    }
+
+    if (text.length > MESSAGE_LIMIT) {
+      return { sent: false, attempts: 0, reason: PageFailure.MESSAGE_TOO_LONG };
+    }
+
+    let attempt = 0;
+    let reason = PageFailure.NOT_DELIVERED;
+    while (attempt < attempts) {
+      attempt++;
+      const countBefore = (await this.outboundMessages()).length;
+
+      if (!(await writeDraft(this.page, composer, text))) {
+        reason = PageFailure.DRAFT_MISMATCH;
+        continue;
+      }
+      if (dryRun) {
+        return await selectorRegistry.find(this.page, 'messaging.sendButton') ?
+          { sent: false, attempts: attempt, dryRun: true } :
+          { sent: false, attempts: attempt, reason: PageFailure.NO_SEND_BUTTON };
+      }
+      if (!(await this.click('messaging.sendButton'))) {
+        return { sent: false, attempts: attempt, reason: PageFailure.NO_SEND_BUTTON };
+      }
+
+      if (await this.delivered(text, countBefore)) {
+        return { sent: true, attempts: attempt };
+      }
+      // Gone from the composer without showing up, sending it again could duplicate it
+      if (!(await readDraft(composer)).trim()) {
+        reason = PageFailure.DELIVERY_UNCONFIRMED;
+        break;
+      }
+      reason = PageFailure.NOT_DELIVERED;
+    }
+
+    return { sent: false, attempts: attempt, reason };
+  }
+
+  /**
+   * Empty the open composer, so a draft written by a dry run isn't kept by LinkedIn
+   */
+  async discardDraft() {
+    const composer = await selectorRegistry.find(this.page, 'messaging.composer', { optional: true });
+    if (composer) {
+      await clearDraft(this.page, composer);
+    }
+  }
+}
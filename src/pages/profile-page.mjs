@@ -0,0 +1,195 @@
+import { BasePage, PageFailure } from './base-page.mjs';
+import { MessagingPage } from './messaging-page.mjs';
+import { humanBehavior } from '../human-behavior.mjs';
+import { rateLimiter } from '../rate-limiter.mjs';
+import { toLinkedInUrl } from '../routes.mjs';
+import { selectorRegistry } from '../selectors.mjs';
+
+// Toast LinkedIn shows once an invitation is out, e.g. "Your invitation to Jane Founder was sent."
+const SENT_TOAST = /invitation .*was sent/i;
+
+// Shown instead of the invitation modal for three weeks after one to the member was withdrawn
+const WITHDRAWN_TOAST = /resend .*after withdrawing/i;
+
+/**
+ * A member's profile, with its Connect and Message actions
+ */
+export class ProfilePage extends BasePage {
+  /**
+   * @param {string} profileUrl - Stored profile URL, opened on the configured site
+   * @param {Object} [options] - Passed to goto
+   * @returns {Promise<boolean>} - False when redirected to a login page
+   */
+  async open(profileUrl, options) {
+    return this.goto(toLinkedInUrl(profileUrl), options);
+  }
+
+  /**
+   * Open "Add a note" in the invitation modal and type the note
+   * @param {string} note - Rendered note within LinkedIn's length limit
+   * @returns {Promise<boolean>} - Whether the note was typed into the modal
+   */
+  async addNote(note) {
+    if (!(await this.click('invitation.addNoteButton'))) {
+      return false;
+    }
+    await new Promise(r => setTimeout(r, 1500))
+
+    const noteField = await selectorRegistry.match(this.page, 'invitation.noteField');
+    if (!noteField) {
+      return false;
+    }
+
+    await humanBehavior.simulateTyping(this.page, noteField.selector, note);
+    return true;
+  }
+
+  /**
+   * Why the open profile can't be invited before anything is clicked: already connected, or an invitation already out
+   * @returns {Promise<string|null>} - PageFailure, null when it looks invitable
+   */
+  async inviteBlocker() {
+    const degrees = await selectorRegistry.evalAll(this.page, 'profile.degreeBadge', badges => badges.map(badge => badge.textContent.trim()), { optional: true });
+    if (degrees.some(degree => degree.startsWith('1st'))) {
+      return PageFailure.ALREADY_CONNECTED;
+    }
+    if (await selectorRegistry.find(this.page, 'profile.pendingButton', { optional: true })) {
+      return PageFailure.INVITATION_PENDING;
+    }
+    return null;
+  }
+
+  /**
+   * Click Connect, from the "More" menu when the profile doesn't show it as a button
+   * @returns {Promise<string|null>} - PageFailure when there's no Connect anywhere, null once clicked
+   */
+  async openInvitation() {
+    if (await this.click('profile.connectButton', { optional: true })) {
+      return null;
+    }
+
+    if (await this.click('profile.moreButton', { optional: true })) {
+      await new Promise(r => setTimeout(r, 1000))
+      if (await this.click('profile.moreConnectItem', { optional: true })) {
+        return null;
+      }
+    }
+
+    // Members who only allow followers show Follow where Connect would be
+    if (await selectorRegistry.find(this.page, 'profile.followButton', { optional: true })) {
+      return PageFailure.FOLLOW_ONLY;
+    }
+
+    await selectorRegistry.record('profile.connectButton', -1);
+    return PageFailure.NO_CONNECT_BUTTON;
+  }
+
+  /**
+   * Text of the toasts on the page
+   * @returns {Promise<string[]>}
+   */
+  async toasts() {
+    return selectorRegistry.evalAll(this.page, 'invitation.toast', toasts => toasts.map(toast => toast.textContent.trim()), { optional: true });
+  }
+
+  /**
+   * Wait for LinkedIn to show that the invitation went out: a "sent" toast, or Connect turning into Pending
+   * @param {number} [timeoutMs] - How long to keep looking
+   * @returns {Promise<boolean>}
+   */
+  async invitationConfirmed(timeoutMs = 10000) {
+    const deadline = Date.now() + timeoutMs;
+    while (true) {
+      if ((await this.toasts()).some(toast => SENT_TOAST.test(toast))) {
+        return true;
+      }
+      if (await selectorRegistry.find(this.page, 'profile.pendingButton', { optional: true })) {
+        return true;
+      }
+      if (Date.now() >= deadline) {
+        return false;
+      }
+      await new Promise(r => setTimeout(r, 1000))
+    }
+  }
+
+  /**
+   * Click Connect on the open profile and send the invitation, then wait for LinkedIn to confirm it.
+   * Doesn't count against the connection limits, the caller does once it gets sent: true.
+   * @param {Object} [options]
+   * @param {string} [options.note] - Note to attach, the invitation goes out without one if it can't be added
+   * @param {boolean} [options.dryRun] - Fill in the invitation and stop before clicking Send, leaving the modal open
+   * @returns {Promise<{sent: boolean, noteSent: boolean, dryRun?: boolean, reason?: string}>} - sent only once the
+   *   invitation is confirmed, dryRun when it was ready to send, reason is a PageFailure otherwise
+   */
+  async connect({ note = null, dryRun = false } = {}) {
+    const failed = reason => ({ sent: false, noteSent: false, reason });
+
+    const blocker = (await this.inviteBlocker()) || (await this.openInvitation());
+    if (blocker) {
+      return failed(blocker);
+    }
+    await new Promise(r => setTimeout(r, 2000))
+
+    if (await rateLimiter.handleRateLimit(this.page)) {
+      return failed(PageFailure.RATE_LIMITED);
+    }
+
+    if ((await this.toasts()).some(toast => WITHDRAWN_TOAST.test(toast))) {
+      return failed(PageFailure.RECENTLY_WITHDRAWN);
+    }
+
+    if (await selectorRegistry.find(this.page, 'invitation.emailField', { optional: true })) {
+      // Leave the modal closed rather than guessing an address
+      await this.click('invitation.dismissButton', { optional: true });
+      return failed(PageFailure.EMAIL_REQUIRED);
+    }
+
+    // A note that can't be added doesn't stop the invitation
+    const noteSent = note ? await this.addNote(note).catch(() => false) : false;
+
+    // The send button is relabelled once a note has been added
+    const sendKey = noteSent ? 'invitation.sendWithNoteButton' : 'invitation.sendButton';
+    if (dryRun) {
+      return await selectorRegistry.find(this.page, sendKey) ?
+        { sent: false, noteSent, dryRun: true } :
+        failed(PageFailure.NO_SEND_BUTTON);
+    }
+    if (!(await this.click(sendKey))) {
+      return failed(PageFailure.NO_SEND_BUTTON);
+    }
+
+    if (!(await this.invitationConfirmed())) {
+      return { sent: false, noteSent, reason: PageFailure.INVITATION_NOT_CONFIRMED };
+    }
+
+    return { sent: true, noteSent };
+  }
+
+  /**
+   * Close an invitation modal left open by a dry run
+   */
+  async dismissInvitation() {
+    await this.click('invitation.dismissButton', { optional: true });
+  }
+
+  /**
+   * Open the message overlay from the profile's Message button and send a message
+   * @param {string} text - Message to send
+   * @param {Object} [options] - Passed to MessagingPage.sendMessage
+   * @returns {Promise<{sent: boolean, attempts: number, reason?: string}>} - See MessagingPage.sendMessage
+   */
+  async sendMessage(text, options) {
+    if (!(await this.click('profile.messageButton'))) {
+      return { sent: false, attempts: 0, reason: PageFailure.NO_MESSAGE_BUTTON };
+    }
+    return new MessagingPage(this.page).sendMessage(text, options);
+  }
+
+  /**
+   * Clear the draft a dry run left in the message overlay
+   */
+  async discardMessage() {
+    await new MessagingPage(this.page).discardDraft();
+  }
+}
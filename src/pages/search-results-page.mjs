@@ -0,0 +1,94 @@
+import { BasePage } from './base-page.mjs';
+import { humanBehavior } from '../human-behavior.mjs';
+import { toLinkedInUrl } from '../routes.mjs';
+import { selectorRegistry } from '../selectors.mjs';
+
+// Registry keys of the fields read from a result card, a card without a link is unusable
+const CARD_FIELDS = {
+  name: 'search.resultName',
+  href: 'search.resultLink',
+  headline: 'search.resultHeadline',
+  location: 'search.resultLocation',
+  degree: 'search.resultDegree',
+  insight: 'search.resultInsight'
+};
+const REQUIRED_CARD_FIELDS = ['name', 'href'];
+
+/**
+ * Build the URL of one page of search results, on the configured site
+ * @param {string} searchUrl - Search URL from the config
+ * @param {number} pageNumber - 1-based page number
+ * @returns {string} - URL with the page parameter set
+ */
+export function searchPageUrl(searchUrl, pageNumber) {
+  let absolute = searchUrl;
+  if (!absolute.startsWith('http')) {
+    absolute = 'https://' + absolute.replace(/^\/\//, '');
+  }
+
+  const url = new URL(absolute);
+  if (pageNumber > 1) {
+    url.searchParams.set('page', String(pageNumber));
+  } else {
+    url.searchParams.delete('page');
+  }
+  return toLinkedInUrl(url.href);
+}
+
+/**
+ * One page of people search results
+ */
+export class SearchResultsPage extends BasePage {
+  /**
+   * @param {string} searchUrl - People search URL
+   * @param {number} [pageNumber] - 1-based page of the results
+   * @returns {Promise<boolean>} - False when redirected to a login page
+   */
+  async open(searchUrl, pageNumber = 1) {
+    return this.goto(searchPageUrl(searchUrl, pageNumber));
+  }
+
+  /**
+   * Scroll through the page so lazily rendered cards are in the DOM
+   */
+  async scrollResults() {
+    await humanBehavior.simulateScroll(this.page);
+  }
+
+  /**
+   * Read every result card on the page
+   * @returns {Promise<{name: string, href: string, headline: string, location: string, degree: string, insight: string, urn: string}[]>} - Text of each card, degree and insight as shown
+   */
+  async listResults() {
+    const fieldSelectors = selectorRegistry.fieldSelectors(CARD_FIELDS);
+
+    const cards = await selectorRegistry.evalAll(this.page, 'search.resultCard', (elements, fieldSelectors) => elements.map(el => {
+      // Index of the selector each field was found with, -1 when none matched
+      const matched = {};
+      const find = field => {
+        matched[field] = fieldSelectors[field].findIndex(sel => el.querySelector(sel));
+        return matched[field] === -1 ? null : el.querySelector(fieldSelectors[field][matched[field]]);
+      };
+      const text = field => find(field)?.innerText.trim() || '';
+      const link = find('href');
+      const urnHolder = el.closest('[data-chameleon-result-urn]') || el.querySelector('[data-chameleon-result-urn]');
+
+      return {
+        name: text('name') || (link ? link.innerText.trim() : ''),
+        href: link ? link.href : '',
+        headline: text('headline'),
+        location: text('location'),
+        degree: text('degree'),
+        insight: text('insight'),
+        urn: urnHolder?.getAttribute('data-chameleon-result-urn') || el.getAttribute('data-member-urn') || '',
+        matched
+      };
+    }), { args: [fieldSelectors] });
+
+    if (cards.length > 0) {
+      // Optional fields such as the location are legitimately missing on some profiles
+      await selectorRegistry.recordFields(CARD_FIELDS, cards, REQUIRED_CARD_FIELDS);
+    }
+    return cards.map(({ matched, ...card }) => card);
+  }
+}
@@ -0,0 +1,17 @@
+import path from 'path';
+import { fileURLToPath } from 'url';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+// State files (cookies, contacts, rate limiter state, logs) live in the repo root unless BOT_DATA_DIR points elsewhere
+export const dataDir = process.env.BOT_DATA_DIR ? path.resolve(process.env.BOT_DATA_DIR) : path.join(__dirname, '..');
+
+/**
+ * Path of a file in the data directory
+ * @param {string} name - File or directory name
+ * @returns {string} - Absolute path
+ */
+export function dataPath(name) {
+  return path.join(dataDir, name);
+}
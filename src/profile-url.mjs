@@ -0,0 +1,66 @@
+import { baseUrl } from './routes.mjs';
+
+/**
+ * Normalize a LinkedIn profile URL to `https://www.linkedin.com/in/<slug>`.
+ * Query strings, fragments, trailing path segments and country subdomains are dropped.
+ * Links scraped from a mock LinkedIn (LINKEDIN_BASE_URL) normalize to the same URL, so records don't depend on it.
+ * Only https linkedin.com hosts and the configured base URL are accepted, the browser is never sent anywhere else.
+ * @param {string} profileUrl - Profile URL as scraped or supplied
+ * @returns {string|null} - Canonical URL, or null if this isn't a LinkedIn profile URL
+ */
+export function normalizeProfileUrl(profileUrl) {
+  if (!profileUrl) {
+    return null;
+  }
+
+  let url;
+  try {
+    url = new URL(profileUrl, 'https://www.linkedin.com');
+  } catch (error) {
+    return null;
+  }
+
+  const match = url.pathname.match(/^\/in\/([^/]+)/);
+  if (!match) {
+    return null;
+  }
+
+  const onLinkedIn = url.protocol === 'https:' && (url.hostname === 'linkedin.com' || url.hostname.endsWith('.linkedin.com'));
+  if (!onLinkedIn && url.origin !== baseUrl()) {
+    return null;
+  }
+
+  return `https://www.linkedin.com/in/${match[1].toLowerCase()}`;
+}
+
+/**
+ * Pull a member URN out of the tracking parameters LinkedIn adds to profile links
+ * @param {string} profileUrl - Profile URL before normalization
+ * @returns {string|null} - URN such as `urn:li:fsd_profile:ACoAA...`, or null
+ */
+export function extractUrnFromUrl(profileUrl) {
+  try {
+    const url = new URL(profileUrl, 'https://www.linkedin.com');
+    return url.searchParams.get('miniProfileUrn') || url.searchParams.get('profileUrn') || null;
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * Guess a display name from the profile slug, e.g. `jane-doe-1234` becomes `Jane Doe 1234`
+ * @param {string} profileUrl - Profile URL
+ * @returns {string|null} - Capitalized name, or null if the URL has no slug
+ */
+export function nameFromProfileUrl(profileUrl) {
+  const normalized = normalizeProfileUrl(profileUrl);
+  if (!normalized) {
+    return null;
+  }
+
+  const slug = decodeURIComponent(normalized.split('/in/')[1]);
+  return slug.split('-')
+    .filter(Boolean)
+    .map(word => word.charAt(0).toUpperCase() + word.slice(1))
+    .join(' ') || null;
+}
@@ -1,125 +1,247 @@
-import { fileURLToPath } from 'url';
-import path from 'path';
-import fs from 'fs/promises';
 import dayjs from 'dayjs';
 import { logger } from './logger.mjs';
+import { contactStore, ContactStatus } from './contact-store.mjs';
+import { normalizeProfileUrl } from './profile-url.mjs';
+import { campaignManager, withdrawalSettings, INVITATION_NOTE_LIMIT } from './campaigns.mjs';
+import { suppressionList } from './suppression-list.mjs';
+import { SequenceEndReason } from './follow-up-sequence.mjs';
+import { hasUnresolvedPlaceholders } from './message-template.mjs';
+import { MESSAGE_LIMIT } from './message-composer.mjs';
+import { ActionOutcome, ActionType, FAILED_ATTEMPT_OUTCOMES, RETRYABLE_OUTCOMES } from './action-log.mjs';
 
-const __filename = fileURLToPath(import.meta.url);
-const __dirname = path.dirname(__filename);
+// Connection requests that end in an error or go unconfirmed are retried this many times before the profile is failed
+const MAX_ERROR_ATTEMPTS = 3;
 
-const queueFile = path.join(__dirname, '../queue.json');
-const processedFile = path.join(__dirname, '../processed.json');
+/**
+ * What a reviewer decided about an invitation or follow-up message, kept in the contact's `approvals`
+ */
+export const ApprovalDecision = {
+  APPROVED: 'approved',
+  // Approved with the text changed
+  EDITED: 'edited',
+  REJECTED: 'rejected'
+};
+
+/**
+ * Return the profile with a canonical profileUrl, or null if it has no valid profile URL
+ */
+function normalizeProfile(profile) {
+  const profileUrl = normalizeProfileUrl(profile.profileUrl);
+  if (!profileUrl) {
+    logger.warn(`Skipping profile without a valid profile URL: ${JSON.stringify(profile)}`);
+    return null;
+  }
+  return { ...profile, profileUrl };
+}
+
+/**
+ * Whether an existing record may go back into the queue. Only withdrawn invitations
+ * can, once the re-invite cooldown has passed.
+ */
+function canRequeue(existing) {
+  return existing.status === ContactStatus.WITHDRAWN &&
+    dayjs().diff(dayjs(existing.withdrawnAt), 'day') >= withdrawalSettings.cooldownDays;
+}
 
 /**
- * Load JSON data from a file, creating it if it doesn't exist
+ * Record for a profile entering the queue. Profiles of campaigns that require approval wait for a reviewer first,
+ * with the invitation note rendered now so the reviewer sees the text that goes out.
  */
-async function loadJson(filePath) {
+function queuedRecord(existing, profile) {
+  // A profile queued again after a withdrawal starts over, the review of its earlier invitation doesn't carry over
+  if (!campaignManager.campaignFor(profile)?.requireApproval) {
+    return { ...existing, ...profile, status: ContactStatus.QUEUED, approval: undefined, approved: undefined };
+  }
+
+  let note = null;
   try {
-    const data = await fs.readFile(filePath, 'utf8');
-    return JSON.parse(data);
+    note = campaignManager.renderInvitationNote(profile);
   } catch (error) {
-    await fs.writeFile(filePath, '[]');
-    return [];
+    logger.warn(`Invitation to ${profile.name} is up for approval without a note: ${error.message}`);
+  }
+
+  return {
+    ...existing,
+    ...profile,
+    status: ContactStatus.AWAITING_APPROVAL,
+    approval: { type: ActionType.CONNECTION_REQUEST, text: note, requestedAt: new Date().toISOString() },
+    approved: undefined
+  };
+}
+
+/**
+ * Status of a profile once its connection request is done with. A member who is already a connection counts as
+ * accepted (stamped acceptedAt now), so the follow-up sequence starts for them.
+ */
+function lifecycleStatusFor(outcome) {
+  if ([ActionOutcome.SENT, ActionOutcome.ALREADY_INVITED].includes(outcome)) {
+    return ContactStatus.INVITED;
   }
+  return outcome === ActionOutcome.ALREADY_CONNECTED ? ContactStatus.ACCEPTED : ContactStatus.FAILED;
 }
 
 /**
- * Save JSON data to a file
+ * Check a reviewer's edit of an invitation note or follow-up message
+ * @throws {Error} - When LinkedIn wouldn't take it
  */
-async function saveJson(filePath, data) {
-  await fs.writeFile(filePath, JSON.stringify(data, null, 2));
+function validateApprovedText(type, text) {
+  if (type === ActionType.CONNECTION_REQUEST) {
+    if (text && text.length > INVITATION_NOTE_LIMIT) {
+      throw new Error(`Invitation note is ${text.length} characters, the limit is ${INVITATION_NOTE_LIMIT}`);
+    }
+    return;
+  }
+  if (!text?.trim()) {
+    throw new Error('A follow-up message can\'t be empty');
+  }
+  if (text.length > MESSAGE_LIMIT) {
+    throw new Error(`Message is ${text.length} characters, the limit is ${MESSAGE_LIMIT}`);
+  }
+  if (hasUnresolvedPlaceholders(text)) {
+    throw new Error('Message still contains placeholders');
+  }
 }
 
 /**
  * Queue Manager class to handle LinkedIn profile processing
  */
 export class QueueManager {
-  constructor() {
-    this.queueFile = queueFile;
-    this.processedFile = processedFile;
+  constructor(store = contactStore, suppression = suppressionList) {
+    this.store = store;
+    this.suppression = suppression;
   }
 
   /**
    * Add a profile to the connection queue
+   * @returns {Promise<boolean|null>} - Whether it was queued, false when it is already known or on the do-not-contact
+   *   list, null when it failed
    */
   async addToQueue(profile) {
     try {
-      const queue = await loadJson(this.queueFile);
-      const processed = await loadJson(this.processedFile);
-
-      // Check if profile is already in queue or processed
-      const isQueued = queue.some(p => p.profileUrl === profile.profileUrl);
-      const isProcessed = processed.some(p => p.profileUrl === profile.profileUrl);
+      profile = normalizeProfile(profile);
+      if (!profile) {
+        return false;
+      }
 
-      if (isQueued || isProcessed) {
-        logger.info(`Profile ${profile.name} already in queue or processed`);
+      await this.suppression.load();
+      if (this.suppression.match(profile)) {
+        logger.info(`Profile ${profile.name} is on the do-not-contact list`);
         return false;
       }
 
-      // Add to queue with timestamp
-      queue.push({
-        ...profile,
-        queuedAt: new Date().toISOString()
+      const added = await this.store.transaction(tx => {
+        // Any other existing record means the profile is queued or already processed
+        const existing = tx.get(profile.profileUrl);
+        if (existing && !canRequeue(existing)) {
+          return false;
+        }
+
+        tx.put(queuedRecord(existing, profile));
+        return true;
       });
 
-      await saveJson(this.queueFile, queue);
+      if (!added) {
+        logger.info(`Profile ${profile.name} already in queue or processed`);
+        return false;
+      }
+
       logger.info(`Added ${profile.name} to connection queue`);
       return true;
     } catch (error) {
       logger.error('Error adding profile to queue:', error);
-      return false;
+      return null;
     }
   }
 
   /**
    * Add multiple profiles to the queue
+   * @returns {Promise<number|null>} - Number of profiles queued, null when it failed
    */
   async addBatchToQueue(profiles) {
     try {
-      const queue = await loadJson(this.queueFile);
-      const processed = await loadJson(this.processedFile);
-      let addedCount = 0;
-
-      for (const profile of profiles) {
-        // Skip if already in queue or processed
-        const isQueued = queue.some(p => p.profileUrl === profile.profileUrl);
-        const isProcessed = processed.some(p => p.profileUrl === profile.profileUrl);
-
-        if (!isQueued && !isProcessed) {
-          queue.push({
-            ...profile,
-            queuedAt: new Date().toISOString()
-          });
-          addedCount++;
+      await this.suppression.load();
+      const allowed = profiles.map(normalizeProfile).filter(profile => profile && !this.suppression.match(profile));
+
+      const addedCount = await this.store.transaction(tx => {
+        let count = 0;
+
+        for (const profile of allowed) {
+          // Skip if already in queue or processed
+          const existing = tx.get(profile.profileUrl);
+          if (!existing || canRequeue(existing)) {
+            tx.put(queuedRecord(existing, profile));
+            count++;
+          }
         }
-      }
+
+        return count;
+      });
 
       if (addedCount > 0) {
-        await saveJson(this.queueFile, queue);
         logger.info(`Added ${addedCount} profiles to connection queue`);
       }
 
       return addedCount;
     } catch (error) {
       logger.error('Error adding batch to queue:', error);
-      return 0;
+      return null;
     }
   }
 
   /**
-   * Mark a profile as processed
+   * List the profiles waiting in the queue, oldest first
+   */
+  async listQueue() {
+    return this.store.listByStatus(ContactStatus.QUEUED);
+  }
+
+  /**
+   * Get the oldest profile still waiting in the queue, optionally the oldest one matching a filter
+   */
+  async getNextInQueue(filter = () => true) {
+    const queue = await this.listQueue();
+    return queue.find(filter) || null;
+  }
+
+  /**
+   * Record the outcome of a connection request. A sent invitation, or one found already pending, moves the profile to invited.
+   * Retryable outcomes leave it queued for a later attempt, errors and unconfirmed invitations only up to MAX_ERROR_ATTEMPTS times.
+   * Any other outcome takes it out of the queue as failed.
+   * @param {Object} profile - Queued profile
+   * @param {string} [outcome] - One of ActionOutcome
    */
-  async markProcessed(profile, status = 'completed') {
+  async markProcessed(profile, outcome = ActionOutcome.SENT) {
+    // A dry run leaves the profile as it was
+    if (outcome === ActionOutcome.DRY_RUN) {
+      return true;
+    }
     try {
-      const processed = await loadJson(this.processedFile);
-      processed.push({
-        ...profile,
-        status,
-        processedAt: new Date().toISOString()
+      const now = new Date().toISOString();
+      const status = await this.store.transaction(tx => {
+        // The stored record has what the send wrote, the profile was read from the queue before it
+        const stored = tx.get(profile.profileUrl);
+        const existing = stored || {};
+        const errorCount = (existing.errorCount || 0) + (FAILED_ATTEMPT_OUTCOMES.includes(outcome) ? 1 : 0);
+
+        if (RETRYABLE_OUTCOMES.includes(outcome) && errorCount < MAX_ERROR_ATTEMPTS && existing.status === ContactStatus.QUEUED) {
+          tx.update(profile.profileUrl, { lastOutcome: outcome, lastAttemptAt: now, errorCount });
+          return ContactStatus.QUEUED;
+        }
+
+        const lifecycleStatus = lifecycleStatusFor(outcome);
+        tx.put({
+          ...(stored || profile),
+          status: lifecycleStatus,
+          processedStatus: outcome,
+          processedAt: now,
+          lastOutcome: outcome,
+          lastAttemptAt: now,
+          errorCount
+        });
+        return lifecycleStatus;
       });
 
-      await saveJson(this.processedFile, processed);
-      logger.info(`Marked ${profile.name} as processed with status: ${status}`);
+      logger.info(`Marked ${profile.name} as ${status} after outcome: ${outcome}`);
       return true;
     } catch (error) {
       logger.error('Error marking profile as processed:', error);
@@ -127,17 +249,154 @@ export class QueueManager {
     }
   }
 
+  /**
+   * Contacts with an invitation or a follow-up message waiting for a reviewer, oldest request first.
+   * `approval` holds what is up for review: its type (an ActionType), the rendered text and, for follow-ups, the step.
+   */
+  async listAwaitingApproval() {
+    const contacts = await this.store.all();
+    return contacts
+      .filter(contact => contact.approval)
+      .sort((a, b) => a.approval.requestedAt.localeCompare(b.approval.requestedAt));
+  }
+
+  /**
+   * Put a rendered follow-up step up for review, it is only sent once approved
+   * @param {Object} contact - Contact the step is due for
+   * @param {Object} request
+   * @param {number} request.step - Step number, counted from 1
+   * @param {string} request.text - Rendered message
+   */
+  async requestApproval(contact, { step, text }) {
+    logger.info(`Follow-up step ${step} to ${contact.name} is awaiting approval`);
+    return this.store.update(contact.profileUrl, {
+      approval: { type: ActionType.FOLLOW_UP, step, text, requestedAt: new Date().toISOString() }
+    });
+  }
+
+  /**
+   * Approve what a contact has up for review, optionally with edited text. An approved invitation joins the queue,
+   * an approved follow-up step is sent the next time follow-ups go out.
+   * @param {string} profileUrl - Contact awaiting approval
+   * @param {Object} review
+   * @param {string} review.reviewer - Who approved it
+   * @param {string} [review.text] - Replacement for the rendered note or message, an empty note sends the invitation without one
+   * @returns {Promise<Object|null>} - The decision added to the contact's `approvals`, null when nothing awaits approval
+   * @throws {Error} - Without a reviewer, or when the edited text can't be sent
+   */
+  async approve(profileUrl, { reviewer, text } = {}) {
+    if (!reviewer) {
+      throw new Error('Approving needs a reviewer name');
+    }
+
+    return this.store.transaction(tx => {
+      const contact = tx.get(profileUrl);
+      if (!contact?.approval) {
+        return null;
+      }
+
+      const { type, step, text: rendered, requestedAt } = contact.approval;
+      const edited = text !== undefined && text !== (rendered ?? '');
+      const approvedText = edited ? (text || null) : rendered;
+      if (edited) {
+        validateApprovedText(type, approvedText);
+      }
+
+      const now = new Date().toISOString();
+      const decision = {
+        type,
+        step,
+        decision: edited ? ApprovalDecision.EDITED : ApprovalDecision.APPROVED,
+        text: approvedText,
+        originalText: edited ? rendered : undefined,
+        reviewer,
+        requestedAt,
+        reviewedAt: now
+      };
+      const changes = {
+        approval: undefined,
+        approved: { type, step, text: approvedText, reviewer, reviewedAt: now },
+        approvals: [...(contact.approvals || []), decision]
+      };
+
+      if (type === ActionType.CONNECTION_REQUEST) {
+        tx.setStatus(profileUrl, ContactStatus.QUEUED, changes);
+      } else {
+        tx.update(profileUrl, changes);
+      }
+      logger.info(`${reviewer} ${decision.decision} the ${type} to ${contact.name}`);
+      return decision;
+    });
+  }
+
+  /**
+   * Reject what a contact has up for review. A rejected invitation is never sent and the profile isn't queued again,
+   * a rejected follow-up ends the contact's sequence.
+   * @param {string} profileUrl - Contact awaiting approval
+   * @param {Object} review
+   * @param {string} review.reviewer - Who rejected it
+   * @param {string} [review.reason] - Why, kept with the decision
+   * @returns {Promise<Object|null>} - The decision added to the contact's `approvals`, null when nothing awaits approval
+   * @throws {Error} - Without a reviewer
+   */
+  async reject(profileUrl, { reviewer, reason } = {}) {
+    if (!reviewer) {
+      throw new Error('Rejecting needs a reviewer name');
+    }
+
+    return this.store.transaction(tx => {
+      const contact = tx.get(profileUrl);
+      if (!contact?.approval) {
+        return null;
+      }
+
+      const { type, step, text, requestedAt } = contact.approval;
+      const now = new Date().toISOString();
+      const decision = { type, step, decision: ApprovalDecision.REJECTED, text, reason, reviewer, requestedAt, reviewedAt: now };
+      const changes = { approval: undefined, approvals: [...(contact.approvals || []), decision] };
+
+      if (type === ActionType.CONNECTION_REQUEST) {
+        tx.setStatus(profileUrl, ContactStatus.REJECTED, changes);
+      } else {
+        tx.update(profileUrl, {
+          ...changes,
+          nextStepDueAt: null,
+          sequenceEndedAt: now,
+          sequenceEndReason: SequenceEndReason.REJECTED
+        });
+      }
+      logger.info(`${reviewer} rejected the ${type} to ${contact.name}${reason ? `: ${reason}` : ''}`);
+      return decision;
+    });
+  }
+
+  /**
+   * Every approval decision with the contact it was about, most recent first
+   */
+  async listApprovalHistory() {
+    const contacts = await this.store.all();
+    return contacts
+      .flatMap(contact => (contact.approvals || []).map(decision => ({
+        profileUrl: contact.profileUrl,
+        name: contact.name,
+        campaign: contact.campaign,
+        ...decision
+      })))
+      .sort((a, b) => b.reviewedAt.localeCompare(a.reviewedAt));
+  }
+
   /**
    * Get the current queue status
    */
   async getQueueStatus() {
     try {
-      const queue = await loadJson(this.queueFile);
-      const processed = await loadJson(this.processedFile);
+      const queue = await this.store.listByStatus(ContactStatus.QUEUED);
+      const contacts = await this.store.all();
 
       return {
         queueLength: queue.length,
-        processedCount: processed.length,
+        awaitingApproval: contacts.filter(contact => contact.approval).length,
+        processedCount: contacts.length - queue.length,
         nextInQueue: queue[0] || null
       };
     } catch (error) {
@@ -148,25 +407,28 @@ export class QueueManager {
 
   /**
    * Clean old entries from the queue
+   * @param {number} [maxAge] - Remove profiles queued at least this many days ago, 0 empties the queue
+   * @returns {Promise<number|null>} - Number of profiles removed, null when it failed
    */
   async cleanQueue(maxAge = 7) {
     try {
-      const queue = await loadJson(this.queueFile);
       const cutoffDate = dayjs().subtract(maxAge, 'days');
 
-      const updatedQueue = queue.filter(profile => {
-        return dayjs(profile.queuedAt).isAfter(cutoffDate);
+      const removed = await this.store.transaction(async tx => {
+        const queue = await this.store.listByStatus(ContactStatus.QUEUED);
+        const stale = queue.filter(profile => !dayjs(profile.queuedAt).isAfter(cutoffDate));
+        stale.forEach(profile => tx.remove(profile.profileUrl));
+        return stale.length;
       });
 
-      if (updatedQueue.length < queue.length) {
-        await saveJson(this.queueFile, updatedQueue);
-        logger.info(`Cleaned ${queue.length - updatedQueue.length} old entries from queue`);
+      if (removed > 0) {
+        logger.info(`Cleaned ${removed} old entries from queue`);
       }
 
-      return true;
+      return removed;
     } catch (error) {
       logger.error('Error cleaning queue:', error);
-      return false;
+      return null;
     }
   }
 }
\ No newline at end of file
@@ -1,7 +1,16 @@
+import fs from 'fs/promises';
+import dayjs from 'dayjs';
 import { logger } from './logger.mjs';
+import { dataPath } from './paths.mjs';
+import { withFileLock } from './file-lock.mjs';
 
-class RateLimiter {
-  constructor() {
+const stateFile = dataPath('rate-limiter-state.json');
+
+// Actions older than the widest window are dropped from the state file
+const ACTION_RETENTION_DAYS = 7;
+
+export class RateLimiter {
+  constructor(filePath = stateFile) {
     // LinkedIn's recommended weekly limit is ~100, so we'll stay well below that
     this.dailyConnectionLimit = 15; // More conservative daily limit
     this.weeklyConnectionLimit = 80;
@@ -11,43 +20,128 @@ class RateLimiter {
     this.minActionDelay = 45000; // 45 seconds minimum
     this.maxActionDelay = 180000; // 3 minutes maximum
     this.typeDelayBase = 150; // Base typing delay in ms
+
+    // Connection requests only go out between these hours (inclusive)
+    this.operatingHoursStart = 8;
+    this.operatingHoursEnd = 22;
     
-    // Counters
-    this.connectionCount = 0;
-    this.weeklyConnectionCount = 0;
-    this.messageCount = 0;
+    // Persisted state: every recorded action with its timestamp
+    this.stateFile = filePath;
+    this.lockFile = `${filePath}.lock`;
+    this.actions = [];
     this.lastActionTime = 0;
-    this.lastResetDate = new Date().toDateString();
-    this.lastWeeklyReset = new Date().toDateString();
     
     // Progressive delays for failed attempts
     this.consecutiveFailures = 0;
     this.backoffMultiplier = 1;
+    this.backoffUntil = 0;
   }
 
-  async resetCounters() {
-    const currentDate = new Date().toDateString();
-    const currentDay = new Date().getDay();
-    
-    // Reset daily counters
-    if (currentDate !== this.lastResetDate) {
-      this.connectionCount = 0;
-      this.messageCount = 0;
-      this.lastResetDate = currentDate;
-      logger.info('Daily rate limits reset');
+  /**
+   * Load persisted counters and backoff state. The daemon and the CLI share the file, so it is read again before
+   * every check and every change.
+   */
+  async load() {
+    let state = {};
+    try {
+      state = JSON.parse(await fs.readFile(this.stateFile, 'utf8'));
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        logger.error('Error loading rate limiter state, starting from empty counters', error);
+      }
     }
-    
-    // Reset weekly counters on Monday
-    if (currentDay === 1 && currentDate !== this.lastWeeklyReset) {
-      this.weeklyConnectionCount = 0;
-      this.lastWeeklyReset = currentDate;
-      logger.info('Weekly rate limits reset');
-      // Reset backoff on weekly reset
-      this.consecutiveFailures = 0;
-      this.backoffMultiplier = 1;
+
+    this.actions = Array.isArray(state.actions) ? state.actions : [];
+    this.lastActionTime = state.lastActionTime || 0;
+    this.consecutiveFailures = state.consecutiveFailures || 0;
+    this.backoffMultiplier = state.backoffMultiplier || 1;
+    this.backoffUntil = state.backoffUntil || 0;
+  }
+
+  /**
+   * Change the state holding the lock file, starting from what is on disk so actions other processes recorded are kept
+   * @param {Function} fn - Applies the change to this limiter's fields
+   */
+  async update(fn) {
+    return withFileLock(this.lockFile, async () => {
+      await this.resetCounters();
+      const result = fn();
+      await this.save();
+      return result;
+    });
+  }
+
+  /**
+   * Write the state to a temporary file and rename it over the old one,
+   * so a crash mid-write never leaves a truncated state file behind
+   */
+  async save() {
+    const state = {
+      actions: this.actions,
+      lastActionTime: this.lastActionTime,
+      consecutiveFailures: this.consecutiveFailures,
+      backoffMultiplier: this.backoffMultiplier,
+      backoffUntil: this.backoffUntil
+    };
+
+    const tmpFile = `${this.stateFile}.tmp`;
+    try {
+      await fs.writeFile(tmpFile, JSON.stringify(state, null, 2));
+      await fs.rename(tmpFile, this.stateFile);
+    } catch (error) {
+      logger.error('Error saving rate limiter state', error);
     }
   }
 
+  /**
+   * Count recorded actions of a type since the given time, optionally for one campaign only
+   */
+  countActionsSince(type, since, campaign = null) {
+    const sinceTime = since.valueOf();
+    return this.actions.filter(action => action.type === type &&
+      new Date(action.at).getTime() >= sinceTime &&
+      (!campaign || action.campaign === campaign)).length;
+  }
+
+  /**
+   * Today's count of an action type for one campaign
+   */
+  async getDailyCount(type, campaign) {
+    await this.resetCounters();
+    return this.countActionsSince(type, dayjs().startOf('day'), campaign);
+  }
+
+  // Daily counts cover the current calendar day
+  get connectionCount() {
+    return this.countActionsSince('connection', dayjs().startOf('day'));
+  }
+
+  // Weekly count is a rolling seven day window, so it can't be dodged by a calendar reset
+  get weeklyConnectionCount() {
+    return this.countActionsSince('connection', dayjs().subtract(7, 'days'));
+  }
+
+  get messageCount() {
+    return this.countActionsSince('message', dayjs().startOf('day'));
+  }
+
+  async resetCounters() {
+    await this.load();
+
+    // Windows are derived from timestamps, so resetting only means dropping expired actions, the next save drops them
+    // from the file
+    const cutoff = dayjs().subtract(ACTION_RETENTION_DAYS, 'days').valueOf();
+    this.actions = this.actions.filter(action => new Date(action.at).getTime() >= cutoff);
+  }
+
+  async recordAction(type, campaign = null) {
+    const action = { type, at: new Date().toISOString() };
+    if (campaign) {
+      action.campaign = campaign;
+    }
+    await this.update(() => this.actions.push(action));
+  }
+
   getRandomDelay() {
     // Use a more natural distribution (gaussian-like)
     const baseDelay = (this.maxActionDelay + this.minActionDelay) / 2;
@@ -68,7 +162,7 @@ class RateLimiter {
   }
 
   async waitForNextAction() {
-    await this.resetDailyCounters();
+    await this.resetCounters();
     
     const now = Date.now();
     const timeSinceLastAction = now - this.lastActionTime;
@@ -80,11 +174,25 @@ class RateLimiter {
       await new Promise(resolve => setTimeout(resolve, waitTime));
     }
     
-    this.lastActionTime = Date.now();
+    await this.update(() => {
+      this.lastActionTime = Date.now();
+    });
+  }
+
+  isBackingOff() {
+    if (this.backoffUntil > Date.now()) {
+      logger.warn(`Backing off after rate limit until ${new Date(this.backoffUntil).toLocaleString()}`);
+      return true;
+    }
+    return false;
   }
 
   async checkConnectionLimit() {
     await this.resetCounters();
+
+    if (this.isBackingOff()) {
+      return false;
+    }
     
     // Check both daily and weekly limits
     if (this.connectionCount >= this.dailyConnectionLimit) {
@@ -99,8 +207,8 @@ class RateLimiter {
     
     // Add time-of-day restrictions
     const hour = new Date().getHours();
-    if (hour < 8 || hour > 22) { // Only operate during business hours
-      logger.info('Outside of operating hours (8 AM - 10 PM)');
+    if (hour < this.operatingHoursStart || hour > this.operatingHoursEnd) { // Only operate during business hours
+      logger.info(`Outside of operating hours (${this.operatingHoursStart}:00 - ${this.operatingHoursEnd}:59)`);
       return false;
     }
     
@@ -108,7 +216,12 @@ class RateLimiter {
   }
 
   async checkMessageLimit() {
-    await this.resetDailyCounters();
+    await this.resetCounters();
+
+    if (this.isBackingOff()) {
+      return false;
+    }
+
     if (this.messageCount >= this.dailyMessageLimit) {
       logger.warn('Daily message limit reached');
       return false;
@@ -116,20 +229,47 @@ class RateLimiter {
     return true;
   }
 
-  async incrementConnectionCount() {
+  /**
+   * Usage against the limits today and over the last seven days
+   */
+  async getStatus() {
     await this.resetCounters();
-    this.connectionCount++;
-    this.weeklyConnectionCount++;
+    const weekAgo = dayjs().subtract(7, 'days');
+
+    return {
+      backingOff: this.isBackingOff(),
+      backoffUntil: this.backoffUntil > Date.now() ? new Date(this.backoffUntil).toISOString() : null,
+      connections: {
+        today: this.connectionCount,
+        dailyLimit: this.dailyConnectionLimit,
+        week: this.weeklyConnectionCount,
+        weeklyLimit: this.weeklyConnectionLimit
+      },
+      messages: {
+        today: this.messageCount,
+        dailyLimit: this.dailyMessageLimit,
+        week: this.countActionsSince('message', weekAgo)
+      },
+      withdrawals: {
+        today: this.countActionsSince('withdrawal', dayjs().startOf('day')),
+        week: this.countActionsSince('withdrawal', weekAgo)
+      }
+    };
+  }
+
+  async incrementConnectionCount(campaign = null) {
+    await this.recordAction('connection', campaign);
     logger.info(`Connection count: ${this.connectionCount}/${this.dailyConnectionLimit} daily, ${this.weeklyConnectionCount}/${this.weeklyConnectionLimit} weekly`);
   }
 
-  async incrementMessageCount() {
-    await this.resetDailyCounters();
-    this.messageCount++;
+  async incrementMessageCount(campaign = null) {
+    await this.recordAction('message', campaign);
     logger.info(`Message count: ${this.messageCount}/${this.dailyMessageLimit}`);
   }
 
   async handleRateLimit(page) {
+    await this.load();
+
     const rateLimitSelectors = [
       '.artdeco-modal__content:contains("rate limit")',
       '.artdeco-modal__content:contains("too many requests")',
@@ -143,12 +283,15 @@ class RateLimiter {
       try {
         const element = await page.$(selector);
         if (element) {
-          this.consecutiveFailures++;
-          
-          // Exponential backoff with max cap
-          const baseDelay = 3600000; // 1 hour base delay
-          this.backoffMultiplier = Math.min(Math.pow(2, this.consecutiveFailures - 1), 8);
-          const waitTime = baseDelay * this.backoffMultiplier;
+          const waitTime = await this.update(() => {
+            this.consecutiveFailures++;
+
+            // Exponential backoff with max cap
+            const baseDelay = 3600000; // 1 hour base delay
+            this.backoffMultiplier = Math.min(Math.pow(2, this.consecutiveFailures - 1), 8);
+            this.backoffUntil = Date.now() + baseDelay * this.backoffMultiplier;
+            return baseDelay * this.backoffMultiplier;
+          });
           
           logger.warn(`Rate limit detected (attempt ${this.consecutiveFailures}), waiting for ${waitTime/3600000} hours...`);
           await new Promise(resolve => setTimeout(resolve, waitTime));
@@ -161,8 +304,10 @@ class RateLimiter {
     
     // If we get here, no rate limit was detected
     if (this.consecutiveFailures > 0) {
-      this.consecutiveFailures = Math.max(0, this.consecutiveFailures - 1); // Gradually reduce failures
-      this.backoffMultiplier = Math.max(1, this.backoffMultiplier * 0.75); // Gradually reduce backoff
+      await this.update(() => {
+        this.consecutiveFailures = Math.max(0, this.consecutiveFailures - 1); // Gradually reduce failures
+        this.backoffMultiplier = Math.max(1, this.backoffMultiplier * 0.75); // Gradually reduce backoff
+      });
     }
     return false;
   }
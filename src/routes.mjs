@@ -0,0 +1,112 @@
+const DEFAULT_BASE_URL = 'https://www.linkedin.com';
+
+/**
+ * Paths of the LinkedIn pages the bot opens
+ */
+export const Route = {
+  HOME: '/',
+  LOGIN: '/login',
+  FEED: '/feed/',
+  CONNECTIONS: '/mynetwork/invite-connect/connections/',
+  SENT_INVITATIONS: '/mynetwork/invitation-manager/sent/',
+  MESSAGING: '/messaging/'
+};
+
+// Pages we land on instead of the one requested when the session is gone
+const LOGIN_WALL_PATHS = ['/login', '/authwall', '/checkpoint', '/uas/login'];
+
+/**
+ * Origin the bot talks to. LINKEDIN_BASE_URL points it at a mock server instead of the real site.
+ * Read on every call, so a value from .env applies even though dotenv loads after the imports.
+ * @returns {string} - Base URL without a trailing slash
+ * @throws {Error} - When LINKEDIN_BASE_URL isn't an http(s) URL
+ */
+export function baseUrl() {
+  const value = process.env.LINKEDIN_BASE_URL || DEFAULT_BASE_URL;
+
+  let url;
+  try {
+    url = new URL(value);
+  } catch (error) {
+    throw new Error(`LINKEDIN_BASE_URL is not a valid URL: ${value}`);
+  }
+  if (!['http:', 'https:'].includes(url.protocol)) {
+    throw new Error(`LINKEDIN_BASE_URL must be an http or https URL: ${value}`);
+  }
+
+  return url.origin;
+}
+
+/**
+ * Whether the bot is talking to the real site rather than a mock server
+ */
+export function isRealLinkedIn() {
+  return baseUrl() === DEFAULT_BASE_URL;
+}
+
+/**
+ * Full URL of a page on the configured site
+ * @param {string} route - One of Route, or any path with an optional query string
+ * @returns {string} - Absolute URL
+ */
+export function linkedinUrl(route) {
+  return new URL(route, `${baseUrl()}/`).href;
+}
+
+/**
+ * Whether a URL is on the configured site (any linkedin.com host when it is the real one)
+ * @param {string} url - URL to check
+ * @returns {boolean}
+ */
+export function isLinkedInUrl(url) {
+  let parsed;
+  try {
+    parsed = new URL(url);
+  } catch (error) {
+    return false;
+  }
+
+  return isRealLinkedIn() ?
+    parsed.hostname === 'linkedin.com' || parsed.hostname.endsWith('.linkedin.com') :
+    parsed.origin === baseUrl();
+}
+
+/**
+ * Move a LinkedIn URL, such as a stored profile URL or a configured search URL, onto the configured site
+ * @param {string} url - Absolute URL on linkedin.com or the configured site, or a path
+ * @returns {string} - The same page on the configured site. Other URLs are returned unchanged.
+ */
+export function toLinkedInUrl(url) {
+  let parsed;
+  try {
+    parsed = new URL(url, `${baseUrl()}/`);
+  } catch (error) {
+    return url;
+  }
+
+  const onLinkedIn = parsed.hostname === 'linkedin.com' || parsed.hostname.endsWith('.linkedin.com');
+  if (!onLinkedIn && parsed.origin !== baseUrl()) {
+    return url;
+  }
+  return linkedinUrl(parsed.pathname + parsed.search + parsed.hash);
+}
+
+/**
+ * Whether a URL is one of the pages LinkedIn redirects to when the session is gone
+ * @param {string} url - Current page URL
+ * @returns {boolean}
+ */
+export function isLoginWall(url) {
+  return LOGIN_WALL_PATHS.some(path => url.includes(path));
+}
+
+/**
+ * Whether a browser cookie belongs to the configured site
+ * @param {Object} cookie - Puppeteer cookie
+ * @returns {boolean}
+ */
+export function isLinkedInCookie(cookie) {
+  const host = new URL(baseUrl()).hostname;
+  const domain = (cookie.domain || '').replace(/^\./, '');
+  return Boolean(domain) && (host === domain || host.endsWith(`.${domain}`));
+}
@@ -0,0 +1,145 @@
+import { logger } from './logger.mjs';
+import { humanBehavior } from './human-behavior.mjs';
+import { normalizeProfileUrl, extractUrnFromUrl, nameFromProfileUrl } from './profile-url.mjs';
+import { SearchResultsPage } from './pages/search-results-page.mjs';
+
+export { searchPageUrl } from './pages/search-results-page.mjs';
+
+// Default number of search result pages to walk per harvest
+const DEFAULT_PAGE_BUDGET = 3;
+
+/**
+ * Parse the connection degree badge ("• 2nd", "3rd+") into a number
+ * @param {string} text - Badge text
+ * @returns {number|null} - 1, 2 or 3, or null when there is no badge
+ */
+export function parseConnectionDegree(text) {
+  const match = (text || '').match(/(\d)\s*(st|nd|rd|th)/i);
+  return match ? parseInt(match[1], 10) : null;
+}
+
+/**
+ * Parse the mutual connections insight into a count
+ * ("Jane Doe is a mutual connection", "Jane and John are mutual connections",
+ * "Jane Doe, John Roe and 12 other mutual connections")
+ * @param {string} text - Insight text under the result card
+ * @returns {number} - Number of mutual connections, 0 when not mentioned
+ */
+export function parseMutualCount(text) {
+  if (!text || !/mutual connection/i.test(text)) {
+    return 0;
+  }
+
+  const others = text.match(/and\s+([\d,]+)\s+other/i);
+  if (others) {
+    const named = text.slice(0, others.index).split(',').filter(part => part.trim()).length;
+    return parseInt(others[1].replace(/,/g, ''), 10) + named;
+  }
+
+  if (/\sare\s+mutual connections/i.test(text)) {
+    return text.split(/,|\sand\s/).filter(part => part.trim()).length;
+  }
+
+  return 1;
+}
+
+/**
+ * Turn the raw text scraped from a card into a queue entry
+ * @param {Object} card - Raw card fields from the page
+ * @param {string} [campaign] - Id of the campaign that sourced the card
+ * @returns {Object|null} - Profile record, or null if the card has no usable profile link
+ */
+export function toProfile(card, campaign = null) {
+  const profileUrl = normalizeProfileUrl(card.href);
+  if (!profileUrl) {
+    return null;
+  }
+
+  // Clean up the name (remove degree symbols, etc.)
+  let name = (card.name || '').split('\n')[0].replace(/[•·⋅∙]/g, '').trim();
+  if (!name || name === 'LinkedIn Member') {
+    name = nameFromProfileUrl(profileUrl) || 'Unknown';
+  }
+
+  const profile = {
+    name,
+    profileUrl,
+    headline: card.headline || null,
+    location: card.location || null,
+    connectionDegree: parseConnectionDegree(card.degree),
+    mutualConnections: parseMutualCount(card.insight),
+    urn: card.urn || extractUrnFromUrl(card.href),
+    harvestedAt: new Date().toISOString()
+  };
+
+  if (campaign) {
+    profile.campaign = campaign;
+  }
+
+  return profile;
+}
+
+/**
+ * Walk search result pages and push every well-formed profile card into the queue
+ * @param {Page} page - Logged-in Puppeteer page object
+ * @param {QueueManager} queueManager - Queue to fill
+ * @param {Object} options
+ * @param {string} options.searchUrl - People search URL to harvest
+ * @param {number} [options.pageBudget] - Maximum number of result pages to visit
+ * @param {string} [options.campaign] - Campaign id to tag harvested profiles with
+ * @returns {Promise<number>} - Number of profiles newly added to the queue
+ */
+export async function harvestSearchResults(page, queueManager, { searchUrl, pageBudget = DEFAULT_PAGE_BUDGET, campaign = null }) {
+  const resultsPage = new SearchResultsPage(page);
+  const seen = new Set();
+  const profiles = [];
+
+  for (let pageNumber = 1; pageNumber <= pageBudget; pageNumber++) {
+    logger.info(`Harvesting search results page ${pageNumber}/${pageBudget}`);
+
+    if (!(await resultsPage.open(searchUrl, pageNumber))) {
+      logger.warn('Redirected to a login page while harvesting, stopping');
+      break;
+    }
+
+    try {
+      await resultsPage.scrollResults();
+    } catch (error) {
+      logger.warn('Could not scroll search results page', error);
+    }
+
+    const cards = await resultsPage.listResults();
+    logger.debug(`Found ${cards.length} result cards`);
+    let newOnPage = 0;
+
+    for (const card of cards) {
+      const profile = toProfile(card, campaign);
+      if (!profile || seen.has(profile.profileUrl)) {
+        continue;
+      }
+
+      seen.add(profile.profileUrl);
+      newOnPage++;
+
+      // First degree results are already connected
+      if (profile.connectionDegree === 1) {
+        continue;
+      }
+      profiles.push(profile);
+    }
+
+    // Past the last page LinkedIn shows an empty page or repeats the previous one
+    if (newOnPage === 0) {
+      logger.info(`No new results on page ${pageNumber}, stopping`);
+      break;
+    }
+
+    if (pageNumber < pageBudget) {
+      await humanBehavior.simulatePageView(page);
+    }
+  }
+
+  const added = profiles.length > 0 ? (await queueManager.addBatchToQueue(profiles)) ?? 0 : 0;
+  logger.info(`Harvested ${profiles.length} profiles from ${seen.size} results, ${added} new in queue`);
+  return added;
+}
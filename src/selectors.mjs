@@ -0,0 +1,477 @@
+import fs from 'fs/promises';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { logger } from './logger.mjs';
+import { dataPath } from './paths.mjs';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+const overridesFile = path.join(__dirname, '../selectors.json');
+const healthFile = dataPath('selector-health.json');
+
+// Match counts are kept in memory and written out this long after the first change, and by logReport()
+const SAVE_DELAY_MS = 60000;
+
+/**
+ * Every selector the bot finds elements with, keyed by what they find. Each list is ordered most
+ * specific first: the first entry is the primary selector for LinkedIn's current markup, the rest
+ * are fallbacks for older or A/B-tested versions of it.
+ */
+export const DEFAULT_SELECTORS = {
+  // Present on every page of a signed-in session
+  'session.loggedIn': [
+    '.global-nav__primary-item',
+    'div.scaffold-finite-scroll__content[data-finite-scroll-hotkey-context="FEED"]',
+    'button.global-nav__primary-link.global-nav__primary-link-me-menu-trigger.artdeco-dropdown__trigger'
+  ],
+  'session.loginLink': ['a[href*="/login"]'],
+  'session.feedContainer': ['div[data-test-id="feed-container"]'],
+
+  'login.username': ['#username'],
+  'login.password': ['#password'],
+  'login.submit': ['button[type="submit"]'],
+  'login.error': ['div[error-for="username"], div[error-for="password"]'],
+
+  'checkpoint.tryAnotherWay': ['#try-another-way'],
+  'checkpoint.smsInput': ['input#input__phone_verification_pin'],
+  'checkpoint.smsSubmit': ['button#two-step-submit-button'],
+  'checkpoint.captchaFrame': ['iframe[title*="archetype"]'],
+
+  'search.resultCard': [
+    'li.reusable-search__result-container',
+    'div[data-chameleon-result-urn]',
+    'div.entity-result',
+    'li.search-result'
+  ],
+  // Fields inside a result card
+  'search.resultName': ['.entity-result__title-text a span[aria-hidden="true"]', '.entity-result__title-text'],
+  'search.resultLink': ['a.app-aware-link[href*="/in/"]', 'a[href*="/in/"]'],
+  'search.resultHeadline': ['.entity-result__primary-subtitle'],
+  'search.resultLocation': ['.entity-result__secondary-subtitle'],
+  'search.resultDegree': ['.entity-result__badge-text'],
+  'search.resultInsight': ['.entity-result__simple-insight-text', '.reusable-search-simple-insight__text-container'],
+
+  'profile.connectButton': [
+    'button.pv-s-profile-actions--connect',
+    'button[aria-label^="Invite"][aria-label$="to connect"]',
+    'button[aria-label*="Connect"]'
+  ],
+  'profile.messageButton': ['a.message-anywhere-button', 'a[href*="/messaging/compose/"]'],
+  // Connect moved into the "More" actions menu, as on creator profiles
+  'profile.moreButton': ['.pv-top-card button[aria-label="More actions"]', 'button[aria-label="More actions"]'],
+  'profile.moreConnectItem': [
+    '.artdeco-dropdown__content div[role="button"][aria-label^="Invite"][aria-label$="to connect"]',
+    '.artdeco-dropdown__content [aria-label$="to connect"]'
+  ],
+  'profile.followButton': ['button.pv-s-profile-actions--follow', 'button[aria-label^="Follow"]'],
+  // Takes the place of Connect while an invitation is waiting for an answer
+  'profile.pendingButton': ['button[aria-label^="Pending, click to withdraw"]', 'button[aria-label^="Pending"]'],
+  'profile.degreeBadge': ['.pv-top-card .dist-value', '.distance-badge .dist-value'],
+
+  // Some members only take invitations from people who know their email address
+  'invitation.emailField': ['.send-invite input[type="email"]', '.artdeco-modal input[name="email"]', 'input#email'],
+  'invitation.dismissButton': ['.artdeco-modal button[aria-label="Dismiss"]', 'button.artdeco-modal__dismiss'],
+  // "Your invitation was sent", or why it can't be
+  'invitation.toast': ['.artdeco-toast-item__message', '.artdeco-toast-item'],
+  'invitation.addNoteButton': ['button[aria-label="Add a note"]', 'button[aria-label*="Add a note"]'],
+  'invitation.noteField': ['textarea[name="message"]', 'textarea#custom-message', '.send-invite textarea'],
+  'invitation.sendButton': [
+    'button[aria-label="Send without a note"]',
+    'button[aria-label="Send now"]',
+    '.artdeco-modal button.artdeco-button--primary'
+  ],
+  'invitation.sendWithNoteButton': [
+    'button[aria-label="Send invitation"]',
+    'button[aria-label="Send now"]',
+    '.artdeco-modal button.artdeco-button--primary'
+  ],
+
+  'connections.profileLink': [
+    '.mn-connection-card a.mn-connection-card__link',
+    '.mn-connection-card a[href*="/in/"]',
+    'li.scaffold-finite-scroll__content a[href*="/in/"]'
+  ],
+  'invitations.profileLink': [
+    'li.invitation-card a[href*="/in/"]',
+    '.invitation-card__link',
+    '.mn-invitation-list a[href*="/in/"]'
+  ],
+  'invitations.card': ['li.invitation-card', '.mn-invitation-list > li', 'li.artdeco-list__item'],
+  'invitations.withdrawConfirm': [
+    'button.artdeco-modal__confirm-dialog-btn.artdeco-button--primary',
+    'div[role="alertdialog"] button.artdeco-button--primary',
+    '.artdeco-modal button.artdeco-button--primary'
+  ],
+  'list.loadMore': ['button.scaffold-finite-scroll__load-button', 'button[aria-label*="Show more"]'],
+  'list.nextPage': [
+    'button.artdeco-pagination__button--next:not([disabled])',
+    'button[aria-label="Next"]:not([disabled])'
+  ],
+
+  'messaging.conversation': ['li.msg-conversation-listitem', 'li.msg-conversations-container__convo-item'],
+  // Fields of an inbox row
+  'messaging.conversationLink': ['a[href*="/messaging/thread/"]'],
+  'messaging.conversationName': ['.msg-conversation-listitem__participant-names', '.msg-conversation-card__participant-names'],
+  'messaging.conversationSnippet': ['.msg-conversation-card__message-snippet', '.msg-conversation-listitem__message-snippet'],
+  'messaging.conversationTime': ['time.msg-conversation-listitem__time-stamp', 'time.msg-conversation-card__time-stamp'],
+  'messaging.conversationUnread': ['.msg-conversation-card__convo-item-container--unread', '.msg-conversation-card__unread-count'],
+  'messaging.participantLink': [
+    'a.msg-thread__link-to-profile',
+    '.msg-entity-lockup a[href*="/in/"]',
+    '.msg-title-bar a[href*="/in/"]'
+  ],
+  // Present once a thread has loaded
+  'messaging.threadReady': ['ul.msg-s-message-list-content', 'div.msg-form__contenteditable'],
+  'messaging.composer': ['div.msg-form__contenteditable'],
+  'messaging.sendButton': ['button.msg-form__send-button'],
+  // Entries of an open thread: day headings, and message groups that start with the sender and time
+  'messaging.threadEvent': ['li.msg-s-message-list__event'],
+  'messaging.dayHeading': ['time.msg-s-message-list__time-heading'],
+  'messaging.groupMeta': ['.msg-s-message-group__meta'],
+  'messaging.senderName': ['.msg-s-message-group__name'],
+  'messaging.senderLink': ['a.msg-s-message-group__profile-link'],
+  'messaging.groupTime': ['time.msg-s-message-group__timestamp'],
+  'messaging.messageBody': ['.msg-s-event-listitem__body'],
+  // Our own messages, LinkedIn marks the other participant's
+  'messaging.outboundMessage': ['.msg-s-event-listitem:not(.msg-s-event-listitem--other) .msg-s-event-listitem__body']
+};
+
+/**
+ * Check the contents of selectors.json: { "version": "...", "selectors": { "<key>": ["<selector>", ...] } }
+ * @param {Object} data - Parsed file
+ * @returns {{version: string|null, selectors: Object}} - Override lists by key
+ * @throws {Error} - When a key is unknown or a list isn't an array of selectors
+ */
+export function parseOverrides(data) {
+  const selectors = data?.selectors ?? {};
+  if (typeof selectors !== 'object' || Array.isArray(selectors)) {
+    throw new Error('selectors.json: selectors must be an object of selector lists');
+  }
+
+  for (const [key, list] of Object.entries(selectors)) {
+    if (!DEFAULT_SELECTORS[key]) {
+      throw new Error(`selectors.json: unknown selector key ${key}`);
+    }
+    if (!Array.isArray(list) || list.length === 0 || list.some(selector => typeof selector !== 'string' || !selector.trim())) {
+      throw new Error(`selectors.json: ${key} must be a non-empty array of selectors`);
+    }
+  }
+
+  return { version: data?.version ? String(data.version) : null, selectors };
+}
+
+async function readOverrides(filePath) {
+  let data;
+  try {
+    data = JSON.parse(await fs.readFile(filePath, 'utf8'));
+  } catch (error) {
+    if (error.code === 'ENOENT') {
+      return { version: null, selectors: {} };
+    }
+    throw new Error(`selectors.json: ${error.message}`);
+  }
+  return parseOverrides(data);
+}
+
+/**
+ * Selector lists with a record of which entry matched. A key that had to use a fallback, or
+ * found nothing, is logged and counted in selector-health.json, so markup changes show up
+ * before outreach quietly stops working.
+ */
+export class SelectorRegistry {
+  /**
+   * @param {Object} [overrides] - Result of parseOverrides
+   * @param {string} [filePath] - Where match counts are kept
+   */
+  constructor({ version = null, selectors = {} } = {}, filePath = healthFile) {
+    this.version = version;
+    this.lists = { ...DEFAULT_SELECTORS, ...selectors };
+    this.overridden = Object.keys(selectors);
+    this.filePath = filePath;
+    this.health = {};
+    this.warned = new Set();
+    this.loading = null;
+    this.dirty = false;
+    this.saveTimer = null;
+    this.saving = Promise.resolve();
+  }
+
+  /**
+   * Selectors for a key, primary first
+   * @throws {Error} - When the key isn't in the registry
+   */
+  get(key) {
+    const list = this.lists[key];
+    if (!list) {
+      throw new Error(`Unknown selector key: ${key}`);
+    }
+    return list;
+  }
+
+  /**
+   * Read the counts kept by earlier runs, once. Lookups running at the same time share the read.
+   */
+  load() {
+    this.loading ||= fs.readFile(this.filePath, 'utf8')
+      .then(data => {
+        this.health = JSON.parse(data).keys || {};
+      })
+      .catch(error => {
+        if (error.code !== 'ENOENT') {
+          logger.error('Error loading selector health, starting empty', error);
+        }
+      });
+    return this.loading;
+  }
+
+  async save() {
+    const tmpFile = `${this.filePath}.tmp`;
+    const data = { version: this.version, updatedAt: new Date().toISOString(), keys: this.health };
+    await fs.writeFile(tmpFile, JSON.stringify(data, null, 2));
+    await fs.rename(tmpFile, this.filePath);
+  }
+
+  /**
+   * Write the counts out now if they changed. Writes run one after another.
+   */
+  async flush() {
+    clearTimeout(this.saveTimer);
+    this.saveTimer = null;
+
+    this.saving = this.saving.then(async () => {
+      if (!this.dirty) {
+        return;
+      }
+      this.dirty = false;
+      try {
+        await this.save();
+      } catch (error) {
+        logger.error('Error saving selector health', error);
+      }
+    });
+    return this.saving;
+  }
+
+  /**
+   * Log a warning once per process for each distinct problem
+   */
+  warnOnce(id, message) {
+    if (this.warned.has(id)) {
+      logger.debug(message);
+      return;
+    }
+    this.warned.add(id);
+    logger.warn(message);
+  }
+
+  /**
+   * Record which selector of a key matched
+   * @param {string} key - Registry key
+   * @param {number} index - Position of the matching selector in the list, -1 when none matched
+   */
+  async record(key, index) {
+    await this.load();
+
+    const list = this.get(key);
+    const now = new Date().toISOString();
+    const entry = this.health[key] || { primary: 0, fallback: 0, missed: 0 };
+
+    if (index === 0) {
+      entry.primary++;
+      entry.primaryMatchedAt = now;
+    } else if (index > 0) {
+      entry.fallback++;
+      this.warnOnce(`${key}:${index}`, `Primary selector for ${key} (${list[0]}) did not match, fell back to ${list[index]}` +
+        (entry.primaryMatchedAt ? `. It last matched ${entry.primaryMatchedAt}` : ''));
+    } else {
+      entry.missed++;
+      entry.missedAt = now;
+      this.warnOnce(`${key}:miss`, `No selector for ${key} matched: ${list.join(' | ')}`);
+    }
+
+    if (index >= 0) {
+      entry.matched = list[index];
+      entry.matchedAt = now;
+    }
+
+    this.health[key] = entry;
+    this.dirty = true;
+    if (!this.saveTimer) {
+      this.saveTimer = setTimeout(() => this.flush(), SAVE_DELAY_MS);
+      // A pending write doesn't keep the process alive, the final counts are written by logReport()
+      this.saveTimer.unref();
+    }
+  }
+
+  /**
+   * Record the best selector each field matched with across items read in the page, such as search result cards
+   * @param {Object} fields - Registry key of each field
+   * @param {Object[]} items - Items whose `matched` holds the index of the selector each field matched with, -1 when
+   *   none did
+   * @param {string[]} [required] - Fields that count a miss when no item has them, optional ones are legitimately absent
+   */
+  async recordFields(fields, items, required = []) {
+    for (const [field, key] of Object.entries(fields)) {
+      const indexes = items.map(item => item.matched[field]).filter(index => index >= 0);
+      if (indexes.length > 0) {
+        await this.record(key, Math.min(...indexes));
+      } else if (required.includes(field)) {
+        await this.record(key, -1);
+      }
+    }
+  }
+
+  /**
+   * Selector lists of fields read in the page, to pass to evalAll
+   * @param {Object} fields - Registry key of each field
+   * @returns {Object} - Selectors of each field, primary first
+   */
+  fieldSelectors(fields) {
+    return Object.fromEntries(Object.entries(fields).map(([field, key]) => [field, this.get(key)]));
+  }
+
+  /**
+   * First element matching the key's selectors, trying them in order
+   * @param {Page|ElementHandle} scope - Page or element to search in
+   * @param {string} key - Registry key
+   * @param {Object} [options]
+   * @param {boolean} [options.optional] - The element is often legitimately absent, don't count a miss
+   * @returns {Promise<{element: ElementHandle, selector: string}|null>} - The element and the selector that found it
+   */
+  async match(scope, key, { optional = false } = {}) {
+    const list = this.get(key);
+    for (const [index, selector] of list.entries()) {
+      try {
+        const element = await scope.$(selector);
+        if (element) {
+          await this.record(key, index);
+          return { element, selector };
+        }
+      } catch (error) {
+        logger.warn(`Invalid selector for ${key}: ${selector}`, error);
+      }
+    }
+
+    if (!optional) {
+      await this.record(key, -1);
+    }
+    return null;
+  }
+
+  /**
+   * Like match, for when only the element is needed
+   * @returns {Promise<ElementHandle|null>}
+   */
+  async find(scope, key, options) {
+    return (await this.match(scope, key, options))?.element ?? null;
+  }
+
+  /**
+   * Every element matching the first of the key's selectors that matches anything
+   * @returns {Promise<ElementHandle[]>}
+   */
+  async findAll(scope, key, { optional = false } = {}) {
+    const list = this.get(key);
+    for (const [index, selector] of list.entries()) {
+      try {
+        const elements = await scope.$$(selector);
+        if (elements.length > 0) {
+          await this.record(key, index);
+          return elements;
+        }
+      } catch (error) {
+        logger.warn(`Invalid selector for ${key}: ${selector}`, error);
+      }
+    }
+
+    if (!optional) {
+      await this.record(key, -1);
+    }
+    return [];
+  }
+
+  /**
+   * Run fn in the page over every element matching the first of the key's selectors that yields results,
+   * like page.$$eval
+   * @returns {Promise<Array>} - Results of fn, empty when nothing matched
+   */
+  async evalAll(scope, key, fn, { optional = false, args = [] } = {}) {
+    const list = this.get(key);
+    for (const [index, selector] of list.entries()) {
+      try {
+        const results = await scope.$$eval(selector, fn, ...args);
+        if (results.length > 0) {
+          await this.record(key, index);
+          return results;
+        }
+      } catch (error) {
+        logger.warn(`Error reading ${key} with selector ${selector}`, error);
+      }
+    }
+
+    if (!optional) {
+      await this.record(key, -1);
+    }
+    return [];
+  }
+
+  /**
+   * Wait until any of the key's selectors matches, then return the highest priority match
+   * @param {Page} page - Puppeteer page object
+   * @param {string} key - Registry key
+   * @param {Object} [options] - Passed to page.waitForSelector, e.g. timeout or visible
+   * @param {boolean} [options.optional] - The element is often legitimately absent, don't count a miss
+   * @returns {Promise<ElementHandle>}
+   * @throws {Error} - When nothing matches before the timeout
+   */
+  async waitFor(page, key, { optional = false, ...options } = {}) {
+    const list = this.get(key);
+    try {
+      await page.waitForSelector(list.join(', '), options);
+    } catch (error) {
+      if (!optional) {
+        await this.record(key, -1);
+      }
+      throw error;
+    }
+    return this.find(page, key, { optional });
+  }
+
+  /**
+   * Match counts per key, with the keys whose primary selector isn't matching anymore
+   * @returns {{version: string|null, overridden: string[], degraded: string[], keys: Object}}
+   */
+  async report() {
+    await this.load();
+    const degraded = Object.entries(this.health)
+      .filter(([key, entry]) => (entry.matched && entry.matched !== this.lists[key]?.[0]) ||
+        (entry.missedAt && entry.missedAt > (entry.matchedAt || '')))
+      .map(([key]) => key);
+
+    return { version: this.version, overridden: this.overridden, degraded, keys: this.health };
+  }
+
+  /**
+   * Log which selectors are running on fallbacks or not matching at all
+   */
+  async logReport() {
+    await this.flush();
+    const { version, degraded, keys } = await this.report();
+    const label = version ? ` (selector set ${version})` : '';
+
+    if (degraded.length === 0) {
+      logger.info(`All primary selectors matching${label}`);
+      return;
+    }
+
+    for (const key of degraded) {
+      const entry = keys[key];
+      logger.warn(`Selector ${key}${label}: ${entry.primary} primary, ${entry.fallback} fallback, ${entry.missed} missed matches` +
+        (entry.matched ? `, last matched ${entry.matched}` : ''));
+    }
+  }
+}
+
+// Export singleton instance
+export const selectorRegistry = new SelectorRegistry(await readOverrides(overridesFile));
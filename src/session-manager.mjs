@@ -1,7 +1,7 @@
 import { logger } from './logger.mjs';
+import { dataPath } from './paths.mjs';
+import { isLinkedInCookie } from './routes.mjs';
 import fs from 'fs/promises';
-import path from 'path';
-import { fileURLToPath } from 'url';
 
 const SESSION_EXPIRY_TIME = 7200000; // 2 hours in milliseconds
 const PROXY_ROTATION_INTERVAL = 3600000; // 1 hour in milliseconds
@@ -19,7 +19,7 @@ const BOT_DETECTION_INDICATORS = [
 
 class SessionManager {
   constructor() {
-    this.cookiesFile = path.join(path.dirname(fileURLToPath(import.meta.url)), '../cookies.json');
+    this.cookiesFile = dataPath('cookies.json');
     this.sessionStartTime = null;
     this.lastProxyRotation = null;
     this.loginRetries = 0;
@@ -83,7 +83,7 @@ class SessionManager {
       }
 
       // Keep only LinkedIn cookies
-      if (!cookie.domain.includes('linkedin.com')) {
+      if (!isLinkedInCookie(cookie)) {
         return false;
       }
 
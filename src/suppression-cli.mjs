@@ -0,0 +1,47 @@
+import { suppressionList, SuppressionType } from './suppression-list.mjs';
+
+const USAGE = `Usage:
+  pnpm dnc add <type> <value> [reason]
+  pnpm dnc remove <type> <value>
+  pnpm dnc list
+
+Types: ${Object.values(SuppressionType).join(', ')}
+  url           https://www.linkedin.com/in/jane-doe
+  urn           urn:li:fsd_profile:ACoAA...
+  name-company  "Jane Doe @ Acme"
+  domain        acme.com`;
+
+async function main() {
+  const [command, type, value, ...reason] = process.argv.slice(2);
+
+  if (command === 'list') {
+    const entries = await suppressionList.list();
+    if (entries.length === 0) {
+      console.log('The do-not-contact list is empty.');
+    }
+    for (const entry of entries) {
+      console.log([entry.type, entry.value, entry.addedAt, entry.source, entry.reason].filter(Boolean).join('\t'));
+    }
+    return;
+  }
+
+  if (!['add', 'remove'].includes(command) || !Object.values(SuppressionType).includes(type) || !value) {
+    console.error(USAGE);
+    process.exit(1);
+  }
+
+  if (command === 'add') {
+    const entry = await suppressionList.add(type, value, { reason: reason.join(' ') || null, source: 'cli' });
+    console.log(`Listed ${entry.type} ${entry.value}`);
+  } else if (await suppressionList.remove(type, value)) {
+    console.log(`Removed ${type} ${value}`);
+  } else {
+    console.error(`${type} ${value} is not on the list`);
+    process.exit(1);
+  }
+}
+
+main().catch(error => {
+  console.error(error.message);
+  process.exit(1);
+});
@@ -0,0 +1,244 @@
+import fs from 'fs/promises';
+import { logger } from './logger.mjs';
+import { dataPath } from './paths.mjs';
+import { withFileLock } from './file-lock.mjs';
+import { normalizeProfileUrl } from './profile-url.mjs';
+import { buildTemplateContext } from './message-template.mjs';
+
+const listFile = dataPath('do-not-contact.json');
+
+/**
+ * What a do-not-contact entry is keyed by
+ */
+export const SuppressionType = {
+  URL: 'url',
+  URN: 'urn',
+  NAME_COMPANY: 'name-company',
+  DOMAIN: 'domain'
+};
+
+function simplify(text) {
+  return (text || '').toLowerCase().replace(/\s+/g, ' ').trim();
+}
+
+/**
+ * Canonical form of an entry value, so lookups don't depend on how it was typed
+ * @param {string} type - One of SuppressionType
+ * @param {string} value - Value as given, for name-company "Name @ Company"
+ * @returns {string|null} - Normalized value, or null if it isn't valid for the type
+ */
+export function normalizeEntryValue(type, value) {
+  switch (type) {
+    case SuppressionType.URL:
+      return normalizeProfileUrl(value);
+    case SuppressionType.URN:
+      return value?.trim() || null;
+    case SuppressionType.NAME_COMPANY: {
+      const [name, company] = (value || '').split('@').map(simplify);
+      return name && company ? `${name} @ ${company}` : null;
+    }
+    case SuppressionType.DOMAIN: {
+      const domain = simplify(value).replace(/^[a-z]+:\/\//, '').replace(/^www\./, '').split('/')[0];
+      return /^[a-z0-9-]+(\.[a-z0-9-]+)+$/.test(domain) ? domain : null;
+    }
+    default:
+      return null;
+  }
+}
+
+/**
+ * Host of a URL or domain of an email address, without www.
+ */
+function hostOf(value) {
+  if (!value) {
+    return null;
+  }
+  if (value.includes('@') && !value.includes('/')) {
+    return simplify(value.split('@').pop());
+  }
+  try {
+    return new URL(value.startsWith('http') ? value : `https://${value}`).hostname.replace(/^www\./, '');
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * Do-not-contact list. Contacts matching an entry are never queued, invited or messaged.
+ * Entries are stored in do-not-contact.json, written atomically. The CLI and the daemon share the file, so it is read
+ * again whenever it changed and every change is made holding a lock file, to the file as it is at that moment.
+ * A file that exists but can't be read stops every check and every change instead of counting as an empty list.
+ */
+export class SuppressionList {
+  constructor(filePath = listFile) {
+    this.filePath = filePath;
+    this.lockFile = `${filePath}.lock`;
+    this.entries = [];
+    this.keys = new Map();
+    this.loaded = false;
+    this.fileVersion = null;
+  }
+
+  /**
+   * Read the list, unless it is loaded and the file hasn't changed since
+   * @param {Object} [options]
+   * @param {boolean} [options.force] - Read it in any case
+   * @throws {Error} - When the file exists but can't be read
+   */
+  async load({ force = false } = {}) {
+    const fileVersion = await this.readFileVersion();
+    if (this.loaded && !force && fileVersion === this.fileVersion) {
+      return;
+    }
+
+    let entries = [];
+    try {
+      const data = JSON.parse(await fs.readFile(this.filePath, 'utf8'));
+      entries = Array.isArray(data.entries) ? data.entries : [];
+    } catch (error) {
+      // Going on with an empty list would contact everyone on it, and the next save would erase it
+      if (error.code !== 'ENOENT') {
+        throw new Error(`Can't read the do-not-contact list ${this.filePath}, fix or remove it: ${error.message}`);
+      }
+    }
+
+    this.entries = entries;
+    this.keys = new Map(this.entries.map(entry => [`${entry.type}:${entry.value}`, entry]));
+    this.loaded = true;
+    this.fileVersion = fileVersion;
+  }
+
+  /**
+   * Modification time and size of the file, null when there is none
+   */
+  async readFileVersion() {
+    try {
+      const { mtimeMs, size } = await fs.stat(this.filePath);
+      return `${mtimeMs}:${size}`;
+    } catch (error) {
+      return null;
+    }
+  }
+
+  async save() {
+    const tmpFile = `${this.filePath}.tmp`;
+    await fs.writeFile(tmpFile, JSON.stringify({ entries: this.entries }, null, 2));
+    await fs.rename(tmpFile, this.filePath);
+    this.fileVersion = await this.readFileVersion();
+  }
+
+  /**
+   * Add an entry, returning it, or the existing entry if it is already listed
+   * @param {string} type - One of SuppressionType
+   * @param {string} value - Profile URL, URN, "Name @ Company" or domain
+   * @param {Object} [details]
+   * @param {string} [details.reason] - Why the entry was added
+   * @param {string} [details.source] - Who added it, e.g. cli or inbox
+   * @throws {Error} - When the value isn't valid for the type, or the file can't be read
+   */
+  async add(type, value, { reason = null, source = 'cli' } = {}) {
+    const normalized = normalizeEntryValue(type, value);
+    if (!normalized) {
+      throw new Error(`Not a valid ${type} entry: ${value}`);
+    }
+
+    return withFileLock(this.lockFile, async () => {
+      // Entries another process added since the last read are kept
+      await this.load({ force: true });
+
+      const key = `${type}:${normalized}`;
+      if (this.keys.has(key)) {
+        return this.keys.get(key);
+      }
+
+      const entry = { type, value: normalized, reason, source, addedAt: new Date().toISOString() };
+      this.entries.push(entry);
+      this.keys.set(key, entry);
+      await this.save();
+
+      logger.info(`Added ${type} ${normalized} to the do-not-contact list`);
+      return entry;
+    });
+  }
+
+  /**
+   * Remove an entry
+   * @returns {Promise<boolean>} - Whether the entry was listed
+   * @throws {Error} - When the file can't be read
+   */
+  async remove(type, value) {
+    return withFileLock(this.lockFile, async () => {
+      await this.load({ force: true });
+
+      const key = `${type}:${normalizeEntryValue(type, value)}`;
+      if (!this.keys.has(key)) {
+        return false;
+      }
+
+      this.entries = this.entries.filter(entry => entry !== this.keys.get(key));
+      this.keys.delete(key);
+      await this.save();
+
+      logger.info(`Removed ${type} ${value} from the do-not-contact list`);
+      return true;
+    });
+  }
+
+  async list() {
+    await this.load();
+    return [...this.entries];
+  }
+
+  /**
+   * Entry matching a contact, checking its profile URL, URN, name and company, and company domain.
+   * The list must be loaded first.
+   * @param {Object} contact - Contact record or harvested profile
+   * @returns {Object|null} - Matching entry, or null
+   */
+  match(contact) {
+    const lookup = (type, value) => value ? this.keys.get(`${type}:${value}`) : null;
+
+    const { name, company } = buildTemplateContext(contact);
+    const byProfile = lookup(SuppressionType.URL, normalizeProfileUrl(contact.profileUrl)) ||
+      lookup(SuppressionType.URN, contact.urn) ||
+      (name && company ? lookup(SuppressionType.NAME_COMPANY, normalizeEntryValue(SuppressionType.NAME_COMPANY, `${name} @ ${company}`)) : null);
+    if (byProfile) {
+      return byProfile;
+    }
+
+    // A domain entry matches a known company website or email, or a company named like the domain ("Acme" for acme.com)
+    const hosts = [contact.companyDomain, contact.companyWebsite, contact.email].map(hostOf).filter(Boolean);
+    const companyKey = (company || '').toLowerCase().replace(/[^a-z0-9]/g, '');
+
+    return this.entries.find(entry => entry.type === SuppressionType.DOMAIN && (
+      hosts.some(host => host === entry.value || host.endsWith(`.${entry.value}`)) ||
+      (companyKey && companyKey === entry.value.split('.')[0].replace(/[^a-z0-9]/g, ''))
+    )) || null;
+  }
+
+  /**
+   * Whether a contact is on the list
+   * @throws {Error} - When the file can't be read, so nobody is contacted while it is broken
+   */
+  async isSuppressed(contact) {
+    await this.load();
+    return this.match(contact) !== null;
+  }
+}
+
+/**
+ * First opt-out keyword found in a message, matched as whole words
+ * @param {string} text - Inbound message
+ * @param {string[]} keywords - Opt-out phrases
+ * @returns {string|null} - Matching keyword, or null
+ */
+export function findOptOutKeyword(text, keywords) {
+  const message = simplify(text);
+  return keywords.find(keyword => {
+    const escaped = simplify(keyword).replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+    return new RegExp(`(^|[^a-z0-9])${escaped}($|[^a-z0-9])`).test(message);
+  }) || null;
+}
+
+// Export singleton instance
+export const suppressionList = new SuppressionList();
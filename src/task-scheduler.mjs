@@ -1,107 +1,108 @@
 import cron from 'node-cron';
-import { fileURLToPath } from 'url';
-import path from 'path';
-import fs from 'fs/promises';
-import dayjs from 'dayjs';
 import { logger } from './logger.mjs';
 import { rateLimiter } from './rate-limiter.mjs';
-import { initOpenAI } from './openai-vision.mjs';
+import { contactStore, ContactStatus } from './contact-store.mjs';
+import { QueueManager } from './queue-manager.mjs';
+import { campaignManager } from './campaigns.mjs';
+import { ActionOutcome } from './action-log.mjs';
 
-const __filename = fileURLToPath(import.meta.url);
-const __dirname = path.dirname(__filename);
+const queueManager = new QueueManager();
 
-const pendingFile = path.join(__dirname, '../pending.json');
-const messagedFile = path.join(__dirname, '../messaged.json');
-const queueFile = path.join(__dirname, '../queue.json');
-const config = JSON.parse(await fs.readFile(path.join(__dirname, '../config.json')));
+// Harvest more profiles once fewer than this are waiting in the queue
+const QUEUE_LOW_WATERMARK = 5;
 
-// Initialize OpenAI for personalized messages
-await initOpenAI();
+// All jobs drive the same browser page, so only one may run at a time
+let activeJob = null;
+
+// Sync jobs that can be run on demand, by name, with the action each one calls
+const SYNC_ACTIONS = {
+  invitations: 'syncInvitations',
+  withdraw: 'withdrawStaleInvitations',
+  inbox: 'syncInbox'
+};
+
+export const SYNC_JOBS = Object.keys(SYNC_ACTIONS);
 
 /**
- * Load JSON data from a file, creating it if it doesn't exist
+ * Run a job unless another one is still using the browser
  */
-async function loadJson(filePath) {
-  try {
-    const data = await fs.readFile(filePath, 'utf8');
-    return JSON.parse(data);
-  } catch (error) {
-    await fs.writeFile(filePath, '[]');
-    return [];
+async function runExclusive(name, job) {
+  if (activeJob) {
+    logger.info(`Skipping ${name}: ${activeJob} is still running`);
+    return;
   }
-}
 
-/**
- * Save JSON data to a file
- */
-async function saveJson(filePath, data) {
-  await fs.writeFile(filePath, JSON.stringify(data, null, 2));
+  activeJob = name;
+  try {
+    await job();
+  } finally {
+    activeJob = null;
+  }
 }
 
 /**
- * Generate a personalized follow-up message using GPT-4
+ * Fill the queue of every active campaign that runs low
  */
-async function generatePersonalizedMessage(profileData) {
+async function harvestIfQueueLow(actions) {
   try {
-    const prompt = `Create a friendly, professional follow-up message for a LinkedIn connection. Use this context:
-    - Their profile: ${profileData.name} - ${profileData.headline || 'Tech Professional'}
-    - Initial message sent: ${config.follow_up_message}
-    - Time since connection: ${profileData.daysSinceConnection} days
-    - Keep it brief, natural, and focused on professional networking
-    - Don't mention AI or automated messages`;
-
-    const response = await fetch('https://api.openai.com/v1/chat/completions', {
-      method: 'POST',
-      headers: {
-        'Content-Type': 'application/json',
-        'Authorization': `Bearer ${process.env.OPENAI_API_KEY}`
-      },
-      body: JSON.stringify({
-        model: 'gpt-4',
-        messages: [{ role: 'user', content: prompt }],
-        temperature: 0.7
-      })
-    });
-
-    const data = await response.json();
-    return data.choices[0].message.content.trim();
+    // Profiles awaiting approval are on their way into the queue
+    const queue = [...await queueManager.listQueue(), ...await contactStore.listByStatus(ContactStatus.AWAITING_APPROVAL)];
+
+    for (const campaign of campaignManager.getActiveCampaigns()) {
+      const queued = queue.filter(profile => campaignManager.campaignFor(profile) === campaign).length;
+
+      if (queued >= QUEUE_LOW_WATERMARK) {
+        logger.info(`Campaign ${campaign.id} has ${queued} profiles queued, skipping harvest`);
+        continue;
+      }
+
+      const added = await actions.harvest(campaign);
+      logger.info(`Harvest added ${added} profiles to the ${campaign.id} queue`);
+    }
   } catch (error) {
-    logger.error('Error generating follow-up message:', error);
-    return config.follow_up_message;
+    logger.error('Error harvesting search results:', error);
   }
 }
 
 /**
  * Process the connection queue
  */
-async function processConnectionQueue() {
+async function processConnectionQueue(actions) {
   try {
-    const queue = await loadJson(queueFile);
-    const pending = await loadJson(pendingFile);
+    // Check rate limits
+    if (!(await rateLimiter.checkConnectionLimit())) {
+      logger.warn('Connection limit reached');
+      return;
+    }
 
-    if (queue.length === 0) {
-      logger.info('Connection queue is empty');
+    // Only campaigns that are active and still have part of today's share can send
+    const campaignIds = await campaignManager.getCampaignsWithBudget('connection');
+    if (campaignIds.length === 0) {
+      logger.info('No active campaign has connection budget left today');
       return;
     }
 
-    // Check rate limits
-    if (!(await rateLimiter.checkConnectionLimit())) {
-      logger.warn('Daily connection limit reached');
+    const inBudget = profile => campaignIds.includes(campaignManager.campaignFor(profile)?.id);
+    let connection = await queueManager.getNextInQueue(inBudget);
+
+    if (!connection) {
+      logger.info('Connection queue is empty, harvesting search results');
+      for (const id of campaignIds) {
+        await actions.harvest(campaignManager.getCampaign(id));
+      }
+      connection = await queueManager.getNextInQueue(inBudget);
+    }
+
+    if (!connection) {
+      logger.info('Connection queue is empty');
       return;
     }
 
     // Process one connection from the queue
-    const connection = queue.shift();
-    pending.push({
-      ...connection,
-      date: new Date().toISOString()
-    });
-
-    await saveJson(queueFile, queue);
-    await saveJson(pendingFile, pending);
-    await rateLimiter.incrementConnectionCount();
+    const result = await actions.sendConnectionRequest(connection);
+    await queueManager.markProcessed(connection, result.outcome);
 
-    logger.info(`Processed connection request for ${connection.name}`);
+    logger.info(`Processed connection request for ${connection.name}: ${result.outcome}`);
   } catch (error) {
     logger.error('Error processing connection queue:', error);
   }
@@ -110,88 +111,135 @@ async function processConnectionQueue() {
 /**
  * Process follow-up messages
  */
-async function processFollowUpMessages() {
+async function processFollowUpMessages(actions) {
   try {
-    const pending = await loadJson(pendingFile);
-    const messaged = await loadJson(messagedFile);
-    const yesterday = dayjs().subtract(1, 'day').toISOString();
-    const twoDaysAgo = dayjs().subtract(2, 'days').toISOString();
-
-    // Find connections that need follow-up
-    const needsFollowUp = pending.filter(conn => {
-      const connDate = dayjs(conn.date);
-      return connDate.isBefore(yesterday) && 
-             !messaged.find(m => m.profileUrl === conn.profileUrl);
-    });
-
-    if (needsFollowUp.length === 0) {
-      logger.info('No connections need follow-up messages');
-      return;
-    }
+    const result = await actions.sendFollowUpMessage();
 
-    // Check rate limits
-    if (!(await rateLimiter.checkMessageLimit())) {
-      logger.warn('Daily message limit reached');
-      return;
+    if (result.outcome !== ActionOutcome.SENT) {
+      logger.info(`No follow-up message sent: ${result.outcome}`);
     }
-
-    // Process one follow-up message
-    const connection = needsFollowUp[0];
-    const daysSinceConnection = dayjs().diff(dayjs(connection.date), 'day');
-
-    // Generate personalized message based on connection time
-    const message = daysSinceConnection >= 2 ?
-      await generatePersonalizedMessage({ ...connection, daysSinceConnection }) :
-      config.follow_up_message;
-
-    // Mark as messaged
-    messaged.push({
-      ...connection,
-      messageDate: new Date().toISOString(),
-      message
-    });
-
-    await saveJson(messagedFile, messaged);
-    await rateLimiter.incrementMessageCount();
-
-    logger.info(`Sent follow-up message to ${connection.name}`);
   } catch (error) {
     logger.error('Error processing follow-up messages:', error);
   }
 }
 
 /**
- * Clean up abandoned connections
+ * Read new replies from the messaging inbox
  */
-async function cleanupAbandonedConnections() {
+async function processInboxSync(actions) {
   try {
-    const pending = await loadJson(pendingFile);
-    const twoDaysAgo = dayjs().subtract(2, 'days').toISOString();
+    await actions.syncInbox();
+  } catch (error) {
+    logger.error('Error syncing inbox:', error);
+  }
+}
 
-    // Remove connections older than 48 hours that haven't been messaged
-    const updatedPending = pending.filter(conn => {
-      return dayjs(conn.date).isAfter(twoDaysAgo);
-    });
+/**
+ * Withdraw invitations that have been pending too long
+ */
+async function processStaleInvitations(actions) {
+  try {
+    await actions.withdrawStaleInvitations();
+  } catch (error) {
+    logger.error('Error withdrawing stale invitations:', error);
+  }
+}
 
-    if (updatedPending.length < pending.length) {
-      await saveJson(pendingFile, updatedPending);
-      logger.info(`Cleaned up ${pending.length - updatedPending.length} abandoned connections`);
-    }
+/**
+ * Reconcile pending invitations with the connections list and sent invitations
+ */
+async function processInvitationSync(actions) {
+  try {
+    await actions.syncInvitations();
   } catch (error) {
-    logger.error('Error cleaning up abandoned connections:', error);
+    logger.error('Error syncing invitations:', error);
   }
 }
 
-// Schedule tasks
-export function startScheduler() {
-  // Process one connection request every hour
-  cron.schedule('0 * * * *', processConnectionQueue);
+/**
+ * Schedule the outreach jobs.
+ * @param {Object} actions - Browser actions the jobs drive
+ * @param {Function} actions.harvest - Adds a campaign's search results to the queue, resolves to the number added
+ * @param {Function} actions.sendConnectionRequest - Invites a queued profile, resolves to its ActionResult
+ * @param {Function} actions.sendFollowUpMessage - Sends one due follow-up step of an active campaign within its message
+ *   budget, resolves to its ActionResult
+ * @param {Function} actions.syncInvitations - Marks pending invitations accepted, pending or withdrawn
+ * @param {Function} actions.withdrawStaleInvitations - Withdraws pending invitations past the configured age
+ * @param {Function} actions.syncInbox - Records replies from the messaging inbox
+ * @returns {{stop: Function, pause: Function, resume: Function, status: Function, runSync: Function}} - Handle to stop, pause and resume the jobs
+ */
+export function startScheduler(actions) {
+  let paused = false;
+
+  // Jobs that come due while paused are skipped, a job already running finishes
+  const job = (name, fn) => () => {
+    if (paused) {
+      logger.info(`Skipping ${name}: the scheduler is paused`);
+      return;
+    }
+    return runExclusive(name, fn);
+  };
+
+  const tasks = [
+    // Top up the queue from search results every six hours
+    cron.schedule('15 */6 * * *', job('harvest', () => harvestIfQueueLow(actions))),
 
-  // Process follow-up messages every hour
-  cron.schedule('30 * * * *', processFollowUpMessages);
+    // Process one connection request every hour
+    cron.schedule('0 * * * *', job('connection queue', () => processConnectionQueue(actions))),
 
-  // Clean up abandoned connections daily
-  cron.schedule('0 0 * * *', cleanupAbandonedConnections);
+    // Detect accepted invitations every three hours
+    cron.schedule('45 */3 * * *', job('invitation sync', () => processInvitationSync(actions))),
+
+    // Check the inbox for replies before the follow-up step goes out
+    cron.schedule('20 * * * *', job('inbox sync', () => processInboxSync(actions))),
+
+    // Withdraw stale invitations once a day, during operating hours
+    cron.schedule('20 10 * * *', job('stale invitations', () => processStaleInvitations(actions))),
+
+    // Send one due follow-up sequence step every hour
+    cron.schedule('30 * * * *', job('follow-up messages', () => processFollowUpMessages(actions))),
+
+    // Clean up stale queue entries daily
+    cron.schedule('0 0 * * *', job('cleanup', () => queueManager.cleanQueue()))
+  ];
 
   logger.info('Task scheduler started');
-}
\ No newline at end of file
+
+  return {
+    stop() {
+      tasks.forEach(task => task.stop());
+      logger.info('Task scheduler stopped');
+    },
+    pause() {
+      paused = true;
+      logger.info('Task scheduler paused');
+    },
+    resume() {
+      paused = false;
+      logger.info('Task scheduler resumed');
+    },
+    // Whether jobs are paused and which one is using the browser right now
+    status() {
+      return { paused, activeJob };
+    },
+    /**
+     * Run one of SYNC_JOBS now, unless the scheduler is paused or another job is using the browser.
+     * Errors are passed on rather than logged.
+     * @returns {Promise<{ran: boolean, result?: Object, reason?: string}>} - The action's result, or why it didn't run
+     */
+    async runSync(name) {
+      if (!SYNC_ACTIONS[name]) {
+        throw new Error(`Unknown sync job: ${name}`);
+      }
+      if (paused || activeJob) {
+        return { ran: false, reason: paused ? 'The scheduler is paused' : `${activeJob} is still running` };
+      }
+
+      let result;
+      await runExclusive(`${name} sync`, async () => {
+        result = await actions[SYNC_ACTIONS[name]]();
+      });
+      return { ran: true, result };
+    }
+  };
+}
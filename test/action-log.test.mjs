@@ -0,0 +1,107 @@
+import { removeDataDir } from './helpers/env.mjs';
+import { after, describe, test } from 'node:test';
+import assert from 'node:assert/strict';
+import { actionLog, startAction, outcomeForPageFailure, ActionOutcome, ActionType } from '../src/action-log.mjs';
+import { PageFailure } from '../src/pages/base-page.mjs';
+import { QueueManager } from '../src/queue-manager.mjs';
+import { contactStore, ContactStatus } from '../src/contact-store.mjs';
+
+function queuedProfile(slug) {
+  return { name: slug, profileUrl: `https://www.linkedin.com/in/${slug}` };
+}
+
+describe('action outcomes', () => {
+  const queueManager = new QueueManager();
+
+  after(() => {
+    removeDataDir();
+  });
+
+  test('logs a result for each action on a profile', async () => {
+    const profile = queuedProfile('jane-founder');
+
+    const action = startAction(ActionType.CONNECTION_REQUEST, profile);
+    action.screenshots.push('/tmp/profile-connect-failed.png', null);
+    const result = await action.finish(ActionOutcome.ERROR, { error: new Error('Navigation timeout'), details: { noteSent: false } });
+
+    assert.equal(result.outcome, ActionOutcome.ERROR);
+    assert.deepEqual(result.profile, profile);
+    assert.deepEqual(result.screenshots, ['/tmp/profile-connect-failed.png']);
+    assert.equal(result.error, 'Navigation timeout');
+    assert.equal(result.noteSent, false);
+    assert.ok(result.durationMs >= 0);
+
+    // Nothing due has no profile to report on
+    await startAction(ActionType.FOLLOW_UP).finish(ActionOutcome.NOTHING_DUE);
+
+    assert.deepEqual(await actionLog.list(), [result]);
+    assert.deepEqual(await actionLog.list({ type: ActionType.FOLLOW_UP }), []);
+    assert.deepEqual(await actionLog.list({ profileUrl: profile.profileUrl }), [result]);
+  });
+
+  test('maps page failures to outcomes', () => {
+    assert.equal(outcomeForPageFailure(PageFailure.RATE_LIMITED), ActionOutcome.RATE_LIMITED);
+    assert.equal(outcomeForPageFailure(PageFailure.LOGIN_WALL), ActionOutcome.NOT_LOGGED_IN);
+    assert.equal(outcomeForPageFailure(PageFailure.INVITATION_PENDING), ActionOutcome.ALREADY_INVITED);
+    assert.equal(outcomeForPageFailure(PageFailure.INVITATION_NOT_CONFIRMED), ActionOutcome.UNCONFIRMED);
+    assert.equal(outcomeForPageFailure(PageFailure.DELIVERY_UNCONFIRMED), ActionOutcome.UNCONFIRMED);
+    assert.equal(outcomeForPageFailure(PageFailure.NO_SEND_BUTTON), ActionOutcome.SELECTOR_NOT_FOUND);
+  });
+
+  test('keeps profiles queued after retryable outcomes', async () => {
+    const profile = queuedProfile('sam-rivera');
+    await queueManager.addToQueue(profile);
+
+    await queueManager.markProcessed(profile, ActionOutcome.LIMIT_REACHED);
+    await queueManager.markProcessed(profile, ActionOutcome.RATE_LIMITED);
+    const queued = await contactStore.get(profile.profileUrl);
+    assert.equal(queued.status, ContactStatus.QUEUED);
+    assert.equal(queued.lastOutcome, ActionOutcome.RATE_LIMITED);
+
+    await queueManager.markProcessed(profile, ActionOutcome.SENT);
+    const invited = await contactStore.get(profile.profileUrl);
+    assert.equal(invited.status, ContactStatus.INVITED);
+    assert.equal(invited.processedStatus, ActionOutcome.SENT);
+
+    const unconfirmed = queuedProfile('drew-patel');
+    await queueManager.addToQueue(unconfirmed);
+    await queueManager.markProcessed(unconfirmed, ActionOutcome.UNCONFIRMED);
+    assert.equal((await contactStore.get(unconfirmed.profileUrl)).errorCount, 1);
+    // The retry finds the invitation pending after all
+    await queueManager.markProcessed(unconfirmed, ActionOutcome.ALREADY_INVITED);
+    assert.equal((await contactStore.get(unconfirmed.profileUrl)).status, ContactStatus.INVITED);
+  });
+
+  test('keeps what the send wrote over the queued snapshot', async () => {
+    const profile = { ...queuedProfile('riley-chen'), noteSent: true };
+    await queueManager.addToQueue(profile);
+    const snapshot = await contactStore.get(profile.profileUrl);
+
+    // The send stores the note state of this invitation while the queue holds the old record
+    await contactStore.update(profile.profileUrl, { noteSent: false });
+    await queueManager.markProcessed(snapshot, ActionOutcome.SENT);
+
+    const invited = await contactStore.get(profile.profileUrl);
+    assert.equal(invited.status, ContactStatus.INVITED);
+    assert.equal(invited.noteSent, false);
+  });
+
+  test('fails a profile after repeated errors and accepts one already connected', async () => {
+    const flaky = queuedProfile('morgan-lee');
+    await queueManager.addToQueue(flaky);
+    for (let attempt = 1; attempt <= 3; attempt++) {
+      await queueManager.markProcessed(flaky, ActionOutcome.ERROR);
+      const expected = attempt < 3 ? ContactStatus.QUEUED : ContactStatus.FAILED;
+      assert.equal((await contactStore.get(flaky.profileUrl)).status, expected, `after ${attempt} errors`);
+    }
+
+    // An existing connection goes on to the follow-up sequence
+    const connected = queuedProfile('alex-builder');
+    await queueManager.addToQueue(connected);
+    await queueManager.markProcessed(connected, ActionOutcome.ALREADY_CONNECTED);
+    const accepted = await contactStore.get(connected.profileUrl);
+    assert.equal(accepted.status, ContactStatus.ACCEPTED);
+    assert.ok(accepted.acceptedAt);
+    assert.equal(accepted.processedStatus, ActionOutcome.ALREADY_CONNECTED);
+  });
+});
@@ -0,0 +1,199 @@
+import { dataDir, removeDataDir } from './helpers/env.mjs';
+import { after, before, describe, test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs/promises';
+import path from 'path';
+import { startApiServer } from '../src/api-server.mjs';
+import { startScheduler } from '../src/task-scheduler.mjs';
+import { QueueManager } from '../src/queue-manager.mjs';
+import { contactStore, ContactStatus } from '../src/contact-store.mjs';
+import { campaignManager } from '../src/campaigns.mjs';
+import { rateLimiter } from '../src/rate-limiter.mjs';
+import { suppressionList, SuppressionType } from '../src/suppression-list.mjs';
+
+const TOKEN = 'test-api-token';
+
+describe('REST API', () => {
+  const queueManager = new QueueManager();
+  let releaseInbox;
+  let scheduler;
+  let server;
+  let origin;
+
+  function request(method, pathname, body, headers = { Authorization: `Bearer ${TOKEN}` }) {
+    return fetch(`${origin}${pathname}`, {
+      method,
+      headers: { ...headers, ...(body === undefined ? {} : { 'Content-Type': 'application/json' }) },
+      body: body === undefined ? undefined : JSON.stringify(body)
+    });
+  }
+
+  before(async () => {
+    // Campaign changes go to a copy of config.json
+    campaignManager.configFile = path.join(dataDir, 'config.json');
+
+    // No job runs during the test, they are scheduled on the hour
+    scheduler = startScheduler({
+      syncInvitations: async () => ({ accepted: 1, pending: 0, withdrawn: 0 }),
+      syncInbox: () => new Promise(resolve => {
+        releaseInbox = () => resolve({ threads: 0, replied: 0, optedOut: 0 });
+      })
+    });
+    ({ server } = await startApiServer({ port: 0, token: TOKEN, scheduler, queueManager }));
+    origin = `http://127.0.0.1:${server.address().port}`;
+  });
+
+  after(() => {
+    server?.close();
+    scheduler?.stop();
+    removeDataDir();
+  });
+
+  test('asks for the token and answers errors as JSON', async () => {
+    const missing = await request('GET', '/api/queue', undefined, {});
+    assert.equal(missing.status, 401);
+    assert.deepEqual(await missing.json(), { error: { status: 401, message: 'Missing or wrong API token' } });
+    assert.equal((await request('GET', '/api/queue', undefined, { Authorization: 'Bearer wrong' })).status, 401);
+
+    assert.equal((await request('GET', '/api/nothing')).status, 404);
+    const wrongMethod = await request('DELETE', '/api/queue');
+    assert.equal(wrongMethod.status, 405);
+    assert.equal(wrongMethod.headers.get('allow'), 'GET, POST');
+
+    const invalid = await fetch(`${origin}/api/queue`, { method: 'POST', headers: { Authorization: `Bearer ${TOKEN}` }, body: '{' });
+    assert.equal(invalid.status, 400);
+    assert.match((await invalid.json()).error.message, /not valid JSON/);
+  });
+
+  test('queues one profile or a batch', async () => {
+    const single = await request('POST', '/api/queue', { profileUrl: 'https://www.linkedin.com/in/Jane-Founder/?trk=x', campaign: 'founders' });
+    assert.equal(single.status, 201);
+    const { contact } = await single.json();
+    assert.equal(contact.profileUrl, 'https://www.linkedin.com/in/jane-founder');
+    assert.equal(contact.name, 'Jane Founder');
+    assert.equal(contact.status, ContactStatus.QUEUED);
+
+    assert.equal((await request('POST', '/api/queue', { profileUrl: contact.profileUrl })).status, 409);
+    assert.match((await (await request('POST', '/api/queue', { profileUrl: 'https://example.com' })).json()).error.message, /not a LinkedIn profile URL/);
+    assert.match((await (await request('POST', '/api/queue', { profileUrl: contact.profileUrl, campaign: 'nope' })).json()).error.message, /unknown campaign/);
+
+    const batch = await request('POST', '/api/queue', {
+      profiles: [{ profileUrl: 'https://www.linkedin.com/in/sam-rivera', name: 'Sam Rivera' }, { profileUrl: contact.profileUrl }]
+    });
+    assert.equal(batch.status, 201);
+    assert.deepEqual(await batch.json(), { added: 1, skipped: 1 });
+    assert.match((await (await request('POST', '/api/queue', { profiles: [{}] })).json()).error.message, /^profiles\[0\]/);
+
+    // Optional fields are stored and checked against the do-not-contact list
+    await suppressionList.add(SuppressionType.URN, 'urn:li:fsd_profile:ACoAAMorgan');
+    const morgan = { profileUrl: 'https://www.linkedin.com/in/morgan-lee', urn: 'urn:li:fsd_profile:ACoAAMorgan' };
+    assert.equal((await request('POST', '/api/queue', morgan)).status, 409);
+    const riley = await request('POST', '/api/queue', { profileUrl: 'https://www.linkedin.com/in/riley-chen', company: 'Acme', mutualConnections: 3 });
+    assert.equal(riley.status, 201);
+    assert.equal((await riley.json()).contact.company, 'Acme');
+    assert.match((await (await request('POST', '/api/queue', { ...morgan, mutualConnections: -1 })).json()).error.message, /invalid value for mutualConnections/);
+    await contactStore.remove('https://www.linkedin.com/in/riley-chen');
+
+    // A failure isn't reported as a duplicate
+    await fs.writeFile(suppressionList.filePath, '{');
+    const failed = await request('POST', '/api/queue', { profileUrl: 'https://www.linkedin.com/in/drew-patel' });
+    assert.equal(failed.status, 500);
+    assert.equal((await request('POST', '/api/queue', { profiles: [{ profileUrl: 'https://www.linkedin.com/in/drew-patel' }] })).status, 500);
+    await fs.rm(suppressionList.filePath);
+
+    const queue = await (await request('GET', '/api/queue')).json();
+    assert.equal(queue.status.queueLength, 2);
+    assert.deepEqual(queue.queue.map(profile => profile.name), ['Jane Founder', 'Sam Rivera']);
+  });
+
+  test('looks up contacts, conversations and replies', async () => {
+    await contactStore.put({
+      name: 'Casey Ng',
+      profileUrl: 'https://www.linkedin.com/in/casey-ng',
+      campaign: 'founders',
+      status: ContactStatus.REPLIED,
+      messages: [{ step: 1, text: 'Thanks for connecting!', sentAt: '2026-01-02T10:00:00.000Z' }],
+      inboundMessages: [{ text: 'Happy to join', sentAt: '2026-01-03T09:00:00.000Z', receivedAt: '2026-01-03T10:00:00.000Z' }]
+    });
+
+    const contact = await (await request('GET', '/api/contacts/casey-ng')).json();
+    assert.equal(contact.contact.status, ContactStatus.REPLIED);
+    assert.deepEqual(contact.actions, []);
+    const byUrl = await request('GET', `/api/contacts/${encodeURIComponent('https://www.linkedin.com/in/casey-ng')}`);
+    assert.equal((await byUrl.json()).contact.name, 'Casey Ng');
+    assert.equal((await request('GET', '/api/contacts/nobody')).status, 404);
+    const malformed = await request('GET', '/api/contacts/%E0%A4%A');
+    assert.equal(malformed.status, 400);
+    assert.match((await malformed.json()).error.message, /Malformed escape/);
+
+    const queued = await (await request('GET', '/api/contacts?status=queued&campaign=founders')).json();
+    assert.deepEqual(queued.contacts.map(queuedContact => queuedContact.name), ['Jane Founder', 'Sam Rivera']);
+    assert.equal((await request('GET', '/api/contacts?status=lost')).status, 400);
+
+    const { conversations } = await (await request('GET', '/api/conversations')).json();
+    assert.deepEqual(conversations[0].messages.map(message => [message.direction, message.text]), [
+      ['outbound', 'Thanks for connecting!'],
+      ['inbound', 'Happy to join']
+    ]);
+
+    const { replies } = await (await request('GET', '/api/replies?since=2026-01-01')).json();
+    assert.deepEqual(replies.map(reply => [reply.name, reply.text]), [['Casey Ng', 'Happy to join']]);
+    assert.deepEqual((await (await request('GET', '/api/replies?since=2026-02-01')).json()).replies, []);
+  });
+
+  test('edits campaigns and previews their templates', async () => {
+    await fs.writeFile(campaignManager.configFile, JSON.stringify(campaignManager.config));
+
+    const patched = await request('PATCH', '/api/campaigns/founders', { invitation_note: 'Hi {{firstName|there}}, let\'s connect!', daily_share: 0.5 });
+    assert.equal(patched.status, 200);
+    assert.equal((await patched.json()).campaign.dailyShare, 0.5);
+    assert.equal(campaignManager.getCampaign('founders').invitationNote, 'Hi {{firstName|there}}, let\'s connect!');
+    const saved = JSON.parse(await fs.readFile(campaignManager.configFile, 'utf8'));
+    assert.equal(saved.campaigns[0].daily_share, 0.5);
+
+    assert.match((await (await request('PATCH', '/api/campaigns/founders', { daily_share: 2 })).json()).error.message, /daily_share/);
+    assert.match((await (await request('PATCH', '/api/campaigns/founders', { invitation_note: '{{nope}}' })).json()).error.message, /invalid invitation_note template/);
+    assert.equal((await request('PATCH', '/api/campaigns/founders', { colour: 'blue' })).status, 400);
+    assert.equal((await request('PATCH', '/api/campaigns/%E0%A4%A', { daily_share: 0.5 })).status, 400);
+    assert.equal(campaignManager.getCampaign('founders').dailyShare, 0.5, 'a rejected change is not applied');
+
+    const created = await request('POST', '/api/campaigns', { id: 'designers', search_urls: [], follow_up_message: 'Hi {{firstName}}!' });
+    assert.equal(created.status, 201);
+    assert.equal((await request('POST', '/api/campaigns', { id: 'designers' })).status, 409);
+    assert.deepEqual((await (await request('GET', '/api/campaigns')).json()).campaigns.map(campaign => campaign.campaign.id), ['founders', 'designers']);
+
+    const preview = await (await request('POST', '/api/campaigns/founders/preview', { profileUrl: 'https://www.linkedin.com/in/jane-founder' })).json();
+    assert.equal(preview.invitationNote, 'Hi Jane, let\'s connect!');
+    assert.equal(preview.sequence[0].step, 1);
+  });
+
+  test('reports rate limits', async () => {
+    await rateLimiter.incrementConnectionCount('founders');
+
+    const limits = await (await request('GET', '/api/limits')).json();
+    assert.deepEqual(limits.connections, { today: 1, dailyLimit: 15, week: 1, weeklyLimit: 80 });
+    assert.deepEqual(limits.campaigns[0].connections, { today: 1, dailyLimit: 7 });
+    assert.equal(limits.backingOff, false);
+  });
+
+  test('runs sync jobs one at a time', async () => {
+    const invitations = await request('POST', '/api/sync/invitations');
+    assert.equal(invitations.status, 200);
+    assert.deepEqual(await invitations.json(), { job: 'invitations', result: { accepted: 1, pending: 0, withdrawn: 0 } });
+    assert.equal((await request('POST', '/api/sync/everything')).status, 404);
+
+    const inbox = request('POST', '/api/sync/inbox');
+    while (!releaseInbox) {
+      await new Promise(r => setTimeout(r, 10))
+    }
+    const busy = await request('POST', '/api/sync/invitations');
+    assert.equal(busy.status, 409);
+    assert.match((await busy.json()).error.message, /inbox sync is still running/);
+    releaseInbox();
+    assert.equal((await inbox).status, 200);
+
+    scheduler.pause();
+    assert.match((await (await request('POST', '/api/sync/invitations')).json()).error.message, /paused/);
+    scheduler.resume();
+  });
+});
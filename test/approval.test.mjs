@@ -0,0 +1,129 @@
+import { removeDataDir } from './helpers/env.mjs';
+import { after, before, describe, test } from 'node:test';
+import assert from 'node:assert/strict';
+import dayjs from 'dayjs';
+import { QueueManager, ApprovalDecision } from '../src/queue-manager.mjs';
+import { contactStore, ContactStatus } from '../src/contact-store.mjs';
+import { campaignManager } from '../src/campaigns.mjs';
+import { SequenceEndReason } from '../src/follow-up-sequence.mjs';
+import { sendOneFollowUpMessage } from '../src/linkedin-bot.mjs';
+import { startApprovalServer } from '../src/approval-server.mjs';
+import { ActionOutcome, ActionType } from '../src/action-log.mjs';
+
+function profile(slug) {
+  const name = slug.split('-').map(part => part[0].toUpperCase() + part.slice(1)).join(' ');
+  return { name, profileUrl: `https://www.linkedin.com/in/${slug}`, campaign: 'founders' };
+}
+
+describe('approval queue', () => {
+  const queueManager = new QueueManager();
+  const founders = campaignManager.getCampaign('founders');
+
+  before(() => {
+    Object.assign(founders, { requireApproval: true, invitationNote: 'Hi {{firstName|there}}, let\'s connect!' });
+  });
+
+  after(() => {
+    removeDataDir();
+  });
+
+  test('holds harvested profiles until an invitation is approved', async () => {
+    await queueManager.addBatchToQueue([profile('jane-founder'), profile('sam-rivera')]);
+    assert.deepEqual(await queueManager.listQueue(), []);
+
+    const awaiting = await queueManager.listAwaitingApproval();
+    assert.deepEqual(awaiting.map(contact => contact.status), [ContactStatus.AWAITING_APPROVAL, ContactStatus.AWAITING_APPROVAL]);
+    assert.equal(awaiting[0].approval.type, ActionType.CONNECTION_REQUEST);
+    assert.equal(awaiting[0].approval.text, 'Hi Jane, let\'s connect!');
+
+    const approved = await queueManager.approve(profile('jane-founder').profileUrl, { reviewer: 'dana' });
+    assert.equal(approved.decision, ApprovalDecision.APPROVED);
+    const jane = await contactStore.get(profile('jane-founder').profileUrl);
+    assert.equal(jane.status, ContactStatus.QUEUED);
+    assert.equal(jane.approved.text, 'Hi Jane, let\'s connect!');
+    assert.equal(jane.approval, undefined);
+
+    await queueManager.reject(profile('sam-rivera').profileUrl, { reviewer: 'dana', reason: 'Not a founder' });
+    assert.equal((await contactStore.get(profile('sam-rivera').profileUrl)).status, ContactStatus.REJECTED);
+    // A rejected profile isn't harvested again
+    assert.equal(await queueManager.addToQueue(profile('sam-rivera')), false);
+
+    assert.deepEqual((await queueManager.listQueue()).map(contact => contact.profileUrl), [jane.profileUrl]);
+    assert.equal(await queueManager.approve(jane.profileUrl, { reviewer: 'dana' }), null, 'nothing left to approve');
+  });
+
+  test('records edits and who made them', async () => {
+    const morgan = profile('morgan-lee');
+    await queueManager.addToQueue(morgan);
+
+    await assert.rejects(queueManager.approve(morgan.profileUrl, {}), /reviewer/);
+    await assert.rejects(queueManager.approve(morgan.profileUrl, { reviewer: 'dana', text: 'x'.repeat(301) }), /limit is 300/);
+
+    await queueManager.approve(morgan.profileUrl, { reviewer: 'lee', text: 'Hi Morgan, loved your talk.' });
+    assert.equal((await contactStore.get(morgan.profileUrl)).approved.text, 'Hi Morgan, loved your talk.');
+
+    const history = await queueManager.listApprovalHistory();
+    assert.deepEqual(history.map(decision => [decision.name, decision.decision, decision.reviewer]), [
+      ['Morgan Lee', ApprovalDecision.EDITED, 'lee'],
+      ['Sam Rivera', ApprovalDecision.REJECTED, 'dana'],
+      ['Jane Founder', ApprovalDecision.APPROVED, 'dana']
+    ]);
+    assert.equal(history[0].originalText, 'Hi Morgan, let\'s connect!');
+    assert.equal(history[1].reason, 'Not a founder');
+    assert.ok(history.every(decision => decision.requestedAt && decision.reviewedAt));
+  });
+
+  test('puts due follow-ups up for review instead of sending them', async () => {
+    const casey = await contactStore.put({
+      ...profile('casey-ng'),
+      status: ContactStatus.ACCEPTED,
+      acceptedAt: dayjs().subtract(2, 'day').toISOString()
+    });
+    const expected = campaignManager.renderSequenceStep(casey, 0);
+
+    // Nothing is sent and the page isn't touched while the step awaits approval
+    assert.equal((await sendOneFollowUpMessage(null)).outcome, ActionOutcome.NOTHING_DUE);
+    const { approval } = await contactStore.get(casey.profileUrl);
+    assert.deepEqual({ type: approval.type, step: approval.step, text: approval.text }, { type: ActionType.FOLLOW_UP, step: 1, text: expected });
+    assert.equal((await sendOneFollowUpMessage(null)).outcome, ActionOutcome.NOTHING_DUE);
+
+    await assert.rejects(queueManager.approve(casey.profileUrl, { reviewer: 'dana', text: 'Hi {{firstName}}' }), /placeholders/);
+    await queueManager.reject(casey.profileUrl, { reviewer: 'dana' });
+    const rejected = await contactStore.get(casey.profileUrl);
+    assert.equal(rejected.status, ContactStatus.ACCEPTED);
+    assert.equal(rejected.sequenceEndReason, SequenceEndReason.REJECTED);
+    assert.equal(rejected.nextStepDueAt, null);
+  });
+
+  test('serves a review page on this machine', async () => {
+    const taylor = profile('taylor-kim');
+    await queueManager.addToQueue(taylor);
+
+    const server = await startApprovalServer({ port: 0, reviewer: 'dana', queueManager });
+    const origin = `http://127.0.0.1:${server.address().port}`;
+    try {
+      const review = await (await fetch(`${origin}/`)).text();
+      assert.match(review, /taylor-kim/);
+      assert.match(review, /Hi Taylor, let&#39;s connect!/);
+
+      const form = { profileUrl: taylor.profileUrl, reviewer: 'dana', text: 'Hi Taylor,\r\nlet\'s connect.' };
+      const foreign = await fetch(`${origin}/approve`, {
+        method: 'POST',
+        headers: { Origin: 'https://example.com' },
+        body: new URLSearchParams(form)
+      });
+      assert.equal(foreign.status, 403);
+      assert.equal((await contactStore.get(taylor.profileUrl)).status, ContactStatus.AWAITING_APPROVAL);
+
+      const approved = await fetch(`${origin}/approve`, { method: 'POST', body: new URLSearchParams(form), redirect: 'manual' });
+      assert.equal(approved.status, 303);
+      const contact = await contactStore.get(taylor.profileUrl);
+      assert.equal(contact.status, ContactStatus.QUEUED);
+      assert.equal(contact.approved.text, 'Hi Taylor,\nlet\'s connect.');
+
+      assert.match(await (await fetch(`${origin}/history`)).text(), /taylor-kim[\s\S]*morgan-lee/);
+    } finally {
+      server.close();
+    }
+  });
+});
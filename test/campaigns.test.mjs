@@ -0,0 +1,63 @@
+import { dataDir, removeDataDir } from './helpers/env.mjs';
+import { after, describe, test } from 'node:test';
+import assert from 'node:assert/strict';
+import path from 'path';
+import { CampaignManager } from '../src/campaigns.mjs';
+import { rateLimiter } from '../src/rate-limiter.mjs';
+
+const searchUrls = ['https://www.linkedin.com/search/results/people/?keywords=founder'];
+
+function manager(campaigns) {
+  const entries = campaigns.map(entry => ({ search_urls: searchUrls, ...entry }));
+  return new CampaignManager({ campaigns: entries }, path.join(dataDir, 'config.json'));
+}
+
+describe('campaigns', () => {
+  after(() => {
+    removeDataDir();
+  });
+
+  test('runs a campaign only within its date range', () => {
+    const campaigns = manager([
+      { id: 'spring', start_date: '2026-03-01', end_date: '2026-03-31' },
+      { id: 'paused', enabled: false },
+      { id: 'open' }
+    ]);
+    const spring = campaigns.getCampaign('spring');
+
+    // Both ends of the range are whole days
+    assert.equal(campaigns.isActive(spring, new Date(2026, 1, 28, 23, 59)), false);
+    assert.equal(campaigns.isActive(spring, new Date(2026, 2, 1, 0, 0)), true);
+    assert.equal(campaigns.isActive(spring, new Date(2026, 2, 31, 23, 59)), true);
+    assert.equal(campaigns.isActive(spring, new Date(2026, 3, 1, 0, 0)), false);
+
+    assert.deepEqual(campaigns.getActiveCampaigns(new Date(2026, 2, 15)).map(campaign => campaign.id), ['spring', 'open']);
+    assert.deepEqual(campaigns.getActiveCampaigns(new Date(2026, 5, 1)).map(campaign => campaign.id), ['open']);
+
+    assert.throws(() => manager([{ id: 'typo', end_date: 'end of March' }]), /end_date is not a valid date/);
+  });
+
+  test('stops a campaign once its daily share is used', async () => {
+    const campaigns = manager([
+      { id: 'founders', daily_share: 0.2 },
+      { id: 'designers' },
+      { id: 'ended', end_date: '2020-01-31' }
+    ]);
+    const founders = campaigns.getCampaign('founders');
+
+    // A share is a fraction of the global limit, rounded down
+    assert.equal(campaigns.getDailyLimit(founders, 'connection'), Math.floor(rateLimiter.dailyConnectionLimit * 0.2));
+    assert.deepEqual(await campaigns.getCampaignsWithBudget('connection'), ['founders', 'designers']);
+
+    for (let sent = 0; sent < campaigns.getDailyLimit(founders, 'connection'); sent++) {
+      await rateLimiter.incrementConnectionCount('founders');
+    }
+    assert.equal(await campaigns.hasBudget(founders, 'connection'), false);
+    assert.deepEqual(await campaigns.getCampaignsWithBudget('connection'), ['designers']);
+
+    // Each action type has its own share
+    assert.equal(await campaigns.hasBudget(founders, 'message'), true);
+
+    assert.throws(() => manager([{ id: 'greedy', daily_share: 1.5 }]), /daily_share must be a number between 0 and 1/);
+  });
+});
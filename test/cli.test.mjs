@@ -0,0 +1,70 @@
+import { removeDataDir } from './helpers/env.mjs';
+import { after, describe, test } from 'node:test';
+import assert from 'node:assert/strict';
+import { execFile } from 'child_process';
+import path from 'path';
+import { fileURLToPath } from 'url';
+
+const cliPath = path.join(path.dirname(fileURLToPath(import.meta.url)), '../src/cli.mjs');
+
+/**
+ * Run the CLI in a child process sharing this file's data directory
+ * @returns {Promise<{code: number, output: *, stderr: string}>} - Exit code and the parsed JSON it printed
+ */
+function bot(...args) {
+  return new Promise(resolve => {
+    execFile(process.execPath, [cliPath, ...args], { env: process.env, timeout: 60000 }, (error, stdout, stderr) => {
+      resolve({ code: error ? error.code : 0, output: stdout ? JSON.parse(stdout) : null, stderr });
+    });
+  });
+}
+
+describe('bot CLI', () => {
+  after(() => {
+    removeDataDir();
+  });
+
+  test('queues, shows and removes profiles', { timeout: 120000 }, async () => {
+    const added = await bot('queue', 'add', 'https://www.linkedin.com/in/Jane-Founder/?trk=x', '--name', 'Jane Founder');
+    assert.equal(added.code, 0);
+    assert.equal(added.output.profileUrl, 'https://www.linkedin.com/in/jane-founder');
+    assert.equal(added.output.status, 'queued');
+
+    const listed = await bot('queue', 'list');
+    assert.deepEqual(listed.output.map(profile => profile.name), ['Jane Founder']);
+
+    const shown = await bot('contacts', 'show', 'https://www.linkedin.com/in/jane-founder');
+    assert.equal(shown.output.contact.name, 'Jane Founder');
+    assert.deepEqual(shown.output.actions, []);
+
+    assert.equal((await bot('stats')).output.queue.queueLength, 1);
+
+    assert.deepEqual((await bot('queue', 'remove', 'https://www.linkedin.com/in/jane-founder')).output, {
+      removed: 'https://www.linkedin.com/in/jane-founder'
+    });
+    assert.deepEqual((await bot('queue', 'list')).output, []);
+  });
+
+  test('clears the queue', { timeout: 120000 }, async () => {
+    await bot('queue', 'add', 'https://www.linkedin.com/in/sam-rivera');
+    await bot('queue', 'add', 'https://www.linkedin.com/in/alex-builder');
+
+    // Both were queued just now
+    assert.deepEqual((await bot('queue', 'clear', '--older-than', '7')).output, { removed: 0 });
+    assert.deepEqual((await bot('queue', 'clear')).output, { removed: 2 });
+  });
+
+  test('exits with a code saying what went wrong', { timeout: 120000 }, async () => {
+    const usage = await bot('queue', 'add', 'not-a-profile');
+    assert.equal(usage.code, 2);
+    assert.equal(usage.output, null);
+    assert.match(usage.stderr, /Not a LinkedIn profile URL/);
+
+    assert.equal((await bot('launch')).code, 2);
+    assert.equal((await bot('contacts', 'show', 'https://www.linkedin.com/in/nobody')).code, 3);
+    assert.equal((await bot('queue', 'remove', 'https://www.linkedin.com/in/nobody')).code, 3);
+
+    await bot('queue', 'add', 'https://www.linkedin.com/in/morgan-lee');
+    assert.equal((await bot('queue', 'add', 'https://www.linkedin.com/in/morgan-lee')).code, 5);
+  });
+});
@@ -0,0 +1,171 @@
+import { dataDir, removeDataDir } from './helpers/env.mjs';
+import { after, before, describe, test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs/promises';
+import path from 'path';
+import { launchFixtureBrowser } from './helpers/fixture-browser.mjs';
+import { sendOneConnectionRequest } from '../src/linkedin-bot.mjs';
+import { harvestSearchResults } from '../src/search-harvester.mjs';
+import { QueueManager } from '../src/queue-manager.mjs';
+import { contactStore, ContactStatus } from '../src/contact-store.mjs';
+import { rateLimiter } from '../src/rate-limiter.mjs';
+import { suppressionList, SuppressionType } from '../src/suppression-list.mjs';
+import { actionLog, ActionOutcome, ActionType } from '../src/action-log.mjs';
+
+const INVITATIONS_API = '/voyager/api/growth/normInvitations';
+
+describe('connection requests', () => {
+  const queueManager = new QueueManager();
+  let site;
+
+  before(async () => {
+    // No pacing and no operating hours, the fixtures answer instantly at any time of day
+    Object.assign(rateLimiter, { minActionDelay: 0, maxActionDelay: 0, operatingHoursStart: 0, operatingHoursEnd: 23 });
+
+    site = await launchFixtureBrowser([
+      { path: '/search/results/people/', respond: 'search-results.html' },
+      { path: /^\/in\/sam-rivera\/?$/, respond: 'profile-redesigned.html' },
+      { path: /^\/in\/morgan-lee\/?$/, respond: 'profile-more-menu.html' },
+      { path: /^\/in\/taylor-kim\/?$/, respond: 'profile-email-required.html' },
+      { path: /^\/in\/[^/]+\/?$/, respond: 'profile.html' },
+      { method: 'POST', path: INVITATIONS_API, respond: () => ({ status: 201, contentType: 'application/json', body: '{}' }) }
+    ]);
+    await site.signIn();
+  });
+
+  after(async () => {
+    await site?.close();
+    removeDataDir();
+  });
+
+  test('harvests search result cards into the queue', { timeout: 120000 }, async () => {
+    const added = await harvestSearchResults(site.page, queueManager, {
+      searchUrl: 'https://www.linkedin.com/search/results/people/?keywords=tech%20founder',
+      pageBudget: 1,
+      campaign: 'founders'
+    });
+
+    assert.equal(added, 2);
+
+    const queue = await queueManager.listQueue();
+    assert.deepEqual(queue.map(profile => profile.profileUrl).sort(), [
+      'https://www.linkedin.com/in/jane-founder',
+      'https://www.linkedin.com/in/sam-rivera'
+    ]);
+
+    const jane = await contactStore.get('https://www.linkedin.com/in/jane-founder');
+    assert.equal(jane.name, 'Jane Founder');
+    assert.equal(jane.headline, 'Founder at Acme Robotics');
+    assert.equal(jane.location, 'San Francisco Bay Area');
+    assert.equal(jane.connectionDegree, 2);
+    assert.equal(jane.mutualConnections, 5);
+    assert.equal(jane.urn, 'urn:li:member:1001');
+    assert.equal(jane.campaign, 'founders');
+
+    // First degree results are already connected
+    assert.equal(await contactStore.get('https://www.linkedin.com/in/alex-builder'), null);
+  });
+
+  test('sends an invitation from the profile page', { timeout: 120000 }, async () => {
+    const jane = await contactStore.get('https://www.linkedin.com/in/jane-founder');
+
+    const result = await sendOneConnectionRequest(site.page, jane);
+    assert.equal(result.type, ActionType.CONNECTION_REQUEST);
+    assert.equal(result.outcome, ActionOutcome.SENT);
+    assert.deepEqual(result.profile, { name: 'Jane Founder', profileUrl: jane.profileUrl });
+    assert.equal(result.noteSent, false);
+
+    assert.deepEqual(site.posts(INVITATIONS_API), [
+      { inviteeProfileUrn: 'urn:li:fsd_profile:ACoAAJaneFounder', customMessage: null }
+    ]);
+    assert.equal(await rateLimiter.getDailyCount('connection', 'founders'), 1);
+    assert.equal((await contactStore.get(jane.profileUrl)).noteSent, false);
+  });
+
+  test('does not count an invitation when the Connect button is not found', { timeout: 120000 }, async () => {
+    const sam = await contactStore.get('https://www.linkedin.com/in/sam-rivera');
+
+    const result = await sendOneConnectionRequest(site.page, sam);
+    assert.equal(result.outcome, ActionOutcome.SELECTOR_NOT_FOUND);
+    assert.equal(result.error, 'no_connect_button');
+
+    assert.equal(site.posts(INVITATIONS_API).length, 1);
+    assert.equal(await rateLimiter.getDailyCount('connection', 'founders'), 1);
+
+    const logs = await fs.readdir(path.join(dataDir, 'logs'));
+    assert.ok(logs.some(file => file.startsWith('profile-connect-failed_')), 'a screenshot of the profile is saved');
+    assert.equal(path.basename(result.screenshots[0]).startsWith('profile-connect-failed_'), true);
+
+    // Failed for good, it isn't tried again
+    await queueManager.markProcessed(sam, result.outcome);
+    assert.equal((await contactStore.get(sam.profileUrl)).status, ContactStatus.FAILED);
+  });
+
+  test('sends an invitation from the More menu', { timeout: 120000 }, async () => {
+    const morgan = { name: 'Morgan Lee', profileUrl: 'https://www.linkedin.com/in/morgan-lee', campaign: 'founders' };
+    await queueManager.addToQueue(morgan);
+
+    const result = await sendOneConnectionRequest(site.page, morgan);
+    assert.equal(result.outcome, ActionOutcome.SENT);
+
+    assert.equal(site.posts(INVITATIONS_API).at(-1).inviteeProfileUrn, 'urn:li:fsd_profile:ACoAAMorganLee');
+    assert.equal(await rateLimiter.getDailyCount('connection', 'founders'), 2);
+  });
+
+  test('gives up on members who require an email address', { timeout: 120000 }, async () => {
+    const taylor = { name: 'Taylor Kim', profileUrl: 'https://www.linkedin.com/in/taylor-kim', campaign: 'founders' };
+    await queueManager.addToQueue(taylor);
+
+    const result = await sendOneConnectionRequest(site.page, taylor);
+    assert.equal(result.outcome, ActionOutcome.EMAIL_REQUIRED);
+    assert.deepEqual(result.screenshots, []);
+    assert.equal(await site.page.$('.send-invite'), null, 'the invitation modal is closed');
+
+    assert.equal(site.posts(INVITATIONS_API).length, 2);
+    assert.equal(await rateLimiter.getDailyCount('connection', 'founders'), 2);
+
+    await queueManager.markProcessed(taylor, result.outcome);
+    assert.equal((await contactStore.get(taylor.profileUrl)).status, ContactStatus.FAILED);
+  });
+
+  test('does not open profiles on the do-not-contact list', { timeout: 60000 }, async () => {
+    const profile = { name: 'Chris Park', profileUrl: 'https://www.linkedin.com/in/chris-park' };
+    await suppressionList.add(SuppressionType.URL, profile.profileUrl, { reason: 'Asked not to be contacted', source: 'test' });
+
+    assert.equal((await sendOneConnectionRequest(site.page, profile)).outcome, ActionOutcome.SUPPRESSED);
+    assert.equal(site.requests.some(request => request.path.startsWith('/in/chris-park')), false);
+
+    const logged = await actionLog.list({ type: ActionType.CONNECTION_REQUEST });
+    assert.deepEqual(logged.map(result => result.outcome), [
+      ActionOutcome.SENT,
+      ActionOutcome.SELECTOR_NOT_FOUND,
+      ActionOutcome.SENT,
+      ActionOutcome.EMAIL_REQUIRED,
+      ActionOutcome.SUPPRESSED
+    ]);
+  });
+
+  test('fills in the invitation without sending it in a dry run', { timeout: 120000 }, async () => {
+    const drew = { name: 'Drew Patel', profileUrl: 'https://www.linkedin.com/in/drew-patel', campaign: 'founders' };
+    await queueManager.addToQueue(drew);
+
+    process.env.DRY_RUN = 'true';
+    let result;
+    try {
+      result = await sendOneConnectionRequest(site.page, drew);
+    } finally {
+      delete process.env.DRY_RUN;
+    }
+    assert.equal(result.outcome, ActionOutcome.DRY_RUN);
+    assert.equal(result.campaign, 'founders');
+    assert.equal(path.basename(result.screenshots[0]).startsWith('dry-run-invitation_'), true);
+    assert.equal(await site.page.$('.send-invite'), null, 'the invitation modal is closed');
+
+    assert.equal(site.posts(INVITATIONS_API).length, 2);
+    assert.equal(await rateLimiter.getDailyCount('connection', 'founders'), 2);
+
+    // Left in the queue for a real run
+    await queueManager.markProcessed(drew, result.outcome);
+    assert.equal((await contactStore.get(drew.profileUrl)).status, ContactStatus.QUEUED);
+  });
+});
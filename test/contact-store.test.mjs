@@ -0,0 +1,81 @@
+import { dataDir, removeDataDir } from './helpers/env.mjs';
+import { after, describe, test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs/promises';
+import path from 'path';
+import { ContactStore, ContactStatus } from '../src/contact-store.mjs';
+
+function contact(slug, status) {
+  return { name: slug, profileUrl: `https://www.linkedin.com/in/${slug}`, status };
+}
+
+describe('contact store', () => {
+  after(() => {
+    removeDataDir();
+  });
+
+  // Runs first, the legacy files are read from the data directory by the first store to load
+  test('imports the legacy JSON files once they can all be read', async () => {
+    const legacy = name => path.join(dataDir, name);
+    const jane = contact('jane-founder');
+    await fs.writeFile(legacy('queue.json'), JSON.stringify([{ ...jane, queuedAt: '2026-01-01T10:00:00.000Z' }]));
+    await fs.writeFile(legacy('pending.json'), '[{"profileUrl": ');
+
+    const first = new ContactStore(path.join(dataDir, 'migrated.jsonl'));
+    assert.deepEqual(await first.all(), []);
+    assert.equal(await first.getMeta('legacyJsonMigrated'), undefined);
+    await fs.access(legacy('queue.json'));
+
+    await fs.writeFile(legacy('pending.json'), JSON.stringify([{ ...jane, date: '2026-01-02T10:00:00.000Z' }]));
+    const second = new ContactStore(path.join(dataDir, 'migrated.jsonl'));
+    const imported = await second.get(jane.profileUrl);
+    assert.equal(imported.status, ContactStatus.INVITED);
+    assert.equal(imported.invitedAt, '2026-01-02T10:00:00.000Z');
+    assert.ok(await second.getMeta('legacyJsonMigrated'));
+    await fs.access(legacy('queue.json.migrated'));
+    await fs.access(legacy('pending.json.migrated'));
+  });
+
+  test('drops a torn trailing entry on load', async () => {
+    const filePath = path.join(dataDir, 'torn.jsonl');
+    const jane = contact('jane-founder', ContactStatus.QUEUED);
+    await fs.writeFile(filePath, `${JSON.stringify({ op: 'put', contact: jane })}\n{"op":"put","contact":{"profileU`);
+
+    const store = new ContactStore(filePath);
+    assert.deepEqual((await store.all()).map(record => record.name), ['jane-founder']);
+    await store.setStatus(jane.profileUrl, ContactStatus.INVITED);
+
+    const reloaded = new ContactStore(filePath);
+    assert.equal((await reloaded.get(jane.profileUrl)).status, ContactStatus.INVITED);
+  });
+
+  test('shares the journal with other processes', async () => {
+    const filePath = path.join(dataDir, 'shared.jsonl');
+    const daemon = new ContactStore(filePath);
+    const cli = new ContactStore(filePath);
+    const jane = contact('jane-founder', ContactStatus.AWAITING_APPROVAL);
+    const sam = contact('sam-rivera', ContactStatus.QUEUED);
+
+    await daemon.put(jane);
+    assert.equal((await cli.get(jane.profileUrl)).status, ContactStatus.AWAITING_APPROVAL);
+
+    // An approval from the CLI reaches the daemon without a restart
+    await cli.setStatus(jane.profileUrl, ContactStatus.QUEUED, { approved: { reviewer: 'dana' } });
+    assert.deepEqual((await daemon.listByStatus(ContactStatus.QUEUED)).map(record => record.name), ['jane-founder']);
+
+    // The daemon's next write builds on the approval
+    await daemon.update(jane.profileUrl, { campaign: 'founders' });
+    assert.deepEqual((await cli.get(jane.profileUrl)).approved, { reviewer: 'dana' });
+
+    // Compacting keeps what the other process appended, and the other process replays the new file
+    await cli.put(sam);
+    await daemon.withLock(() => daemon.compact());
+    const lines = (await fs.readFile(filePath, 'utf8')).trim().split('\n');
+    assert.deepEqual(lines.map(line => JSON.parse(line).contact?.name).filter(Boolean).sort(), ['jane-founder', 'sam-rivera']);
+    await cli.remove(sam.profileUrl);
+    assert.equal(await daemon.get(sam.profileUrl), null);
+    assert.equal((await cli.get(jane.profileUrl)).campaign, 'founders');
+
+    await assert.rejects(fs.access(`${filePath}.lock`), { code: 'ENOENT' });
+  });
+});
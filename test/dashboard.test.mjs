@@ -0,0 +1,93 @@
+import { dataDir, removeDataDir } from './helpers/env.mjs';
+import { after, before, describe, test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs/promises';
+import path from 'path';
+import { startDashboard } from '../src/dashboard-server.mjs';
+import { startScheduler } from '../src/task-scheduler.mjs';
+import { QueueManager } from '../src/queue-manager.mjs';
+import { rateLimiter } from '../src/rate-limiter.mjs';
+import { actionLog, ActionOutcome, ActionType } from '../src/action-log.mjs';
+
+const TOKEN = 'test-dashboard-token';
+
+describe('dashboard', () => {
+  const queueManager = new QueueManager();
+  let scheduler;
+  let server;
+  let origin;
+
+  before(async () => {
+    // No job runs during the test, they are scheduled on the hour
+    scheduler = startScheduler({});
+    ({ server } = await startDashboard({ port: 0, token: TOKEN, scheduler, queueManager }));
+    origin = `http://127.0.0.1:${server.address().port}`;
+
+    await queueManager.addToQueue({ name: 'Jane Founder', profileUrl: 'https://www.linkedin.com/in/jane-founder', campaign: 'founders' });
+    await rateLimiter.incrementConnectionCount('founders');
+
+    const screenshot = path.join(dataDir, 'logs', 'profile-connect-failed_2026-01-01_10-00-00.png');
+    await fs.mkdir(path.dirname(screenshot), { recursive: true });
+    await fs.writeFile(screenshot, 'png');
+    await actionLog.record({
+      type: ActionType.CONNECTION_REQUEST,
+      outcome: ActionOutcome.SELECTOR_NOT_FOUND,
+      profile: { name: 'Sam Rivera', profileUrl: 'https://www.linkedin.com/in/sam-rivera' },
+      startedAt: new Date().toISOString(),
+      screenshots: [screenshot],
+      error: 'no_connect_button'
+    });
+  });
+
+  after(() => {
+    server?.close();
+    scheduler?.stop();
+    removeDataDir();
+  });
+
+  test('asks for the token', async () => {
+    assert.equal((await fetch(`${origin}/`)).status, 401);
+    assert.equal((await fetch(`${origin}/?token=wrong`)).status, 401);
+
+    const opened = await fetch(`${origin}/?token=${TOKEN}`, { redirect: 'manual' });
+    assert.equal(opened.status, 303);
+    assert.equal(opened.headers.get('location'), '/');
+    const cookie = opened.headers.get('set-cookie').split(';')[0];
+    assert.match(cookie, /^dashboard_token=/);
+
+    assert.equal((await fetch(`${origin}/`, { headers: { Cookie: cookie } })).status, 200);
+    assert.equal((await fetch(`${origin}/`, { headers: { Cookie: 'dashboard_token=%E0%A4%A' } })).status, 401);
+  });
+
+  test('shows the queue, limits, pipeline and recent actions', async () => {
+    const auth = { Authorization: `Bearer ${TOKEN}` };
+    const html = await (await fetch(`${origin}/`, { headers: auth })).text();
+
+    assert.match(html, /1 queued, 0 awaiting approval/);
+    assert.match(html, /Next: <a href="https:\/\/www.linkedin.com\/in\/jane-founder">Jane Founder<\/a>/);
+    assert.match(html, /Connection requests<\/td><td>1 \/ 15<\/td><td>1 \/ 80/);
+    assert.match(html, /<td>queued<\/td><td>1<\/td>/);
+    assert.match(html, /selector_not_found[\s\S]*Sam Rivera[\s\S]*\/screenshots\/profile-connect-failed_2026-01-01_10-00-00\.png/);
+
+    const image = await fetch(`${origin}/screenshots/profile-connect-failed_2026-01-01_10-00-00.png`, { headers: auth });
+    assert.equal(image.headers.get('content-type'), 'image/png');
+    assert.equal(await image.text(), 'png');
+    assert.equal((await fetch(`${origin}/screenshots/..%2Fcontacts.jsonl`, { headers: auth })).status, 404);
+    assert.equal((await fetch(`${origin}/screenshots/%E0%A4%A.png`, { headers: auth })).status, 404);
+  });
+
+  test('pauses and resumes the scheduler', async () => {
+    const auth = { Authorization: `Bearer ${TOKEN}` };
+
+    const foreign = await fetch(`${origin}/pause`, { method: 'POST', headers: { ...auth, Origin: 'https://example.com' } });
+    assert.equal(foreign.status, 403);
+    assert.equal(scheduler.status().paused, false);
+
+    await fetch(`${origin}/pause`, { method: 'POST', headers: auth, redirect: 'manual' });
+    assert.equal(scheduler.status().paused, true);
+    assert.match(await (await fetch(`${origin}/`, { headers: auth })).text(), /Paused[\s\S]*Resume/);
+
+    await fetch(`${origin}/resume`, { method: 'POST', headers: auth, redirect: 'manual' });
+    assert.equal(scheduler.status().paused, false);
+  });
+});
@@ -0,0 +1,96 @@
+import { removeDataDir } from './helpers/env.mjs';
+import { after, before, describe, test } from 'node:test';
+import assert from 'node:assert/strict';
+import dayjs from 'dayjs';
+import { contactStore, ContactStatus } from '../src/contact-store.mjs';
+import { campaignManager } from '../src/campaigns.mjs';
+import { suppressionList, SuppressionType } from '../src/suppression-list.mjs';
+import { startSequences, listDueSteps, recordStepSent, recordStepFailed, SequenceEndReason } from '../src/follow-up-sequence.mjs';
+
+function contact(slug, status, fields = {}) {
+  return { name: slug, profileUrl: `https://www.linkedin.com/in/${slug}`, campaign: 'founders', status, ...fields };
+}
+
+async function dueNames() {
+  return (await listDueSteps()).map(record => record.name);
+}
+
+describe('follow-up sequence', () => {
+  before(() => {
+    campaignManager.getCampaign('founders').sequence = [
+      { template: 'Thanks for connecting, {{firstName|there}}!', delayDays: 1 },
+      { template: 'Following up, {{firstName|there}}.', delayDays: 3 }
+    ];
+  });
+
+  after(() => {
+    removeDataDir();
+  });
+
+  test('schedules each step after the one before', async () => {
+    const acceptedAt = dayjs().subtract(2, 'day').toISOString();
+    await contactStore.put(contact('jane-founder', ContactStatus.ACCEPTED, { acceptedAt }));
+    await contactStore.put(contact('sam-rivera', ContactStatus.ACCEPTED, { acceptedAt: new Date().toISOString() }));
+
+    assert.equal(await startSequences(), 2);
+    assert.equal(await startSequences(), 0, 'a started sequence is not restarted');
+
+    // The first step waits for its delay after the acceptance
+    const jane = await contactStore.get(contact('jane-founder').profileUrl);
+    assert.equal(jane.nextStepDueAt, dayjs(acceptedAt).add(1, 'day').toISOString());
+    assert.deepEqual(await dueNames(), ['jane-founder']);
+
+    const sent = await recordStepSent(jane, 'Thanks for connecting, Jane!');
+    assert.equal(sent.status, ContactStatus.MESSAGED);
+    assert.equal(sent.sequenceStep, 1);
+    assert.equal(dayjs(sent.nextStepDueAt).diff(dayjs(sent.messages[0].sentAt), 'day'), 3);
+    assert.deepEqual(await dueNames(), []);
+
+    await contactStore.update(jane.profileUrl, { nextStepDueAt: dayjs().subtract(1, 'minute').toISOString() });
+    const [due] = await listDueSteps();
+    const completed = await recordStepSent(due, 'Following up, Jane.');
+    assert.equal(completed.sequenceStep, 2);
+    assert.equal(completed.nextStepDueAt, null);
+    assert.equal(completed.sequenceEndReason, SequenceEndReason.COMPLETED);
+    assert.deepEqual(completed.messages.map(message => message.step), [1, 2]);
+  });
+
+  test('stops the sequence of a contact who replied or is on the do-not-contact list', async () => {
+    const fields = { sequenceStep: 1, nextStepDueAt: dayjs().subtract(1, 'hour').toISOString() };
+    await contactStore.put(contact('chris-park', ContactStatus.REPLIED, fields));
+    await contactStore.put(contact('morgan-lee', ContactStatus.MESSAGED, fields));
+    await contactStore.put(contact('alex-builder', ContactStatus.MESSAGED, fields));
+    await suppressionList.add(SuppressionType.URL, contact('morgan-lee').profileUrl);
+
+    assert.deepEqual(await dueNames(), ['alex-builder']);
+
+    const chris = await contactStore.get(contact('chris-park').profileUrl);
+    assert.equal(chris.sequenceEndReason, SequenceEndReason.REPLIED);
+    assert.equal(chris.nextStepDueAt, null);
+    assert.equal((await contactStore.get(contact('morgan-lee').profileUrl)).sequenceEndReason, SequenceEndReason.DO_NOT_CONTACT);
+  });
+
+  test('retries a failed step before giving up', async () => {
+    const fields = { sequenceStep: 0, stepAttempts: 0, nextStepDueAt: dayjs().subtract(1, 'hour').toISOString() };
+    await contactStore.put(contact('drew-kim', ContactStatus.ACCEPTED, fields));
+    await contactStore.put(contact('casey-wu', ContactStatus.ACCEPTED, fields));
+    const drewUrl = contact('drew-kim').profileUrl;
+
+    for (const attempt of [1, 2]) {
+      const retried = await recordStepFailed(await contactStore.get(drewUrl), 'Composer did not open');
+      assert.equal(retried.stepAttempts, attempt);
+      assert.ok(dayjs(retried.nextStepDueAt).isAfter(dayjs().add(50, 'minute')), 'the retry waits');
+      assert.equal(retried.sequenceEndReason, undefined);
+    }
+
+    const given = await recordStepFailed(await contactStore.get(drewUrl), 'Composer did not open');
+    assert.equal(given.stepAttempts, 3);
+    assert.equal(given.nextStepDueAt, null);
+    assert.equal(given.sequenceEndReason, SequenceEndReason.SEND_FAILED);
+
+    // A permanent failure isn't retried
+    const casey = await recordStepFailed(await contactStore.get(contact('casey-wu').profileUrl), 'No Message button', { permanent: true });
+    assert.equal(casey.stepAttempts, 1);
+    assert.equal(casey.sequenceEndReason, SequenceEndReason.SEND_FAILED);
+  });
+});
@@ -0,0 +1,136 @@
+import { dataDir, removeDataDir } from './helpers/env.mjs';
+import { after, before, describe, test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs/promises';
+import path from 'path';
+import dayjs from 'dayjs';
+import { launchFixtureBrowser } from './helpers/fixture-browser.mjs';
+import { sendOneFollowUpMessage } from '../src/linkedin-bot.mjs';
+import { contactStore, ContactStatus } from '../src/contact-store.mjs';
+import { campaignManager } from '../src/campaigns.mjs';
+import { rateLimiter } from '../src/rate-limiter.mjs';
+import { SequenceEndReason } from '../src/follow-up-sequence.mjs';
+import { ActionOutcome } from '../src/action-log.mjs';
+
+const MESSAGING_API = '/voyager/api/messaging/conversations';
+
+/**
+ * Store a contact that accepted the invitation two days ago
+ */
+function acceptedContact(name, slug) {
+  return contactStore.put({
+    name,
+    profileUrl: `https://www.linkedin.com/in/${slug}`,
+    campaign: 'founders',
+    status: ContactStatus.ACCEPTED,
+    acceptedAt: dayjs().subtract(2, 'day').toISOString()
+  });
+}
+
+describe('follow-up messages', () => {
+  let site;
+
+  before(async () => {
+    site = await launchFixtureBrowser([
+      { path: /^\/in\/sam-rivera\/?$/, respond: 'profile-redesigned.html' },
+      { path: /^\/in\/[^/]+\/?$/, respond: 'profile.html' },
+      { method: 'POST', path: MESSAGING_API, respond: () => ({ status: 201, contentType: 'application/json', body: '{}' }) }
+    ]);
+    await site.signIn();
+  });
+
+  after(async () => {
+    await site?.close();
+    removeDataDir();
+  });
+
+  test('sends the due sequence step from the profile page', { timeout: 120000 }, async () => {
+    const jane = await acceptedContact('Jane Founder', 'jane-founder');
+    const expected = campaignManager.renderSequenceStep(jane, 0);
+
+    const result = await sendOneFollowUpMessage(site.page);
+    assert.equal(result.outcome, ActionOutcome.SENT);
+    assert.equal(result.profile.profileUrl, jane.profileUrl);
+    assert.equal(result.step, 1);
+
+    assert.deepEqual(site.posts(MESSAGING_API), [{ recipient: 'urn:li:fsd_profile:ACoAAJaneFounder', text: expected }]);
+    assert.equal(await rateLimiter.getDailyCount('message', 'founders'), 1);
+
+    const contact = await contactStore.get(jane.profileUrl);
+    assert.equal(contact.status, ContactStatus.MESSAGED);
+    assert.equal(contact.sequenceStep, 1);
+    assert.deepEqual(contact.messages.map(message => message.text), [expected]);
+  });
+
+  test('ends the sequence when the profile has no Message button', { timeout: 120000 }, async () => {
+    const sam = await acceptedContact('Sam Rivera', 'sam-rivera');
+
+    assert.equal((await sendOneFollowUpMessage(site.page)).outcome, ActionOutcome.SELECTOR_NOT_FOUND);
+
+    assert.equal(site.posts(MESSAGING_API).length, 1);
+
+    const contact = await contactStore.get(sam.profileUrl);
+    assert.equal(contact.status, ContactStatus.ACCEPTED);
+    assert.equal(contact.sequenceEndReason, SequenceEndReason.SEND_FAILED);
+    assert.equal(contact.lastStepError, 'No Message button on profile');
+    assert.equal(contact.nextStepDueAt, null);
+  });
+
+  test('tries again while a message does not show up in the conversation', { timeout: 120000 }, async () => {
+    site.use({ method: 'POST', path: MESSAGING_API, respond: () => ({ status: 500, contentType: 'application/json', body: '{}' }) });
+    const casey = await acceptedContact('Casey Ng', 'casey-ng');
+    const expected = campaignManager.renderSequenceStep(casey, 0);
+
+    const result = await sendOneFollowUpMessage(site.page);
+    assert.equal(result.outcome, ActionOutcome.UNCONFIRMED);
+    assert.equal(result.attempts, 3);
+
+    // The draft left by each failed attempt is cleared before the next one
+    assert.deepEqual(site.posts(MESSAGING_API).slice(1).map(post => post.text), [expected, expected, expected]);
+    assert.equal(await rateLimiter.getDailyCount('message', 'founders'), 1);
+
+    const logs = await fs.readdir(path.join(dataDir, 'logs'));
+    assert.ok(logs.some(file => file.startsWith('follow-up-error_')), 'a screenshot of the conversation is saved');
+
+    const contact = await contactStore.get(casey.profileUrl);
+    assert.equal(contact.status, ContactStatus.ACCEPTED);
+    assert.equal(contact.sequenceStep ?? 0, 0);
+    assert.equal(contact.lastStepError, 'Message not sent: not_delivered');
+    assert.ok(contact.nextStepDueAt, 'the step is tried again later');
+  });
+
+  test('sends nothing when no step is due', { timeout: 60000 }, async () => {
+    const visited = site.requests.length;
+
+    assert.equal((await sendOneFollowUpMessage(site.page)).outcome, ActionOutcome.NOTHING_DUE);
+    assert.equal(site.requests.length, visited);
+  });
+
+  test('writes the message without sending it in a dry run', { timeout: 120000 }, async () => {
+    const drew = await acceptedContact('Drew Patel', 'drew-patel');
+    const expected = campaignManager.renderSequenceStep(drew, 0);
+    const posted = site.posts(MESSAGING_API).length;
+
+    process.env.DRY_RUN = 'true';
+    let result;
+    try {
+      result = await sendOneFollowUpMessage(site.page);
+    } finally {
+      delete process.env.DRY_RUN;
+    }
+    assert.equal(result.outcome, ActionOutcome.DRY_RUN);
+    assert.equal(result.profile.profileUrl, drew.profileUrl);
+    assert.equal(result.message, expected);
+    assert.equal(result.campaign, 'founders');
+    assert.equal(path.basename(result.screenshots[0]).startsWith('dry-run-message_'), true);
+
+    assert.equal(site.posts(MESSAGING_API).length, posted);
+    assert.equal(await rateLimiter.getDailyCount('message', 'founders'), 1);
+    assert.equal(await site.page.$eval('div.msg-form__contenteditable', el => el.innerText.trim()), '', 'the draft is discarded');
+
+    // Still due, a real run sends it
+    const contact = await contactStore.get(drew.profileUrl);
+    assert.equal(contact.status, ContactStatus.ACCEPTED);
+    assert.equal(contact.sequenceStep ?? 0, 0);
+  });
+});
@@ -0,0 +1,24 @@
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+
+// Import this before any module from src, they resolve their state files when first loaded.
+// Every test file runs in its own process and gets a fresh data directory.
+export const dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'linkedin-bot-test-'));
+
+process.env.BOT_DATA_DIR = dataDir;
+process.env.USE_AI = 'false';
+process.env.USE_PROXY = 'false';
+
+// The fixture browser answers for the real hostname, a mock base URL from the environment or .env must not apply
+process.env.LINKEDIN_BASE_URL = 'https://www.linkedin.com';
+
+// The OpenAI client is created at startup and refuses to construct without a key, it is never called
+process.env.OPENAI_API_KEY = process.env.OPENAI_API_KEY || 'test-key';
+
+/**
+ * Delete the data directory, call from the file's after() hook
+ */
+export function removeDataDir() {
+  fs.rmSync(dataDir, { recursive: true, force: true });
+}
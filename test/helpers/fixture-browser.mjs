@@ -0,0 +1,140 @@
+import fs from 'fs/promises';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import puppeteer from 'puppeteer';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+const fixturesDir = path.join(__dirname, '../fixtures');
+const repoRoot = path.join(__dirname, '../..');
+
+export const LINKEDIN_URL = 'https://www.linkedin.com';
+
+/**
+ * Path of a fixture page. Pages captured from LinkedIn live in the repo root.
+ * @param {string} name - File name in test/fixtures, or a captured page like verification-page.html
+ * @returns {string} - Absolute path
+ */
+export function fixturePath(name) {
+  return ['login-check.html', 'verification-page.html'].includes(name) ?
+    path.join(repoRoot, name) :
+    path.join(fixturesDir, name);
+}
+
+/**
+ * Serve a fixture file as an HTML response
+ * @param {string} name - Fixture file name
+ * @param {Object} [response] - Extra response fields, e.g. status or headers
+ */
+export async function servePage(name, response = {}) {
+  return { status: 200, contentType: 'text/html; charset=utf-8', body: await fs.readFile(fixturePath(name)), ...response };
+}
+
+/**
+ * Redirect response, with optional Set-Cookie headers
+ * @param {string} pathname - Path on LinkedIn to redirect to
+ * @param {string[]} [cookies] - Set-Cookie header values
+ */
+export function redirect(pathname, cookies = []) {
+  const headers = { location: new URL(pathname, LINKEDIN_URL).href };
+  if (cookies.length > 0) {
+    headers['set-cookie'] = cookies;
+  }
+  return { status: 302, headers, body: '' };
+}
+
+/**
+ * Whether a route matches a request
+ */
+function matches(route, method, url) {
+  if ((route.method || 'GET') !== method) {
+    return false;
+  }
+  return route.path instanceof RegExp ? route.path.test(url.pathname) : route.path === url.pathname;
+}
+
+/**
+ * Launch a headless browser whose requests never leave the machine. Requests to LinkedIn are
+ * answered from the route table, everything else (CDNs, trackers) gets an empty 404.
+ * @param {Object[]} routes - Routes matched in order, later use() calls take precedence
+ * @param {string} [routes[].method] - HTTP method, GET by default
+ * @param {string|RegExp} routes[].path - Exact pathname or pattern tested against it
+ * @param {string|Function} routes[].respond - Fixture file name, or a function of the request returning a response
+ * @returns {Promise<Object>} - { browser, page, requests, use, posts, signIn, close }
+ */
+export async function launchFixtureBrowser(routes = []) {
+  const browser = await puppeteer.launch({
+    headless: true,
+    executablePath: process.env.EXEC_PATH || null,
+    args: ['--no-sandbox', '--disable-setuid-sandbox', '--disable-dev-shm-usage', '--disable-gpu']
+  });
+  const page = await browser.newPage();
+  const table = [...routes];
+  const requests = [];
+
+  await page.setRequestInterception(true);
+  page.on('request', async request => {
+    const url = new URL(request.url());
+    const method = request.method();
+
+    if (!url.hostname.endsWith('linkedin.com')) {
+      return request.respond({ status: 404, body: '' });
+    }
+
+    requests.push({ method, url: url.href, path: url.pathname, postData: request.postData() || null });
+
+    const route = table.find(candidate => matches(candidate, method, url));
+    if (!route) {
+      return request.respond({ status: 404, contentType: 'text/html', body: '<html><body>Not found</body></html>' });
+    }
+
+    try {
+      const response = typeof route.respond === 'function' ? await route.respond(request, url) : await servePage(route.respond);
+      await request.respond(response);
+    } catch (error) {
+      await request.respond({ status: 500, contentType: 'text/plain', body: error.message });
+    }
+  });
+
+  return {
+    browser,
+    page,
+    requests,
+
+    /**
+     * Add routes that take precedence over the existing ones
+     */
+    use(...extra) {
+      table.unshift(...extra);
+    },
+
+    /**
+     * Parsed JSON bodies of the POST requests made to a path
+     */
+    posts(pathname) {
+      return requests
+        .filter(request => request.method === 'POST' && request.path === pathname)
+        .map(request => JSON.parse(request.postData || 'null'));
+    },
+
+    /**
+     * Give the browser the session cookies LinkedIn sets on login
+     */
+    async signIn() {
+      await page.setCookie(
+        { name: 'li_at', value: 'fixture-session', domain: '.linkedin.com', path: '/', secure: true, httpOnly: true },
+        { name: 'JSESSIONID', value: '"ajax:0000000000000000000"', domain: '.www.linkedin.com', path: '/', secure: true }
+      );
+    },
+
+    async signOut() {
+      const cookies = await page.cookies(LINKEDIN_URL);
+      await page.deleteCookie(...cookies);
+    },
+
+    async close() {
+      await browser.close();
+    }
+  };
+}
@@ -0,0 +1,109 @@
+import { removeDataDir } from './helpers/env.mjs';
+import { after, describe, mock, test } from 'node:test';
+import assert from 'node:assert/strict';
+import dayjs from 'dayjs';
+import { syncInbox, parseMessageTime } from '../src/inbox-sync.mjs';
+import { MessagingPage } from '../src/pages/messaging-page.mjs';
+import { contactStore, ContactStatus } from '../src/contact-store.mjs';
+import { suppressionList } from '../src/suppression-list.mjs';
+import { SequenceEndReason } from '../src/follow-up-sequence.mjs';
+
+function profileUrl(slug) {
+  return `https://www.linkedin.com/in/${slug}`;
+}
+
+// What the messaging page reads from the inbox, keyed by thread URL
+const threads = {
+  '/messaging/thread/2-jane/': {
+    row: { name: 'Jane Founder', snippet: 'Jane: Happy to chat next week', time: '9:30 AM', unread: true },
+    participantUrl: profileUrl('jane-founder'),
+    messages: [
+      { senderName: 'You', senderHref: profileUrl('me'), text: 'Thanks for connecting, Jane!' },
+      { senderName: 'Jane Founder', senderHref: profileUrl('jane-founder'), text: 'Happy to chat next week' }
+    ]
+  },
+  // Linked by member id, the contact is found by name
+  '/messaging/thread/2-morgan/': {
+    row: { name: 'Morgan Lee', snippet: 'Morgan: Please remove me from your list', time: '8:15 AM', unread: false },
+    participantUrl: null,
+    messages: [{ senderName: 'Morgan Lee', senderHref: '', text: 'Please remove me from your list' }]
+  },
+  '/messaging/thread/2-stranger/': {
+    row: { name: 'Pat Recruiter', snippet: 'Pat: Open to new roles?', time: '7:00 AM', unread: true },
+    participantUrl: profileUrl('pat-recruiter'),
+    messages: [{ senderName: 'Pat Recruiter', senderHref: profileUrl('pat-recruiter'), text: 'Open to new roles?' }]
+  },
+  // We had the last word long before the last sync
+  '/messaging/thread/2-sam/': {
+    row: { name: 'Sam Rivera', snippet: 'You: Great talking to you', time: 'Mar 3, 2025', unread: false },
+    participantUrl: profileUrl('sam-rivera'),
+    messages: []
+  }
+};
+
+function mockMessagingPage() {
+  let openUrl = null;
+  mock.method(MessagingPage.prototype, 'open', async () => true);
+  mock.method(MessagingPage.prototype, 'listThreads', async () =>
+    Object.entries(threads).map(([threadUrl, { row }]) => ({ threadUrl, ...row })));
+  const openThread = mock.method(MessagingPage.prototype, 'openThread', async threadUrl => {
+    openUrl = threadUrl;
+    return { participantUrl: threads[threadUrl].participantUrl };
+  });
+  mock.method(MessagingPage.prototype, 'readMessages', async () =>
+    threads[openUrl].messages.map(message => ({ heading: 'Today', time: '8:00 AM', ...message })));
+  return openThread;
+}
+
+describe('reply detection', () => {
+  after(() => {
+    mock.restoreAll();
+    removeDataDir();
+  });
+
+  test('reads the day and time of a message', () => {
+    // A Wednesday
+    const now = new Date(2026, 5, 10, 12, 0);
+    const at = (heading, time) => dayjs(parseMessageTime(heading, time, now)).format('YYYY-MM-DD HH:mm');
+
+    assert.equal(at('Today', '10:42 AM'), '2026-06-10 10:42');
+    assert.equal(at('Yesterday', '9:05 PM'), '2026-06-09 21:05');
+    assert.equal(at('Monday', '12:15 PM'), '2026-06-08 12:15');
+    assert.equal(at('Wednesday', '12:00 AM'), '2026-06-03 00:00', 'a weekday heading is never today');
+    assert.equal(at('Jun 3', '14:20'), '2026-06-03 14:20');
+    assert.equal(at('Dec 28', '8:00 AM'), '2025-12-28 08:00', 'a day later in the year is from last year');
+    assert.equal(at('Jun 3, 2024', ''), '2024-06-03 00:00');
+    assert.equal(parseMessageTime('Someday', '8:00 AM', now), null);
+  });
+
+  test('marks contacts who replied and stops their sequence', async () => {
+    const nextStepDueAt = dayjs().add(2, 'day').toISOString();
+    await contactStore.put({ name: 'Jane Founder', profileUrl: profileUrl('jane-founder'), status: ContactStatus.MESSAGED, sequenceStep: 1, nextStepDueAt });
+    await contactStore.put({ name: 'Morgan Lee', profileUrl: profileUrl('morgan-lee'), status: ContactStatus.ACCEPTED });
+    await contactStore.put({ name: 'Sam Rivera', profileUrl: profileUrl('sam-rivera'), status: ContactStatus.MESSAGED });
+    await contactStore.setMeta('inboxSyncedAt', dayjs().subtract(1, 'hour').toISOString());
+    const openThread = mockMessagingPage();
+
+    assert.deepEqual(await syncInbox(null), { threads: 2, replied: 2, optedOut: 1 });
+    assert.deepEqual(openThread.mock.calls.map(call => call.arguments[0]),
+      ['/messaging/thread/2-jane/', '/messaging/thread/2-morgan/', '/messaging/thread/2-stranger/']);
+
+    // Only the contact's own messages count as replies
+    const jane = await contactStore.get(profileUrl('jane-founder'));
+    assert.equal(jane.status, ContactStatus.REPLIED);
+    assert.deepEqual(jane.inboundMessages.map(message => message.text), ['Happy to chat next week']);
+    assert.equal(jane.nextStepDueAt, null);
+    assert.equal(jane.sequenceEndReason, SequenceEndReason.REPLIED);
+
+    const morgan = await contactStore.get(profileUrl('morgan-lee'));
+    assert.equal(morgan.status, ContactStatus.REPLIED);
+    assert.equal(morgan.sequenceEndReason, undefined, 'no sequence was running');
+    assert.equal(await suppressionList.isSuppressed(morgan), true);
+
+    assert.equal((await contactStore.get(profileUrl('sam-rivera'))).status, ContactStatus.MESSAGED);
+
+    // Messages stored by the last sync are not stored or counted again
+    assert.deepEqual(await syncInbox(null), { threads: 2, replied: 0, optedOut: 0 });
+    assert.equal((await contactStore.get(profileUrl('jane-founder'))).inboundMessages.length, 1);
+  });
+});
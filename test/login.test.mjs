@@ -0,0 +1,106 @@
+import { removeDataDir } from './helpers/env.mjs';
+import { after, before, describe, test } from 'node:test';
+import assert from 'node:assert/strict';
+import { launchFixtureBrowser, servePage, redirect, LINKEDIN_URL } from './helpers/fixture-browser.mjs';
+import { checkIfLoggedIn, loginWithCredentials } from '../src/linkedin-bot.mjs';
+
+const PASSWORD = 'correct-horse';
+const CHECKPOINT_PASSWORD = 'asks-for-checkpoint';
+
+/**
+ * Answer the login form like LinkedIn: the feed with session cookies, a checkpoint, or the form again with an error
+ */
+function submitLogin(request) {
+  const form = new URLSearchParams(request.postData());
+  if (form.get('session_password') === PASSWORD) {
+    return redirect('/feed/', [
+      'li_at=fixture-session; Domain=.linkedin.com; Path=/; Secure; HttpOnly',
+      'JSESSIONID="ajax:0000000000000000000"; Domain=.www.linkedin.com; Path=/; Secure'
+    ]);
+  }
+  if (form.get('session_password') === CHECKPOINT_PASSWORD) {
+    return redirect('/checkpoint/challenge/AgFixtureChallenge?ut=fixture');
+  }
+  return servePage('login-error.html');
+}
+
+describe('login', () => {
+  let site;
+
+  before(async () => {
+    site = await launchFixtureBrowser([
+      { path: '/', respond: 'login-check.html' },
+      { path: '/feed/', respond: 'feed.html' },
+      { path: '/login', respond: 'login.html' },
+      { method: 'POST', path: '/checkpoint/lg/login-submit', respond: submitLogin },
+      { path: /^\/checkpoint\/challenge\//, respond: 'verification-page.html' }
+    ]);
+  });
+
+  after(async () => {
+    await site?.close();
+    removeDataDir();
+  });
+
+  describe('checkIfLoggedIn', () => {
+    test('recognizes the feed of a signed-in session', { timeout: 60000 }, async () => {
+      await site.signIn();
+      await site.page.goto(`${LINKEDIN_URL}/feed/`, { waitUntil: 'domcontentloaded' });
+
+      assert.equal(await checkIfLoggedIn(site.page), true);
+    });
+
+    test('treats the guest homepage without session cookies as signed out', { timeout: 60000 }, async () => {
+      await site.signOut();
+      await site.page.goto(`${LINKEDIN_URL}/`, { waitUntil: 'domcontentloaded' });
+
+      assert.equal(await checkIfLoggedIn(site.page), false);
+    });
+
+    test('treats the login page as signed out', { timeout: 60000 }, async () => {
+      await site.signIn();
+      await site.page.goto(`${LINKEDIN_URL}/login`, { waitUntil: 'domcontentloaded' });
+
+      assert.equal(await checkIfLoggedIn(site.page), false);
+    });
+
+    test('treats a checkpoint challenge as signed out', { timeout: 60000 }, async () => {
+      await site.signIn();
+      await site.page.goto(`${LINKEDIN_URL}/checkpoint/challenge/AgFixtureChallenge`, { waitUntil: 'domcontentloaded' });
+
+      assert.equal(await checkIfLoggedIn(site.page), false);
+    });
+  });
+
+  describe('loginWithCredentials', () => {
+    test('signs in and lands on the feed', { timeout: 120000 }, async () => {
+      await site.signOut();
+
+      assert.equal(await loginWithCredentials(site.page, 'jane@example.com', PASSWORD), true);
+      assert.equal(new URL(site.page.url()).pathname, '/feed/');
+
+      const [submitted] = site.requests.filter(request => request.method === 'POST' && request.path === '/checkpoint/lg/login-submit');
+      const form = new URLSearchParams(submitted.postData);
+      assert.equal(form.get('session_key'), 'jane@example.com');
+      assert.equal(form.get('session_password'), PASSWORD);
+    });
+
+    test('reports the error LinkedIn shows for a wrong password', { timeout: 120000 }, async () => {
+      await site.signOut();
+
+      await assert.rejects(
+        loginWithCredentials(site.page, 'jane@example.com', 'wrong-password'),
+        /Login failed: That's not the right password/
+      );
+    });
+
+    test('stops at a checkpoint that needs manual verification', { timeout: 120000 }, async () => {
+      await site.signOut();
+
+      await assert.rejects(
+        loginWithCredentials(site.page, 'jane@example.com', CHECKPOINT_PASSWORD),
+        /Manual security verification required/
+      );
+    });
+  });
+});
@@ -0,0 +1,64 @@
+import { removeDataDir } from './helpers/env.mjs';
+import { after, describe, test } from 'node:test';
+import assert from 'node:assert/strict';
+import { buildTemplateContext, validateTemplate, renderTemplate, trimToWordBoundary } from '../src/message-template.mjs';
+
+// Picks the first variant of every spintax group
+const first = () => 0;
+// Picks the last variant of every spintax group
+const last = () => 0.999;
+
+describe('message templates', () => {
+  const context = buildTemplateContext({ name: 'Jane Founder', headline: 'CEO at Acme | Investor' }, { name: 'Tech founders' });
+
+  after(() => {
+    removeDataDir();
+  });
+
+  test('builds variables from the profile', () => {
+    assert.equal(context.firstName, 'Jane');
+    assert.equal(context.lastName, 'Founder');
+    assert.equal(context.company, 'Acme');
+    assert.equal(context.campaign, 'Tech founders');
+    assert.equal(buildTemplateContext({ name: 'Unknown' }).firstName, undefined);
+  });
+
+  test('renders variables and defaults', () => {
+    assert.equal(renderTemplate('Hi {{firstName}} from {{ company }}', context), 'Hi Jane from Acme');
+    assert.equal(renderTemplate('Hi {{location|there}}', context), 'Hi there');
+    assert.throws(() => renderTemplate('Hi {{location}}, {{mutualCount}}', context), /Unresolved template variables: location, mutualCount/);
+  });
+
+  test('renders sections by whether their variable has a value', () => {
+    const template = 'Hi {{firstName}}{{#company}}, how is {{company}}?{{/company}}{{^location}} Where are you based?{{/location}}';
+    assert.equal(renderTemplate(template, context), 'Hi Jane, how is Acme? Where are you based?');
+    assert.equal(renderTemplate('Hi {{#location}}{{location}} {{/location}}friend', context), 'Hi friend');
+  });
+
+  test('picks spintax variants, nested ones included', () => {
+    assert.equal(renderTemplate('{Hi|Hello} {{firstName}}', context, first), 'Hi Jane');
+    assert.equal(renderTemplate('{Hi|Hello} {{firstName}}', context, last), 'Hello Jane');
+    assert.equal(renderTemplate('a {b|{c|d}} e', context, last), 'a d e');
+    assert.equal(renderTemplate('a {{b|c}|d} e', context, first), 'a b e');
+    assert.equal(renderTemplate('{Hi {{firstName}}|Hello {x|{{firstName}}}}!', context, last), 'Hello Jane!');
+    // A missing variable only fails the render when its variant is picked
+    assert.equal(renderTemplate('{Hi|Hi {{location}}}', context, first), 'Hi');
+    assert.throws(() => renderTemplate('{Hi|Hi {{location}}}', context, last), /location/);
+  });
+
+  test('validates templates', () => {
+    assert.deepEqual(validateTemplate('Hi {{firstName|there}}, {a|{b|c}}!'), []);
+    assert.deepEqual(validateTemplate(''), ['Template is empty']);
+    assert.deepEqual(validateTemplate('Hi {{nickname}}'), ['Unknown variable: nickname']);
+    assert.deepEqual(validateTemplate('Hi {{}}'), ['Empty {{ }} tag']);
+    assert.deepEqual(validateTemplate('{{#company}}at {{company}}'), ['Section {{#company}} is never closed']);
+    assert.deepEqual(validateTemplate('{{#company}}x{{/location}}'), ['Section {{#company}} closed by {{/location}}']);
+    assert.deepEqual(validateTemplate('{Hi|Hello'), ['Unbalanced { } in spintax']);
+  });
+
+  test('trims on a word boundary', () => {
+    assert.equal(trimToWordBoundary('Hi Jane, nice to meet you', 12), 'Hi Jane');
+    assert.equal(trimToWordBoundary('short', 12), 'short');
+    assert.equal(trimToWordBoundary('Supercalifragilistic', 5), null);
+  });
+});
@@ -0,0 +1,119 @@
+import { removeDataDir } from './helpers/env.mjs';
+import { after, before, describe, test } from 'node:test';
+import assert from 'node:assert/strict';
+import { launchFixtureBrowser, LINKEDIN_URL } from './helpers/fixture-browser.mjs';
+import { PageFailure } from '../src/pages/base-page.mjs';
+import { SearchResultsPage } from '../src/pages/search-results-page.mjs';
+import { ProfilePage } from '../src/pages/profile-page.mjs';
+import { InvitationManagerPage } from '../src/pages/invitation-manager-page.mjs';
+import { MessagingPage } from '../src/pages/messaging-page.mjs';
+import { MESSAGE_LIMIT } from '../src/message-composer.mjs';
+
+const MESSAGING_API = '/voyager/api/messaging/conversations';
+
+describe('page objects', () => {
+  let site;
+
+  before(async () => {
+    site = await launchFixtureBrowser([
+      { path: '/search/results/people/', respond: 'search-results.html' },
+      { path: /^\/in\/sam-rivera\/?$/, respond: 'profile-redesigned.html' },
+      { path: /^\/in\/alex-builder\/?$/, respond: 'profile-connected.html' },
+      { path: /^\/in\/casey-ng\/?$/, respond: 'profile-pending.html' },
+      { path: /^\/in\/drew-patel\/?$/, respond: 'profile-withdrawn.html' },
+      { path: /^\/in\/robin-shaw\/?$/, respond: 'profile-follow-only.html' },
+      { path: '/mynetwork/invitation-manager/sent/', respond: 'sent-invitations.html' },
+      { path: '/messaging/', respond: 'messaging.html' },
+      { path: '/messaging/thread/2-jane/', respond: 'messaging-thread-jane.html' },
+      { method: 'POST', path: MESSAGING_API, respond: () => ({ status: 201, contentType: 'application/json', body: '{}' }) }
+    ]);
+    await site.signIn();
+  });
+
+  after(async () => {
+    await site?.close();
+    removeDataDir();
+  });
+
+  test('lists search results as shown on the cards', { timeout: 60000 }, async () => {
+    const resultsPage = new SearchResultsPage(site.page);
+    assert.equal(await resultsPage.open('https://www.linkedin.com/search/results/people/?keywords=founder'), true);
+
+    const results = await resultsPage.listResults();
+    assert.deepEqual(results.map(result => result.name), ['Jane Founder', 'Sam Rivera', 'Alex Builder']);
+    assert.equal(results[0].href, `${LINKEDIN_URL}/in/jane-founder?miniProfileUrn=urn%3Ali%3Afs_miniProfile%3AACoAAJaneFounder`);
+    assert.equal(results[0].degree, '• 2nd');
+  });
+
+  test('reports why an invitation could not be sent', { timeout: 60000 }, async () => {
+    const profilePage = new ProfilePage(site.page);
+    assert.equal(await profilePage.open('https://www.linkedin.com/in/sam-rivera'), true);
+
+    assert.deepEqual(await profilePage.connect(), { sent: false, noteSent: false, reason: PageFailure.NO_CONNECT_BUTTON });
+  });
+
+  test('tells profiles that do not take invitations apart', { timeout: 120000 }, async () => {
+    const profilePage = new ProfilePage(site.page);
+    const expected = {
+      'alex-builder': PageFailure.ALREADY_CONNECTED,
+      'casey-ng': PageFailure.INVITATION_PENDING,
+      'drew-patel': PageFailure.RECENTLY_WITHDRAWN,
+      'robin-shaw': PageFailure.FOLLOW_ONLY
+    };
+
+    for (const [slug, reason] of Object.entries(expected)) {
+      assert.equal(await profilePage.open(`https://www.linkedin.com/in/${slug}`, { settleMs: 0 }), true);
+      assert.equal((await profilePage.connect()).reason, reason, slug);
+    }
+  });
+
+  test('lists pending invitations', { timeout: 60000 }, async () => {
+    const invitationsPage = new InvitationManagerPage(site.page);
+    assert.equal(await invitationsPage.open(), true);
+
+    const invitations = await invitationsPage.listInvitations();
+    assert.deepEqual(invitations.map(({ profileUrl, name, sent }) => ({ profileUrl, name, sent })), [
+      { profileUrl: 'https://www.linkedin.com/in/sam-rivera', name: 'Sam Rivera', sent: 'Sent 3 weeks ago' }
+    ]);
+  });
+
+  test('reads threads and their messages', { timeout: 60000 }, async () => {
+    const messagingPage = new MessagingPage(site.page);
+    assert.equal(await messagingPage.open(), true);
+
+    const threads = await messagingPage.listThreads();
+    assert.equal(threads.length, 4);
+    assert.deepEqual(threads[0], {
+      threadUrl: `${LINKEDIN_URL}/messaging/thread/2-jane/`,
+      name: 'Jane Founder',
+      snippet: 'Jane: Thanks for reaching out, happy to chat next week.'
+    });
+
+    const { participantUrl } = await messagingPage.openThread(threads[0].threadUrl);
+    assert.equal(participantUrl, 'https://www.linkedin.com/in/jane-founder');
+
+    const messages = await messagingPage.readMessages();
+    assert.deepEqual(messages.map(message => [message.senderName, message.text]), [
+      ['Pat Sender', 'Hey there! Thanks for connecting.'],
+      ['Jane Founder', 'Thanks for reaching out, happy to chat next week.']
+    ]);
+  });
+
+  test('writes multi-line messages without sending them early', { timeout: 60000 }, async () => {
+    const messagingPage = new MessagingPage(site.page);
+    await messagingPage.openThread(`${LINKEDIN_URL}/messaging/thread/2-jane/`);
+
+    const text = 'Hi Jane,\nGreat to meet you 🚀\n\nTalk soon';
+    assert.deepEqual(await messagingPage.sendMessage(text), { sent: true, attempts: 1 });
+
+    const posts = site.posts(MESSAGING_API);
+    assert.equal(posts.length, 1);
+    assert.deepEqual(posts[0].text.split('\n').filter(Boolean), ['Hi Jane,', 'Great to meet you 🚀', 'Talk soon']);
+
+    assert.deepEqual(await messagingPage.sendMessage('x'.repeat(MESSAGE_LIMIT + 1)), {
+      sent: false,
+      attempts: 0,
+      reason: PageFailure.MESSAGE_TOO_LONG
+    });
+  });
+});
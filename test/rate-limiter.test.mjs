@@ -0,0 +1,48 @@
+import { dataDir, removeDataDir } from './helpers/env.mjs';
+import { after, describe, test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs/promises';
+import path from 'path';
+import { RateLimiter } from '../src/rate-limiter.mjs';
+
+describe('rate limiter', () => {
+  after(() => {
+    removeDataDir();
+  });
+
+  test('shares its counts with other processes', async () => {
+    const filePath = path.join(dataDir, 'shared-state.json');
+    const daemon = new RateLimiter(filePath);
+    const cli = new RateLimiter(filePath);
+
+    await daemon.incrementConnectionCount('founders');
+    await cli.incrementConnectionCount('founders');
+    await Promise.all([daemon.incrementMessageCount(), cli.incrementMessageCount()]);
+
+    // Neither process writes over what the other recorded
+    const { actions } = JSON.parse(await fs.readFile(filePath, 'utf8'));
+    assert.equal(actions.length, 4);
+    assert.equal(await daemon.getDailyCount('connection', 'founders'), 2);
+    assert.equal((await cli.getStatus()).messages.today, 2);
+
+    // The daily limit counts the other process's sends too
+    daemon.dailyConnectionLimit = 2;
+    daemon.operatingHoursStart = 0;
+    daemon.operatingHoursEnd = 23;
+    assert.equal(await daemon.checkConnectionLimit(), false);
+
+    await assert.rejects(fs.access(`${filePath}.lock`), { code: 'ENOENT' });
+  });
+
+  test('drops actions older than a week', async () => {
+    const filePath = path.join(dataDir, 'expired-state.json');
+    const old = new Date(Date.now() - 8 * 24 * 3600000).toISOString();
+    await fs.writeFile(filePath, JSON.stringify({ actions: [{ type: 'connection', at: old }] }));
+
+    const limiter = new RateLimiter(filePath);
+    assert.equal((await limiter.getStatus()).connections.week, 0);
+    await limiter.incrementConnectionCount();
+    const { actions } = JSON.parse(await fs.readFile(filePath, 'utf8'));
+    assert.deepEqual(actions.map(action => action.at === old), [false]);
+  });
+});
@@ -0,0 +1,79 @@
+import { removeDataDir } from './helpers/env.mjs';
+import { after, afterEach, describe, test } from 'node:test';
+import assert from 'node:assert/strict';
+import { Route, baseUrl, linkedinUrl, toLinkedInUrl, isLinkedInUrl, isLinkedInCookie, isRealLinkedIn } from '../src/routes.mjs';
+import { normalizeProfileUrl } from '../src/profile-url.mjs';
+import { searchPageUrl } from '../src/search-harvester.mjs';
+
+const MOCK_URL = 'http://localhost:4010';
+
+describe('routes', () => {
+  const configuredBaseUrl = process.env.LINKEDIN_BASE_URL;
+
+  afterEach(() => {
+    process.env.LINKEDIN_BASE_URL = configuredBaseUrl;
+  });
+
+  after(() => {
+    removeDataDir();
+  });
+
+  test('point at the real site by default', () => {
+    assert.equal(isRealLinkedIn(), true);
+    assert.equal(linkedinUrl(Route.LOGIN), 'https://www.linkedin.com/login');
+    assert.equal(isLinkedInUrl('https://de.linkedin.com/in/jane-doe'), true);
+    assert.equal(isLinkedInUrl('https://linkedin.com.example.org/'), false);
+    assert.equal(isLinkedInCookie({ name: 'li_at', domain: '.linkedin.com' }), true);
+    assert.equal(isLinkedInCookie({ name: 'bcookie', domain: '.example.org' }), false);
+  });
+
+  test('move every page onto the configured base URL', () => {
+    process.env.LINKEDIN_BASE_URL = `${MOCK_URL}/`;
+
+    assert.equal(isRealLinkedIn(), false);
+    assert.equal(baseUrl(), MOCK_URL);
+    assert.equal(linkedinUrl(Route.FEED), `${MOCK_URL}/feed/`);
+    assert.equal(linkedinUrl(Route.CONNECTIONS), `${MOCK_URL}/mynetwork/invite-connect/connections/`);
+    assert.equal(toLinkedInUrl('https://www.linkedin.com/in/jane-doe'), `${MOCK_URL}/in/jane-doe`);
+    assert.equal(
+      searchPageUrl('https://www.linkedin.com/search/results/people/?keywords=founder', 2),
+      `${MOCK_URL}/search/results/people/?keywords=founder&page=2`
+    );
+
+    // Only the mock counts as LinkedIn now, the real site is never reached
+    assert.equal(isLinkedInUrl(`${MOCK_URL}/feed/`), true);
+    assert.equal(isLinkedInUrl('https://www.linkedin.com/feed/'), false);
+    assert.equal(isLinkedInCookie({ name: 'li_at', domain: 'localhost' }), true);
+    assert.equal(isLinkedInCookie({ name: 'li_at', domain: '.linkedin.com' }), false);
+  });
+
+  test('keep profile URLs from a mock the same as on the real site', () => {
+    process.env.LINKEDIN_BASE_URL = MOCK_URL;
+
+    assert.equal(normalizeProfileUrl(`${MOCK_URL}/in/Jane-Doe/details/?trk=x`), 'https://www.linkedin.com/in/jane-doe');
+    assert.equal(normalizeProfileUrl('https://www.linkedin.com/in/jane-doe'), 'https://www.linkedin.com/in/jane-doe');
+  });
+
+  test('accept profile URLs on LinkedIn only', () => {
+    assert.equal(normalizeProfileUrl('https://de.linkedin.com/in/Jane-Doe?trk=x'), 'https://www.linkedin.com/in/jane-doe');
+    assert.equal(normalizeProfileUrl('https://linkedin.com/in/jane-doe/'), 'https://www.linkedin.com/in/jane-doe');
+    assert.equal(normalizeProfileUrl('/in/jane-doe'), 'https://www.linkedin.com/in/jane-doe');
+
+    assert.equal(normalizeProfileUrl('https://example.com/in/foo'), null);
+    assert.equal(normalizeProfileUrl('https://notlinkedin.com/in/foo'), null);
+    assert.equal(normalizeProfileUrl('https://linkedin.com.example.org/in/foo'), null);
+    assert.equal(normalizeProfileUrl('http://www.linkedin.com/in/foo'), null);
+    assert.equal(normalizeProfileUrl('ftp://x.y/in/z'), null);
+    assert.equal(normalizeProfileUrl('javascript:/in/x'), null);
+    // The mock only counts while it is the configured base URL
+    assert.equal(normalizeProfileUrl(`${MOCK_URL}/in/jane-doe`), null);
+  });
+
+  test('reject a base URL that is not http(s)', () => {
+    process.env.LINKEDIN_BASE_URL = 'ftp://localhost';
+    assert.throws(() => baseUrl(), /must be an http or https URL/);
+
+    process.env.LINKEDIN_BASE_URL = 'not a url';
+    assert.throws(() => baseUrl(), /not a valid URL/);
+  });
+});
@@ -0,0 +1,110 @@
+import { dataDir, removeDataDir } from './helpers/env.mjs';
+import { after, describe, test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs/promises';
+import path from 'path';
+import { SelectorRegistry, DEFAULT_SELECTORS, parseOverrides } from '../src/selectors.mjs';
+
+/**
+ * Stand-in for a page where only the given selectors match anything
+ */
+function pageWith(...present) {
+  return {
+    $: async selector => present.includes(selector) ? { selector } : null,
+    $$: async selector => present.includes(selector) ? [{ selector }] : []
+  };
+}
+
+describe('selector registry', () => {
+  let fileCount = 0;
+  const healthFile = () => path.join(dataDir, `selector-health-${++fileCount}.json`);
+
+  after(() => {
+    removeDataDir();
+  });
+
+  test('replaces the lists named in the overrides file', () => {
+    const overrides = parseOverrides({
+      version: '2024-06',
+      selectors: { 'profile.connectButton': ['button.new-connect'] }
+    });
+    const registry = new SelectorRegistry(overrides, healthFile());
+
+    assert.deepEqual(registry.get('profile.connectButton'), ['button.new-connect']);
+    assert.deepEqual(registry.get('profile.messageButton'), DEFAULT_SELECTORS['profile.messageButton']);
+    assert.throws(() => registry.get('profile.unknown'), /Unknown selector key/);
+  });
+
+  test('rejects unknown keys and empty lists', () => {
+    assert.throws(() => parseOverrides({ selectors: { 'profile.connect': ['button'] } }), /unknown selector key profile.connect/);
+    assert.throws(() => parseOverrides({ selectors: { 'profile.connectButton': [] } }), /non-empty array/);
+    assert.throws(() => parseOverrides({ selectors: { 'profile.connectButton': [''] } }), /non-empty array/);
+  });
+
+  test('records which fallback matched and reports the primary as degraded', async () => {
+    const file = healthFile();
+    const registry = new SelectorRegistry({}, file);
+    const [primary, fallback] = DEFAULT_SELECTORS['profile.messageButton'];
+
+    assert.deepEqual(await registry.find(pageWith(primary, fallback), 'profile.messageButton'), { selector: primary });
+    assert.equal((await registry.report()).degraded.length, 0);
+
+    assert.deepEqual(await registry.match(pageWith(fallback), 'profile.messageButton'), { element: { selector: fallback }, selector: fallback });
+    const report = await registry.report();
+    assert.deepEqual(report.degraded, ['profile.messageButton']);
+    assert.equal(report.keys['profile.messageButton'].primary, 1);
+    assert.equal(report.keys['profile.messageButton'].fallback, 1);
+    assert.equal(report.keys['profile.messageButton'].matched, fallback);
+
+    // Kept for the next run once the report is logged
+    await assert.rejects(fs.readFile(file, 'utf8'), { code: 'ENOENT' });
+    await registry.logReport();
+    const saved = JSON.parse(await fs.readFile(file, 'utf8'));
+    assert.equal(saved.keys['profile.messageButton'].fallback, 1);
+    const reloaded = await new SelectorRegistry({}, file).report();
+    assert.deepEqual(reloaded.degraded, ['profile.messageButton']);
+  });
+
+  test('counts lookups running at the same time', async () => {
+    const file = healthFile();
+    const registry = new SelectorRegistry({}, file);
+    const [primary] = DEFAULT_SELECTORS['profile.messageButton'];
+
+    await Promise.all(Array.from({ length: 20 }, () => registry.find(pageWith(primary), 'profile.messageButton')));
+    await Promise.all([registry.flush(), registry.flush()]);
+
+    const saved = JSON.parse(await fs.readFile(file, 'utf8'));
+    assert.equal(saved.keys['profile.messageButton'].primary, 20);
+  });
+
+  test('counts misses unless the element is optional', async () => {
+    const registry = new SelectorRegistry({}, healthFile());
+
+    assert.equal(await registry.find(pageWith(), 'list.nextPage', { optional: true }), null);
+    assert.deepEqual(await registry.findAll(pageWith(), 'invitations.card', { optional: true }), []);
+    assert.deepEqual((await registry.report()).keys, {});
+
+    assert.equal(await registry.find(pageWith(), 'profile.connectButton'), null);
+    const report = await registry.report();
+    assert.equal(report.keys['profile.connectButton'].missed, 1);
+    assert.deepEqual(report.degraded, ['profile.connectButton']);
+  });
+
+  test('records the fields read from a list in the page', async () => {
+    const overrides = parseOverrides({ selectors: { 'messaging.senderName': ['.new-name', '.msg-s-message-group__name'] } });
+    const registry = new SelectorRegistry(overrides, healthFile());
+    const fields = { senderName: 'messaging.senderName', time: 'messaging.groupTime', body: 'messaging.messageBody' };
+
+    assert.deepEqual(registry.fieldSelectors(fields).senderName, ['.new-name', '.msg-s-message-group__name']);
+
+    // The best match of each field across the items counts, a field no item has only counts as missed when required
+    await registry.recordFields(fields, [
+      { matched: { senderName: 1, time: -1, body: -1 } },
+      { matched: { senderName: -1, time: -1, body: -1 } }
+    ], ['senderName', 'body']);
+    const { keys } = await registry.report();
+    assert.equal(keys['messaging.senderName'].fallback, 1);
+    assert.equal(keys['messaging.messageBody'].missed, 1);
+    assert.equal(keys['messaging.groupTime'], undefined);
+  });
+});
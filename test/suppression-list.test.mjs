@@ -0,0 +1,71 @@
+import { dataDir, removeDataDir } from './helpers/env.mjs';
+import { after, describe, test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs/promises';
+import path from 'path';
+import { SuppressionList, SuppressionType, findOptOutKeyword } from '../src/suppression-list.mjs';
+
+describe('do-not-contact list', () => {
+  after(() => {
+    removeDataDir();
+  });
+
+  test('matches contacts by URL, name and company, and domain', async () => {
+    const list = new SuppressionList(path.join(dataDir, 'match.json'));
+    await list.add(SuppressionType.URL, 'https://www.linkedin.com/in/Jane-Founder/');
+    await list.add(SuppressionType.NAME_COMPANY, 'Sam Rivera @ Acme Robotics');
+    await list.add(SuppressionType.DOMAIN, 'https://www.globex.com');
+
+    assert.equal(await list.isSuppressed({ profileUrl: 'https://de.linkedin.com/in/jane-founder?trk=x' }), true);
+    assert.equal(await list.isSuppressed({ name: 'Sam  Rivera', headline: 'CTO at Acme Robotics', profileUrl: 'https://www.linkedin.com/in/sam' }), true);
+    assert.equal(await list.isSuppressed({ name: 'Morgan Lee', headline: 'Engineer at Globex', profileUrl: 'https://www.linkedin.com/in/morgan' }), true);
+    assert.equal(await list.isSuppressed({ name: 'Alex Builder', headline: 'Founder at Initech', profileUrl: 'https://www.linkedin.com/in/alex' }), false);
+    await assert.rejects(list.add(SuppressionType.DOMAIN, 'not a domain'), /Not a valid domain entry/);
+  });
+
+  test('shares the file with other processes', async () => {
+    const filePath = path.join(dataDir, 'shared.json');
+    const daemon = new SuppressionList(filePath);
+    const cli = new SuppressionList(filePath);
+    const jane = { profileUrl: 'https://www.linkedin.com/in/jane-founder' };
+    const chris = { profileUrl: 'https://www.linkedin.com/in/chris-park' };
+
+    assert.equal(await daemon.isSuppressed(jane), false);
+    await cli.add(SuppressionType.URL, jane.profileUrl, { source: 'cli' });
+    assert.equal(await daemon.isSuppressed(jane), true, 'the daemon sees what the CLI added');
+
+    // The daemon's opt-out doesn't write over the CLI's entry
+    await daemon.add(SuppressionType.URL, chris.profileUrl, { source: 'inbox' });
+    const { entries } = JSON.parse(await fs.readFile(filePath, 'utf8'));
+    assert.deepEqual(entries.map(entry => entry.source), ['cli', 'inbox']);
+
+    // Adds at the same moment don't lose each other
+    await Promise.all([
+      daemon.add(SuppressionType.DOMAIN, 'globex.com', { source: 'inbox' }),
+      cli.add(SuppressionType.DOMAIN, 'initech.com', { source: 'cli' })
+    ]);
+    assert.equal((await daemon.list()).length, 4);
+
+    await cli.remove(SuppressionType.URL, chris.profileUrl);
+    assert.equal(await daemon.isSuppressed(chris), false);
+    assert.equal(await daemon.isSuppressed(jane), true);
+  });
+
+  test('refuses to check or change a list it cannot read', async () => {
+    const filePath = path.join(dataDir, 'corrupt.json');
+    await fs.writeFile(filePath, '{"entries": [');
+    const list = new SuppressionList(filePath);
+
+    await assert.rejects(list.isSuppressed({ profileUrl: 'https://www.linkedin.com/in/jane-founder' }), /Can't read the do-not-contact list/);
+    await assert.rejects(list.add(SuppressionType.URL, 'https://www.linkedin.com/in/jane-founder'), /Can't read/);
+    await assert.rejects(list.remove(SuppressionType.URL, 'https://www.linkedin.com/in/jane-founder'), /Can't read/);
+    assert.equal(await fs.readFile(filePath, 'utf8'), '{"entries": [', 'the file is left for fixing');
+    await assert.rejects(fs.access(`${filePath}.lock`), { code: 'ENOENT' });
+  });
+
+  test('finds opt-out keywords as whole words', () => {
+    assert.equal(findOptOutKeyword('Please STOP messaging me', ['stop']), 'stop');
+    assert.equal(findOptOutKeyword('Happy to chat, nonstop week though', ['stop']), null);
+    assert.equal(findOptOutKeyword('Not  interested, thanks', ['not interested']), 'not interested');
+  });
+});
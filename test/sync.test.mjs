@@ -0,0 +1,121 @@
+import { removeDataDir } from './helpers/env.mjs';
+import { after, before, describe, test } from 'node:test';
+import assert from 'node:assert/strict';
+import dayjs from 'dayjs';
+import { launchFixtureBrowser } from './helpers/fixture-browser.mjs';
+import { syncInvitations, reconcileInvitations } from '../src/connection-sync.mjs';
+import { syncInbox, parseThreadTime } from '../src/inbox-sync.mjs';
+import { contactStore, ContactStatus } from '../src/contact-store.mjs';
+import { suppressionList } from '../src/suppression-list.mjs';
+
+function profileUrl(slug) {
+  return `https://www.linkedin.com/in/${slug}`;
+}
+
+describe('invitation and inbox sync', () => {
+  let site;
+
+  before(async () => {
+    site = await launchFixtureBrowser([
+      { path: '/mynetwork/invite-connect/connections/', respond: 'connections.html' },
+      { path: '/mynetwork/invitation-manager/sent/', respond: 'sent-invitations.html' },
+      { path: '/messaging/', respond: 'messaging.html' },
+      { path: '/messaging/thread/2-jane/', respond: 'messaging-thread-jane.html' },
+      { path: '/messaging/thread/2-chris/', respond: 'messaging-thread-chris.html' },
+      { path: '/messaging/thread/2-sam/', respond: 'messaging-thread-sam.html' }
+    ]);
+    await site.signIn();
+
+    const invitedAt = dayjs().subtract(10, 'day').toISOString();
+    for (const [name, slug] of [['Jane Founder', 'jane-founder'], ['Sam Rivera', 'sam-rivera'], ['Morgan Lee', 'morgan-lee']]) {
+      await contactStore.put({ name, profileUrl: profileUrl(slug), campaign: 'founders', status: ContactStatus.INVITED, invitedAt });
+    }
+  });
+
+  after(async () => {
+    await site?.close();
+    removeDataDir();
+  });
+
+  test('sorts pending invitations into accepted, pending and withdrawn', { timeout: 180000 }, async () => {
+    const counts = await syncInvitations(site.page);
+
+    assert.deepEqual(counts, { accepted: 1, pending: 1, withdrawn: 1 });
+    assert.equal((await contactStore.get(profileUrl('jane-founder'))).status, ContactStatus.ACCEPTED);
+
+    const sam = await contactStore.get(profileUrl('sam-rivera'));
+    assert.equal(sam.status, ContactStatus.INVITED);
+    assert.ok(sam.pendingCheckedAt);
+
+    // Neither connected nor listed as sent, and both lists were read to the end
+    assert.equal((await contactStore.get(profileUrl('morgan-lee'))).status, ContactStatus.WITHDRAWN);
+  });
+
+  test('records replies and opt-outs from the inbox', { timeout: 180000 }, async () => {
+    await contactStore.put({ name: 'Chris Park', profileUrl: profileUrl('chris-park'), status: ContactStatus.MESSAGED });
+    await contactStore.put({ name: 'Alex Builder', profileUrl: profileUrl('alex-builder'), status: ContactStatus.MESSAGED });
+    const lastSync = dayjs().subtract(1, 'day').endOf('day').subtract(1, 'hour').toISOString();
+    await contactStore.setMeta('inboxSyncedAt', lastSync);
+
+    const counts = await syncInbox(site.page);
+
+    assert.deepEqual(counts, { threads: 3, replied: 3, optedOut: 1 });
+
+    const jane = await contactStore.get(profileUrl('jane-founder'));
+    assert.equal(jane.status, ContactStatus.REPLIED);
+    assert.deepEqual(jane.inboundMessages.map(message => message.text), ['Thanks for reaching out, happy to chat next week.']);
+    assert.equal(dayjs(jane.lastInboundAt).format('YYYY-MM-DD HH:mm'), dayjs().format('YYYY-MM-DD') + ' 09:05');
+
+    // Matched by profile URL, the thread shows a different name
+    const chris = await contactStore.get(profileUrl('chris-park'));
+    assert.equal(chris.status, ContactStatus.REPLIED);
+    assert.equal(await suppressionList.isSuppressed(chris), true);
+
+    // We answered Sam by hand before this sync
+    const sam = await contactStore.get(profileUrl('sam-rivera'));
+    assert.equal(sam.status, ContactStatus.REPLIED);
+    assert.deepEqual(sam.inboundMessages.map(message => message.text), ['Happy to connect, what are you working on?']);
+
+    // Threads where we had the last word before the previous sync aren't opened
+    const opened = site.requests.filter(request => request.path.startsWith('/messaging/thread/')).map(request => request.path);
+    assert.deepEqual(opened.sort(), ['/messaging/thread/2-chris/', '/messaging/thread/2-jane/', '/messaging/thread/2-sam/']);
+    assert.ok(await contactStore.getMeta('inboxSyncedAt') > lastSync);
+  });
+});
+
+describe('invitation and inbox parsing', () => {
+  const list = (slugs, complete = true) => ({ profileUrls: new Set(slugs.map(profileUrl)), complete });
+  const contact = (slug, status) => ({ profileUrl: profileUrl(slug), status });
+
+  test('rechecks withdrawn invitations against both lists', () => {
+    const contacts = [
+      contact('jane-founder', ContactStatus.INVITED),
+      contact('sam-rivera', ContactStatus.INVITED),
+      contact('morgan-lee', ContactStatus.INVITED),
+      contact('alex-builder', ContactStatus.WITHDRAWN),
+      contact('chris-park', ContactStatus.WITHDRAWN),
+      contact('drew-patel', ContactStatus.WITHDRAWN)
+    ];
+
+    const result = reconcileInvitations(contacts, list(['jane-founder', 'alex-builder']), list(['sam-rivera', 'chris-park']));
+    const slugs = group => group.map(({ profileUrl: url }) => url.split('/in/')[1]);
+    assert.deepEqual(slugs(result.accepted), ['jane-founder', 'alex-builder']);
+    assert.deepEqual(slugs(result.pending), ['sam-rivera', 'chris-park']);
+    assert.deepEqual(slugs(result.withdrawn), ['morgan-lee']);
+
+    // A list that wasn't read to the end withdraws nothing
+    assert.deepEqual(reconcileInvitations(contacts, list([], false), list([])).withdrawn, []);
+    // Neither does an empty one, it may be a selector that stopped matching
+    assert.deepEqual(reconcileInvitations(contacts, list(['jane-founder']), list([])).withdrawn, []);
+    assert.deepEqual(reconcileInvitations(contacts, list([]), list(['sam-rivera'])).withdrawn, []);
+  });
+
+  test('reads the last activity of inbox rows', () => {
+    const now = new Date(2026, 5, 10, 12, 0);
+    assert.equal(dayjs(parseThreadTime('9:30 AM', now)).format('YYYY-MM-DD HH:mm'), '2026-06-10 09:30');
+    // Older rows only show the day, they count until its end
+    assert.equal(dayjs(parseThreadTime('Jun 3', now)).format('YYYY-MM-DD HH:mm'), '2026-06-03 23:59');
+    assert.equal(dayjs(parseThreadTime('Yesterday', now)).format('YYYY-MM-DD HH:mm'), '2026-06-09 23:59');
+    assert.equal(parseThreadTime('', now), null);
+  });
+});
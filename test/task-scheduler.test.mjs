@@ -0,0 +1,57 @@
+import { removeDataDir } from './helpers/env.mjs';
+import { after, describe, test } from 'node:test';
+import assert from 'node:assert/strict';
+import { startScheduler } from '../src/task-scheduler.mjs';
+
+describe('task scheduler', () => {
+  let release;
+  const calls = [];
+
+  // No job runs during the test, they are scheduled on the hour
+  const scheduler = startScheduler({
+    syncInvitations: async () => {
+      calls.push('invitations');
+      return { accepted: 0, pending: 1, withdrawn: 0 };
+    },
+    syncInbox: () => new Promise(resolve => {
+      calls.push('inbox');
+      release = () => resolve({ threads: 1, replied: 0, optedOut: 0 });
+    }),
+    withdrawStaleInvitations: async () => {
+      throw new Error('Sent invitations did not load');
+    }
+  });
+
+  after(() => {
+    scheduler.stop();
+    removeDataDir();
+  });
+
+  test('runs one job at a time', async () => {
+    const inbox = scheduler.runSync('inbox');
+    assert.deepEqual(scheduler.status(), { paused: false, activeJob: 'inbox sync' });
+
+    assert.deepEqual(await scheduler.runSync('invitations'), { ran: false, reason: 'inbox sync is still running' });
+    release();
+    assert.deepEqual(await inbox, { ran: true, result: { threads: 1, replied: 0, optedOut: 0 } });
+    assert.equal(scheduler.status().activeJob, null);
+
+    assert.deepEqual(await scheduler.runSync('invitations'), { ran: true, result: { accepted: 0, pending: 1, withdrawn: 0 } });
+    assert.deepEqual(calls, ['inbox', 'invitations']);
+  });
+
+  test('frees the browser after a job fails', async () => {
+    await assert.rejects(scheduler.runSync('withdraw'), /did not load/);
+    assert.equal(scheduler.status().activeJob, null);
+    await assert.rejects(scheduler.runSync('everything'), /Unknown sync job/);
+  });
+
+  test('runs nothing while paused', async () => {
+    scheduler.pause();
+    assert.deepEqual(await scheduler.runSync('invitations'), { ran: false, reason: 'The scheduler is paused' });
+    assert.equal(scheduler.status().paused, true);
+
+    scheduler.resume();
+    assert.equal((await scheduler.runSync('invitations')).ran, true);
+  });
+});
@@ -0,0 +1,64 @@
+import { removeDataDir } from './helpers/env.mjs';
+import { after, describe, test } from 'node:test';
+import assert from 'node:assert/strict';
+import dayjs from 'dayjs';
+import { parseSentAge, withdrawStaleInvitations } from '../src/connection-sync.mjs';
+import { QueueManager } from '../src/queue-manager.mjs';
+import { contactStore, ContactStatus } from '../src/contact-store.mjs';
+import { withdrawalSettings } from '../src/campaigns.mjs';
+import { rateLimiter } from '../src/rate-limiter.mjs';
+
+function withdrawn(slug, daysAgo) {
+  return {
+    name: slug,
+    profileUrl: `https://www.linkedin.com/in/${slug}`,
+    campaign: 'founders',
+    status: ContactStatus.WITHDRAWN,
+    withdrawnAt: dayjs().subtract(daysAgo, 'day').toISOString()
+  };
+}
+
+describe('stale invitation withdrawal', () => {
+  after(() => {
+    removeDataDir();
+  });
+
+  test('reads the age of a sent invitation', () => {
+    assert.equal(parseSentAge('Sent today'), 0);
+    assert.equal(parseSentAge('Sent 5 hours ago'), 0);
+    assert.equal(parseSentAge('Sent yesterday'), 1);
+    assert.equal(parseSentAge('Sent 3 days ago'), 3);
+    assert.equal(parseSentAge('Sent a week ago'), 7);
+    assert.equal(parseSentAge('Sent 3 weeks ago'), 21);
+    assert.equal(parseSentAge('Sent one month ago'), 30);
+    assert.equal(parseSentAge('Sent 2 years ago'), 730);
+    assert.equal(parseSentAge('Sent recently'), null);
+    assert.equal(parseSentAge(undefined), null);
+  });
+
+  test('withdraws nothing once the daily cap is used', async () => {
+    // Neither call gets as far as opening the invitation manager, so no page is needed
+    assert.equal(await withdrawStaleInvitations(null, { afterDays: 0, dailyLimit: 10 }), 0);
+
+    await rateLimiter.recordAction('withdrawal', 'founders');
+    await rateLimiter.recordAction('withdrawal', 'founders');
+    assert.equal(await withdrawStaleInvitations(null, { afterDays: 21, dailyLimit: 2 }), 0);
+    assert.equal(await rateLimiter.getDailyCount('withdrawal'), 2);
+  });
+
+  test('queues a withdrawn profile again only after the cooldown', async () => {
+    const queueManager = new QueueManager();
+    const recent = withdrawn('jane-founder', withdrawalSettings.cooldownDays - 1);
+    const expired = withdrawn('sam-rivera', withdrawalSettings.cooldownDays);
+    await contactStore.put(recent);
+    await contactStore.put(expired);
+
+    assert.equal(await queueManager.addToQueue({ name: 'Jane Founder', profileUrl: recent.profileUrl, campaign: 'founders' }), false);
+    assert.equal((await contactStore.get(recent.profileUrl)).status, ContactStatus.WITHDRAWN);
+
+    assert.equal(await queueManager.addToQueue({ name: 'Sam Rivera', profileUrl: expired.profileUrl, campaign: 'founders' }), true);
+    const requeued = await contactStore.get(expired.profileUrl);
+    assert.equal(requeued.status, ContactStatus.QUEUED);
+    assert.equal(requeued.withdrawnAt, expired.withdrawnAt);
+  });
+});